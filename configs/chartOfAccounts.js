@@ -0,0 +1,49 @@
+// Default chart of accounts, seeded by configs/migrate.js. The control
+// account codes below are used by the ledger postings.
+const accounts = [
+  { code: '1200', name: 'Bank Current Account', type: 'asset' },
+  { code: '1230', name: 'Petty Cash', type: 'asset' },
+  { code: '2100', name: 'Trade Creditors', type: 'liability' },
+  { code: '2109', name: 'Accruals', type: 'liability' },
+  { code: '2110', name: 'Employee Expenses Payable', type: 'liability' },
+  { code: '2201', name: 'VAT Input', type: 'asset' },
+  { code: '6201', name: 'Advertising', type: 'expense' },
+  { code: '7400', name: 'Travel and Subsistence', type: 'expense' },
+  { code: '7402', name: 'Meetings', type: 'expense' },
+  { code: '7500', name: 'Office and Administration', type: 'expense' },
+  { code: '7600', name: 'IT and Software', type: 'expense' },
+  { code: '7700', name: 'Staff Training', type: 'expense' },
+  { code: '8200', name: 'Sundry Expenses', type: 'expense' }
+];
+
+// Default claim categories with their expense account and VAT treatment
+const categories = [
+  { name: 'Audit', nominal_code: '7400', vat_treatment: 'standard' },
+  { name: 'Supervision', nominal_code: '7400', vat_treatment: 'standard' },
+  { name: 'Audit / Supervision', nominal_code: '7400', vat_treatment: 'standard' },
+  { name: 'Meeting', nominal_code: '7402', vat_treatment: 'standard' },
+  { name: 'Mileage', nominal_code: '7400', vat_treatment: 'outside_scope', calculation: 'mileage' },
+  { name: 'Subsistence', nominal_code: '7400', vat_treatment: 'standard', calculation: 'per_diem' },
+  { name: 'Payment Request Form', nominal_code: '8200', vat_treatment: 'standard' },
+  { name: 'Misscellaneous', nominal_code: '8200', vat_treatment: 'standard' },
+  { name: 'Approved Supplier IT (Yearly)', nominal_code: '7600', vat_treatment: 'standard', requires_approved_supplier: true },
+  { name: 'Approved Supplier IT (Monthly)', nominal_code: '7600', vat_treatment: 'standard', requires_approved_supplier: true },
+  { name: 'Approved Supplier Admin (Yearly)', nominal_code: '7500', vat_treatment: 'standard', requires_approved_supplier: true },
+  { name: 'Approved Supplier Admin (Monthly)', nominal_code: '7500', vat_treatment: 'standard', requires_approved_supplier: true },
+  { name: 'Approved Supplier Training (Yearly)', nominal_code: '7700', vat_treatment: 'exempt', requires_approved_supplier: true },
+  { name: 'Approved Supplier Training (Monthly)', nominal_code: '7700', vat_treatment: 'exempt', requires_approved_supplier: true },
+  { name: 'Approved Supplier Advertisement (Yearly)', nominal_code: '6201', vat_treatment: 'standard', requires_approved_supplier: true },
+  { name: 'Approved Supplier Advertisement (Monthly)', nominal_code: '6201', vat_treatment: 'standard', requires_approved_supplier: true }
+];
+
+module.exports = {
+  accounts,
+  categories,
+  defaultExpenseAccount: '8200',
+  vatInputAccount: '2201',
+  accrualsAccount: '2109',
+  employeePayablesAccount: '2110',
+  supplierPayablesAccount: '2100',
+  bankAccount: '1200',
+  cashAccount: '1230'
+};
@@ -5,6 +5,15 @@ require('dotenv').config();
 // Import models
 const User = require('../models/user');
 const Claim = require('../models/claim');
+const ApprovalChain = require('../models/approvalChain');
+const Account = require('../models/account');
+const ClaimCategory = require('../models/claimCategory');
+const chartOfAccounts = require('./chartOfAccounts');
+const { generateTemporaryPassword } = require('../utils/passwordPolicy');
+
+// Seeded accounts get a random password (or SEED_PASSWORD) that must be
+// changed on first login
+const seedPassword = () => process.env.SEED_PASSWORD || generateTemporaryPassword();
 
 const migrate = async () => {
   try {
@@ -26,22 +35,23 @@ const migrate = async () => {
     
     if (!adminExists) {
       // Create admin user
-    //   const adminPassword = await bcrypt.hash('Admin@123', 10);
+      const adminPassword = seedPassword();
       const admin = new User({
         employee_id: 'HFA-ADMIN-001',
         name: 'Administrator',
         email: 'admin@hfa-uk.com',
-        password: "Admin@123",
+        password: adminPassword,
         role: 'admin',
         department: 'Administration',
         phone: '07123 456789',
-        status: 'active'
+        status: 'active',
+        must_change_password: true
       });
       
       await admin.save();
       console.log('✅ Admin user created');
       console.log('   Email: admin@hfa-uk.com');
-      console.log('   Password: Admin@123');
+      console.log(`   Temporary password: ${adminPassword}`);
     } else {
       console.log('ℹ️  Admin user already exists');
     }
@@ -52,7 +62,6 @@ const migrate = async () => {
         employee_id: 'HFA-W-1001',
         name: 'John Smith',
         email: 'john.smith@hfa-uk.com',
-        password: 'Password123',
         role: 'worker',
         department: 'Operations',
         phone: '07123 456789',
@@ -62,7 +71,6 @@ const migrate = async () => {
         employee_id: 'HFA-W-1002',
         name: 'Sarah Johnson',
         email: 'sarah.johnson@hfa-uk.com',
-        password: 'Password123',
         role: 'worker',
         department: 'Finance',
         phone: '07234 567890',
@@ -72,7 +80,6 @@ const migrate = async () => {
         employee_id: 'HFA-W-1003',
         name: 'Michael Brown',
         email: 'michael.brown@hfa-uk.com',
-        password: 'Password123',
         role: 'worker',
         department: 'IT',
         phone: '07345 678901',
@@ -84,9 +91,59 @@ const migrate = async () => {
       const existingWorker = await User.findOne({ email: workerData.email });
       
       if (!existingWorker) {
-        const worker = new User(workerData);
+        const password = seedPassword();
+        const worker = new User({ ...workerData, password, must_change_password: true });
         await worker.save();
-        console.log(`✅ Worker created: ${workerData.name}`);
+        console.log(`✅ Worker created: ${workerData.name} (temporary password: ${password})`);
+      }
+    }
+    
+    // Create default approval chain: verifier, line manager, then finance above £500
+    const defaultChainExists = await ApprovalChain.findOne({ department: null });
+    
+    if (!defaultChainExists) {
+      await ApprovalChain.create({
+        name: 'Default approval chain',
+        department: null,
+        min_amount: 0,
+        steps: [
+          { name: 'Verification', roles: ['administrator', 'approver'] },
+          { name: 'Line manager', roles: ['manager'], same_department: true },
+          { name: 'Finance', roles: ['accountant', 'financial officer'], min_amount: 500 }
+        ]
+      });
+      console.log('✅ Default approval chain created');
+    }
+    
+    // Seed chart of accounts and claim categories
+    for (const accountData of chartOfAccounts.accounts) {
+      const existingAccount = await Account.findOne({ code: accountData.code });
+      if (!existingAccount) {
+        await Account.create(accountData);
+        console.log(`✅ Account created: ${accountData.code} ${accountData.name}`);
+      }
+    }
+    
+    // Categories already in the database keep their own settings, except
+    // the flags that switch on approved-supplier enforcement and mileage
+    // or per-diem calculation, which older seeds did not set
+    for (const { requires_approved_supplier, calculation, ...categoryData } of chartOfAccounts.categories) {
+      const enforced = {};
+      if (requires_approved_supplier) enforced.requires_approved_supplier = true;
+      if (calculation) enforced.calculation = calculation;
+      
+      const update = { $setOnInsert: categoryData };
+      if (Object.keys(enforced).length > 0) update.$set = enforced;
+      
+      const result = await ClaimCategory.updateOne(
+        { name: categoryData.name },
+        update,
+        { upsert: true, timestamps: false }
+      );
+      if (result.upsertedCount > 0) {
+        console.log(`✅ Claim category created: ${categoryData.name}`);
+      } else if (result.modifiedCount > 0) {
+        console.log(`✅ Claim category updated: ${categoryData.name}`);
       }
     }
     
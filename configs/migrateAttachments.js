@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config();
+
+// Import models
+const Claim = require('../models/claim');
+
+// Move the single receipt on existing claims into the attachments list.
+// Size and checksum are not known for these older uploads.
+const migrateAttachments = async () => {
+  try {
+    // Connect to database
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('✅ Connected to database for attachment migration');
+
+    const claims = await Claim.find({
+      receipt_filename: { $nin: [null, ''] },
+      'attachments.0': { $exists: false }
+    });
+
+    let migrated = 0;
+
+    for (const claim of claims) {
+      const filename = claim.receipt_filename;
+      await Claim.updateOne(
+        { _id: claim._id },
+        {
+          $push: {
+            attachments: {
+              label: 'receipt',
+              filename,
+              original_name: path.basename(filename),
+              checksum: claim.receipt_hash,
+              uploaded_by: claim.user_id,
+              uploaded_at: claim.created_at
+            }
+          }
+        }
+      );
+      migrated++;
+    }
+
+    console.log('\n🎉 Attachment migration completed successfully!');
+    console.log(`   Claims migrated: ${migrated}`);
+
+    mongoose.disconnect();
+    console.log('\n👋 Database connection closed');
+
+  } catch (error) {
+    console.error('❌ Attachment migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  migrateAttachments();
+}
+
+module.exports = migrateAttachments;
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models
+const Claim = require('../models/claim');
+const ExchangeRate = require('../models/exchangeRate');
+
+// Convert the free-text currency on older claims to an ISO 4217 code and
+// fill in the exchange rate and GBP base amount. Claims whose currency
+// cannot be recognised, or with no rate on or before their date, are
+// listed so they can be corrected by hand and the migration run again.
+const migrateCurrencies = async () => {
+  try {
+    // Connect to database
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('✅ Connected to database for currency migration');
+
+    const claims = await Claim.find({
+      $or: [
+        { base_amount: null },
+        { currency: { $not: ExchangeRate.ISO_CURRENCY } }
+      ]
+    }).select('claim_id amount currency date').lean();
+
+    let migrated = 0;
+    const unrecognised = [];
+    const missingRates = [];
+
+    for (const claim of claims) {
+      const currency = ExchangeRate.normalizeCurrency(claim.currency || ExchangeRate.BASE_CURRENCY);
+      if (!ExchangeRate.ISO_CURRENCY.test(currency)) {
+        unrecognised.push(`${claim.claim_id} (${claim.currency})`);
+        continue;
+      }
+
+      const rate = await ExchangeRate.rateFor(currency, claim.date);
+      const update = { currency };
+      if (rate) {
+        update.exchange_rate = rate.rate;
+        update.exchange_rate_date = rate.date;
+        update.base_amount = Math.round((Number(claim.amount) || 0) * rate.rate * 100) / 100;
+      } else {
+        missingRates.push(`${claim.claim_id} (${currency})`);
+      }
+
+      await Claim.updateOne({ _id: claim._id }, { $set: update });
+      migrated++;
+    }
+
+    console.log('\n🎉 Currency migration completed successfully!');
+    console.log(`   Claims migrated: ${migrated}`);
+    if (missingRates.length > 0) {
+      console.log(`   No exchange rate yet, base amount not set: ${missingRates.join(', ')}`);
+    }
+    if (unrecognised.length > 0) {
+      console.log(`   Currency not recognised, left unchanged: ${unrecognised.join(', ')}`);
+    }
+
+    mongoose.disconnect();
+    console.log('\n👋 Database connection closed');
+
+  } catch (error) {
+    console.error('❌ Currency migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  migrateCurrencies();
+}
+
+module.exports = migrateCurrencies;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models
+const Claim = require('../models/claim');
+
+// Remove the public receipt links stored on existing claims. Run after
+// making the receipts bucket private; receipts are then served through
+// signed URLs from GET /api/claims/:id/receipt.
+const migratePrivateReceipts = async () => {
+  try {
+    // Connect to database
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+
+    console.log('✅ Connected to database for receipt link migration');
+
+    const receipts = await Claim.updateMany(
+      { receipt_url: { $exists: true } },
+      { $unset: { receipt_url: '' } }
+    );
+    const attachments = await Claim.updateMany(
+      { 'attachments.url': { $exists: true } },
+      { $unset: { 'attachments.$[].url': '' } }
+    );
+
+    console.log('\n🎉 Receipt link migration completed successfully!');
+    console.log(`   Claim receipt links removed: ${receipts.modifiedCount}`);
+    console.log(`   Claims with attachment links removed: ${attachments.modifiedCount}`);
+
+    mongoose.disconnect();
+    console.log('\n👋 Database connection closed');
+
+  } catch (error) {
+    console.error('❌ Receipt link migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  migratePrivateReceipts();
+}
+
+module.exports = migratePrivateReceipts;
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Import models
+const Claim = require('../models/claim');
+const Supplier = require('../models/supplier');
+
+// Create supplier records from the free-text company names on existing
+// claims, merging spellings that normalise to the same name, and link
+// each claim to its supplier
+const migrateSuppliers = async () => {
+  try {
+    // Connect to database
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    
+    console.log('✅ Connected to database for supplier migration');
+    
+    const claims = await Claim.find({
+      supplier: null,
+      company_name: { $nin: [null, ''] }
+    }).sort({ created_at: 1 });
+    
+    // Group claims by normalised company name
+    const groups = {};
+    for (const claim of claims) {
+      const key = Supplier.normalizeName(claim.company_name);
+      if (!key) continue;
+      if (!groups[key]) groups[key] = [];
+      groups[key].push(claim);
+    }
+    
+    let created = 0;
+    let linked = 0;
+    
+    for (const key of Object.keys(groups)) {
+      const group = groups[key];
+      let supplier = await Supplier.findOne({ normalized_name: key });
+      
+      if (!supplier) {
+        // Use the most common spelling and the latest contact details
+        const spellings = group.reduce((acc, claim) => {
+          const name = claim.company_name.trim();
+          acc[name] = (acc[name] || 0) + 1;
+          return acc;
+        }, {});
+        const name = Object.keys(spellings).sort((a, b) => spellings[b] - spellings[a])[0];
+        const latest = group[group.length - 1];
+        
+        // Suppliers already used on approved supplier claims stay approved
+        const usedAsApproved = group.some(claim =>
+          (claim.claim_type || '').startsWith('Approved Supplier') &&
+          ['approved', 'paid'].includes(claim.status)
+        );
+        
+        supplier = await Supplier.create({
+          name,
+          contact_person: latest.contact_person,
+          contact_email: latest.contact_email,
+          status: usedAsApproved ? 'approved' : 'pending'
+        });
+        created++;
+        console.log(`✅ Supplier created: ${name} (${Object.keys(spellings).length} spellings, ${group.length} claims)`);
+      }
+      
+      const result = await Claim.updateMany(
+        { _id: { $in: group.map(claim => claim._id) } },
+        { $set: { supplier: supplier._id, company_name: supplier.name } }
+      );
+      linked += result.modifiedCount;
+    }
+    
+    console.log('\n🎉 Supplier migration completed successfully!');
+    console.log(`   Suppliers created: ${created}`);
+    console.log(`   Claims linked: ${linked}`);
+    
+    mongoose.disconnect();
+    console.log('\n👋 Database connection closed');
+    
+  } catch (error) {
+    console.error('❌ Supplier migration failed:', error);
+    process.exit(1);
+  }
+};
+
+// Run migration if called directly
+if (require.main === module) {
+  migrateSuppliers();
+}
+
+module.exports = migrateSuppliers;
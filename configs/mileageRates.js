@@ -0,0 +1,12 @@
+// HMRC approved mileage allowance payments (AMAP), per business mile.
+// Car and van miles share the annual threshold per employee per tax year.
+module.exports = {
+  vehicles: {
+    car: { rate: 0.45, reduced_rate: 0.25, threshold: 10000 },
+    van: { rate: 0.45, reduced_rate: 0.25, threshold: 10000 },
+    motorcycle: { rate: 0.24 },
+    bicycle: { rate: 0.20 }
+  },
+  // Per passenger per mile, cars and vans only
+  passenger_rate: 0.05
+};
@@ -5,8 +5,6 @@ const helmet = require('helmet');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
 const dotenv = require('dotenv');
-const path = require('path');
-const fs = require('fs');
 const morgan = require("morgan")
 
 
@@ -19,6 +17,19 @@ const authRoutes = require('./routers/auth');
 const userRoutes = require('./routers/users');
 const claimRoutes = require('./routers/claims');
 const reportRoutes = require('./routers/reports');
+const approvalChainRoutes = require('./routers/approvalChains');
+const ledgerRoutes = require('./routers/ledger');
+const accountRoutes = require('./routers/accounts');
+const categoryRoutes = require('./routers/categories');
+const periodRoutes = require('./routers/periods');
+const supplierRoutes = require('./routers/suppliers');
+const contractRoutes = require('./routers/contracts');
+const budgetRoutes = require('./routers/budgets');
+const exchangeRateRoutes = require('./routers/exchangeRates');
+const perDiemRuleRoutes = require('./routers/perDiemRules');
+const expensePolicyRoutes = require('./routers/expensePolicies');
+const storageRoutes = require('./routers/storage');
+const securitySettingsRoutes = require('./routers/securitySettings');
 
 // Import middleware
 const errorHandler = require('./middlewares/errorHandler');
@@ -26,12 +37,6 @@ const errorHandler = require('./middlewares/errorHandler');
 // Initialize express app
 const app = express();
 
-// Ensure upload directory exists
-const uploadDir = path.join(__dirname, '../uploads');
-if (!fs.existsSync(uploadDir)) {
-    fs.mkdirSync(uploadDir, { recursive: true });
-}
-
 // Security middleware
 app.use(helmet());
 app.use(compression());
@@ -65,9 +70,6 @@ app.use('/api/', limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static files
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
-
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || process.env.MONGODB_URI_PROD, {
   useNewUrlParser: true,
@@ -94,6 +96,19 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/claims', claimRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/approval-chains', approvalChainRoutes);
+app.use('/api/ledger', ledgerRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/periods', periodRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/contracts', contractRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/per-diem-rules', perDiemRuleRoutes);
+app.use('/api/expense-policies', expensePolicyRoutes);
+app.use('/api/storage', storageRoutes);
+app.use('/api/security-settings', securitySettingsRoutes);
 
 // Serve frontend HTML (for demo/testing)
 app.get('/', (req, res) => {
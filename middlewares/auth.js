@@ -1,10 +1,15 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/user');
+const Session = require('../models/session');
 const AuditLog = require('../models/auditLog');
 
+// Endpoints open to a token issued before required 2FA enrolment or a
+// required password change
+const RESTRICTED_TOKEN_PATHS = ['/api/auth/2fa/', '/api/auth/change-password', '/api/auth/me', '/api/auth/logout'];
+
 const auth = {
   // Verify JWT token
-  verifyToken: (req, res, next) => {
+  verifyToken: async (req, res, next) => {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (!token) {
@@ -16,6 +21,43 @@ const auth = {
     
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      
+      // Reject tokens whose session was revoked or whose user is no
+      // longer active
+      const session = decoded.sessionId && await Session.findById(decoded.sessionId);
+      if (!session || !session.isActive() || session.user.toString() !== decoded.userId) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked. Please log in again.'
+        });
+      }
+      
+      const user = await User.findById(decoded.userId).select('status');
+      if (!user || user.status !== 'active') {
+        return res.status(401).json({
+          success: false,
+          message: 'Account is not active. Please contact administrator.'
+        });
+      }
+      
+      // Users who still have to change their password or enrol in 2FA
+      // may only do that
+      const restricted = !RESTRICTED_TOKEN_PATHS.some(path => req.originalUrl.startsWith(path));
+      if (decoded.password_change_required && restricted) {
+        return res.status(403).json({
+          success: false,
+          message: 'Your password must be changed before continuing.',
+          password_change_required: true
+        });
+      }
+      if (decoded.two_factor_setup_required && restricted) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication must be set up before continuing.',
+          two_factor_setup_required: true
+        });
+      }
+      
       req.user = decoded;
       next();
     } catch (error) {
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+
+// Roles that may still post into a soft-closed period
+const SOFT_CLOSE_ROLES = ['admin', 'accountant', 'financial officer'];
+
+const periodHistorySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['close', 'reopen'],
+    required: true
+  },
+  from_status: {
+    type: String
+  },
+  to_status: {
+    type: String
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const accountingPeriodSchema = new mongoose.Schema({
+  // Calendar month, e.g. "2024-03"
+  period: {
+    type: String,
+    required: true,
+    unique: true,
+    match: /^\d{4}-\d{2}$/
+  },
+  status: {
+    type: String,
+    enum: ['open', 'soft_closed', 'closed'],
+    default: 'open'
+  },
+  closed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closed_at: {
+    type: Date
+  },
+  history: [periodHistorySchema],
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+accountingPeriodSchema.statics.periodFor = function(date) {
+  return moment(date).format('YYYY-MM');
+};
+
+// Status of the month a date falls in (months never closed are open)
+accountingPeriodSchema.statics.statusFor = async function(date) {
+  const record = await this.findOne({ period: this.periodFor(date) });
+  return record ? record.status : 'open';
+};
+
+// Returns a message if a user with this role may not change claims dated
+// in the given month, or null if the month is open to them
+accountingPeriodSchema.statics.lockMessage = async function(date, role) {
+  const status = await this.statusFor(date);
+  const period = this.periodFor(date);
+
+  if (status === 'closed') {
+    return `Accounting period ${period} is closed`;
+  }
+  if (status === 'soft_closed' && !SOFT_CLOSE_ROLES.includes(role)) {
+    return `Accounting period ${period} is closed for new entries. Please contact finance.`;
+  }
+  return null;
+};
+
+accountingPeriodSchema.statics.SOFT_CLOSE_ROLES = SOFT_CLOSE_ROLES;
+
+module.exports = mongoose.model('AccountingPeriod', accountingPeriodSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const approvalStepSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Any of these roles may act on the step
+  roles: {
+    type: [String],
+    required: true
+  },
+  // Approver must be in the claimant's department (e.g. line manager)
+  same_department: {
+    type: Boolean,
+    default: false
+  },
+  // Step only applies when the claim amount is above this value
+  min_amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const approvalChainSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Empty department applies to every department
+  department: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  min_amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  max_amount: {
+    type: Number,
+    min: 0
+  },
+  steps: {
+    type: [approvalStepSchema],
+    validate: [steps => steps.length > 0, 'At least one approval step is required']
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+// Find the most specific active chain for a department and amount.
+// A department-specific chain wins over a catch-all one, then the
+// narrowest amount band wins.
+approvalChainSchema.statics.resolveFor = async function(department, amount) {
+  const chains = await this.find({
+    active: true,
+    department: { $in: [department, null, ''] },
+    min_amount: { $lte: amount }
+  });
+
+  const matching = chains
+    .filter(chain => chain.max_amount == null || amount <= chain.max_amount)
+    .sort((a, b) => {
+      const aSpecific = a.department ? 1 : 0;
+      const bSpecific = b.department ? 1 : 0;
+      if (aSpecific !== bSpecific) return bSpecific - aSpecific;
+      return b.min_amount - a.min_amount;
+    });
+
+  return matching[0] || null;
+};
+
+// Steps from the chain that apply to a claim of the given amount
+approvalChainSchema.methods.stepsFor = function(amount) {
+  return this.steps.filter(step => !step.min_amount || amount > step.min_amount);
+};
+
+approvalChainSchema.index({ department: 1, active: 1 });
+
+module.exports = mongoose.model('ApprovalChain', approvalChainSchema);
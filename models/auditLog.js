@@ -4,7 +4,7 @@ const auditLogSchema = new mongoose.Schema({
   action: {
     type: String,
     required: true,
-    enum: ['login', 'logout', 'create', 'update', 'delete', 'approve', 'reject', 'pay', 'view']
+    enum: ['login', 'login_failed', 'logout', 'create', 'update', 'delete', 'approve', 'reject', 'pay', 'view', 'period_close', 'period_reopen']
   },
   user_id: {
     type: mongoose.Schema.Types.ObjectId,
@@ -20,7 +20,7 @@ const auditLogSchema = new mongoose.Schema({
   },
   entity_type: {
     type: String,
-    enum: ['user', 'claim', 'system']
+    enum: ['user', 'claim', 'system', 'period']
   },
   entity_id: {
     type: String
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const budgetSchema = new mongoose.Schema({
+  department: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Empty category covers all of the department's claims
+  category: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  period: {
+    type: String,
+    enum: ['annual', 'monthly'],
+    default: 'annual'
+  },
+  // 1-12, monthly budgets only
+  month: {
+    type: Number,
+    min: 1,
+    max: 12
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // What happens when a claim would take the budget over
+  enforcement: {
+    type: String,
+    enum: ['warn', 'block'],
+    default: 'warn'
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+budgetSchema.pre('validate', function(next) {
+  if (this.period === 'monthly' && !this.month) {
+    this.invalidate('month', 'Month is required for monthly budgets');
+  }
+  if (this.period === 'annual') {
+    this.month = undefined;
+  }
+  next();
+});
+
+// Date range the budget covers
+budgetSchema.methods.dateRange = function() {
+  if (this.period === 'monthly') {
+    return {
+      startDate: new Date(this.year, this.month - 1, 1),
+      endDate: new Date(this.year, this.month, 0, 23, 59, 59, 999)
+    };
+  }
+  return {
+    startDate: new Date(this.year, 0, 1),
+    endDate: new Date(this.year, 11, 31, 23, 59, 59, 999)
+  };
+};
+
+budgetSchema.index({ department: 1, category: 1, year: 1, period: 1, month: 1 }, { unique: true });
+
+module.exports = mongoose.model('Budget', budgetSchema);
@@ -1,4 +1,234 @@
 const mongoose = require('mongoose');
+const ExchangeRate = require('./exchangeRate');
+
+const { ISO_CURRENCY } = ExchangeRate;
+
+// Allowed status changes: new -> verified -> approved -> paid,
+// with pending (sent back for more information) and rejected branches
+const STATUS_TRANSITIONS = {
+  new: ['verified', 'pending', 'rejected'],
+  pending: ['verified', 'rejected'],
+  verified: ['approved', 'pending', 'rejected'],
+  approved: ['paid', 'pending', 'rejected'],
+  rejected: ['pending'],
+  paid: []
+};
+
+// Approval step added when a claim breaches an "exception" expense policy
+const POLICY_EXCEPTION_STEP = 'Policy exception';
+
+const statusHistorySchema = new mongoose.Schema({
+  from_status: {
+    type: String
+  },
+  to_status: {
+    type: String,
+    required: true
+  },
+  changed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changed_at: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true
+  }
+});
+
+const claimApprovalStepSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  roles: {
+    type: [String],
+    required: true
+  },
+  same_department: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  acted_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  acted_at: {
+    type: Date
+  },
+  note: {
+    type: String,
+    trim: true
+  }
+});
+
+// Subsistence details and the per-diem rule applied to them (GBP)
+const perDiemSchema = new mongoose.Schema({
+  location_band: String,
+  trip_hours: Number,
+  meals: {
+    breakfast: Number,
+    lunch: Number,
+    dinner: Number
+  },
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PerDiemRule'
+  },
+  rule_name: String,
+  days: Number,
+  daily_cap: Number,
+  total_cap: Number,
+  breakdown: [{
+    _id: false,
+    meal: String,
+    claimed: Number,
+    cap: Number,
+    allowed: Number
+  }],
+  claimed: Number,
+  allowed: Number,
+  excess: Number,
+  action: {
+    type: String,
+    enum: ['none', 'cap', 'flag', 'no_rule']
+  },
+  // Amount entered by the claimant before it was capped
+  original_amount: Number
+}, { _id: false });
+
+// Expense policy breached by the claim at submission or edit
+const policyViolationSchema = new mongoose.Schema({
+  policy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExpensePolicy'
+  },
+  policy_name: String,
+  type: String,
+  severity: {
+    type: String,
+    enum: ['block', 'exception']
+  },
+  message: String,
+  exception_roles: [String]
+}, { _id: false });
+
+// File attached to a claim: receipts, invoices, approval emails
+const attachmentSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    enum: ['receipt', 'invoice', 'approval_email', 'other'],
+    default: 'receipt'
+  },
+  // Path of the file in storage
+  filename: {
+    type: String,
+    required: true
+  },
+  original_name: String,
+  url: String,
+  mime_type: String,
+  size: Number,
+  // Compressed web version and thumbnail of images and PDF first pages
+  preview_filename: String,
+  thumbnail_filename: String,
+  // SHA-256 of the file bytes
+  checksum: String,
+  uploaded_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploaded_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// What OCR read from the receipt, compared with the declared amounts
+const receiptCheckSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['matched', 'mismatch', 'unreadable', 'unavailable']
+  },
+  total: Number,
+  vat_amount: Number,
+  date: String,
+  merchant: String,
+  mismatches: [String],
+  scanned_at: Date
+}, { _id: false });
+
+// Earlier claim this one may duplicate, and what matched
+const possibleDuplicateSchema = new mongoose.Schema({
+  claim: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Claim'
+  },
+  claim_id: String,
+  reasons: {
+    type: [String],
+    enum: ['same_receipt', 'same_amount_date_supplier']
+  }
+}, { _id: false });
+
+const budgetWarningSchema = new mongoose.Schema({
+  budget: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Budget'
+  },
+  department: String,
+  category: String,
+  period: String,
+  amount: Number,
+  projected: Number,
+  over_by: Number
+}, { _id: false });
+
+const mileageSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    trim: true
+  },
+  to: {
+    type: String,
+    trim: true
+  },
+  miles: {
+    type: Number,
+    min: 0
+  },
+  vehicle_type: {
+    type: String,
+    enum: ['car', 'van', 'motorcycle', 'bicycle']
+  },
+  passengers: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tax_year: {
+    type: String
+  },
+  // Miles at each AMAP rate, e.g. 45p up to the threshold then 25p
+  breakdown: [{
+    _id: false,
+    miles: Number,
+    rate: Number,
+    amount: Number
+  }],
+  passenger_amount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
 
 const claimSchema = new mongoose.Schema({
   claim_id: {
@@ -20,9 +250,19 @@ const claimSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  department: {
+    type: String
+  },
   category: {
     type: String,
   },
+  // Expense account and VAT treatment of the category when the claim was made
+  nominal_code: {
+    type: String
+  },
+  vat_treatment: {
+    type: String
+  },
   date: {
     type: Date,
     required: true
@@ -37,10 +277,34 @@ const claimSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // ISO 4217 code. Older claims whose free-text currency could not be
+  // converted (see configs/migrateCurrencies.js) keep it until it is edited.
   currency: {
     type: String,
-    default: '£'
+    default: 'GBP',
+    validate: {
+      validator: function(value) {
+        return ISO_CURRENCY.test(value) || !(this.isNew || this.isModified('currency'));
+      },
+      message: 'Currency must be an ISO 4217 code'
+    }
+  },
+  // GBP value of one unit of currency, fixed at the claim date
+  exchange_rate: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  exchange_rate_date: {
+    type: Date
+  },
+  // Amount in GBP
+  base_amount: {
+    type: Number,
+    min: 0
   },
+  // Public link from before receipts were private; receipts are now
+  // fetched through GET /api/claims/:id/receipt
   receipt_url: {
     type: String,
     trim: true
@@ -48,6 +312,18 @@ const claimSchema = new mongoose.Schema({
   receipt_filename: {
     type: String
   },
+  // Compressed web version and thumbnail of the receipt
+  receipt_preview_filename: {
+    type: String
+  },
+  receipt_thumbnail_filename: {
+    type: String
+  },
+  attachments: [attachmentSchema],
+  // SHA-256 of the uploaded receipt bytes, for duplicate detection
+  receipt_hash: {
+    type: String
+  },
   receipt: {
     type: String
   },
@@ -85,6 +361,13 @@ const claimSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  verified_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  verified_at: {
+    type: Date
+  },
   approved_by: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -112,6 +395,46 @@ const claimSchema = new mongoose.Schema({
   payment_reference: {
     type: String
   },
+  status_history: [statusHistorySchema],
+  approval_chain: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApprovalChain'
+  },
+  approval_steps: [claimApprovalStepSchema],
+  // Roles (and department, for same-department steps) of the current step,
+  // kept in sync so "awaiting my approval" can be queried directly
+  awaiting_roles: {
+    type: [String],
+    default: []
+  },
+  awaiting_department: {
+    type: String,
+    default: null
+  },
+  mileage: mileageSchema,
+  per_diem: perDiemSchema,
+  // Budgets the claim took over when it was submitted
+  budget_warnings: [budgetWarningSchema],
+  policy_violations: [policyViolationSchema],
+  receipt_check: receiptCheckSchema,
+  possible_duplicates: [possibleDuplicateSchema],
+  // flagged claims wait in the finance duplicate review queue
+  duplicate_status: {
+    type: String,
+    enum: ['none', 'flagged', 'cleared', 'confirmed'],
+    default: 'none'
+  },
+  duplicate_reviewed_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  duplicate_reviewed_at: {
+    type: Date
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
   company_name: {
     type: String
   },
@@ -156,10 +479,194 @@ const claimSchema = new mongoose.Schema({
 //   next();
 // });
 
+// Store symbols from older claims as ISO codes
+claimSchema.pre('validate', function(next) {
+  const code = ExchangeRate.normalizeCurrency(this.currency);
+  if (ISO_CURRENCY.test(code) || this.isNew || this.isModified('currency')) {
+    this.currency = code;
+  }
+  if (this.currency === ExchangeRate.BASE_CURRENCY) {
+    this.exchange_rate = 1;
+    this.base_amount = this.amount;
+  }
+  next();
+});
+
+// Fix the exchange rate at the claim date and work out the GBP amount.
+// Returns false if no rate is available for the currency and date.
+claimSchema.methods.applyExchangeRate = async function() {
+  const rate = await ExchangeRate.rateFor(this.currency, this.date);
+  if (!rate) return false;
+
+  this.exchange_rate = rate.rate;
+  this.exchange_rate_date = rate.date;
+  this.base_amount = this.baseValue(this.amount);
+  return true;
+};
+
+// Convert a value in the claim currency to GBP
+claimSchema.methods.baseValue = function(value) {
+  return Math.round((Number(value) || 0) * (this.exchange_rate || 1) * 100) / 100;
+};
+
+// Status the claim had at the given date, from its status history.
+// Null if the claim did not exist yet, undefined for older claims with
+// no history to go on.
+claimSchema.methods.statusAt = function(date) {
+  if (this.created_at && this.created_at > date) return null;
+  if (this.status_history.length === 0) return undefined;
+  const changes = this.status_history.filter(change => change.changed_at <= date);
+  return changes.length > 0
+    ? changes[changes.length - 1].to_status
+    : this.status_history[0].from_status;
+};
+
+// Check whether the claim may move to the given status
+claimSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move the claim to a new status, stamping the matching *_by/*_at fields
+// and recording the change in status_history
+claimSchema.methods.transitionTo = function(status, userId, note) {
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`Cannot change claim from ${this.status} to ${status}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const now = new Date();
+
+  if (status === 'verified') {
+    this.verified_by = userId;
+    this.verified_at = now;
+  } else if (status === 'approved') {
+    this.approved_by = userId;
+    this.approved_at = now;
+  } else if (status === 'rejected') {
+    this.rejected_by = userId;
+    this.rejected_at = now;
+    if (note) this.rejection_reason = note;
+  } else if (status === 'paid') {
+    this.paid_by = userId;
+    this.paid_at = now;
+  }
+
+  this.status_history.push({
+    from_status: this.status,
+    to_status: status,
+    changed_by: userId,
+    changed_at: now,
+    note
+  });
+
+  this.status = status;
+  this.refreshAwaiting();
+  return this;
+};
+
+// Copy the applicable steps of an approval chain onto the claim
+claimSchema.methods.setApprovalSteps = function(chain) {
+  this.approval_chain = chain ? chain._id : undefined;
+  this.approval_steps = chain ? chain.stepsFor(this.base_amount ?? this.amount).map(step => ({
+    name: step.name,
+    roles: step.roles,
+    same_department: step.same_department
+  })) : [];
+  this.syncPolicyExceptionStep();
+  return this;
+};
+
+// Add, replace or drop the approval step for signing off policy
+// exceptions so it matches the claim's current violations. A step that
+// has already been decided is left alone.
+claimSchema.methods.syncPolicyExceptionStep = function() {
+  const exceptions = this.policy_violations.filter(violation => violation.severity === 'exception');
+  const existing = this.approval_steps.find(step => step.name === POLICY_EXCEPTION_STEP);
+
+  if (!existing || existing.status === 'pending') {
+    if (existing) this.approval_steps.pull(existing._id);
+    if (exceptions.length > 0) {
+      const roles = [...new Set(exceptions.flatMap(violation => violation.exception_roles))];
+      this.approval_steps.push({
+        name: POLICY_EXCEPTION_STEP,
+        roles: roles.length > 0 ? roles : ['financial officer']
+      });
+    }
+  }
+  this.refreshAwaiting();
+  return this;
+};
+
+// First approval step still waiting for a decision, if the claim is open
+claimSchema.methods.currentApprovalStep = function() {
+  if (!['new', 'pending', 'verified'].includes(this.status)) return null;
+  return this.approval_steps.find(step => step.status === 'pending') || null;
+};
+
+claimSchema.methods.refreshAwaiting = function() {
+  const step = this.currentApprovalStep();
+  this.awaiting_roles = step ? step.roles : [];
+  this.awaiting_department = step && step.same_department ? this.department : null;
+};
+
+// Check whether a user ({ userId, role, department }) may act on the current step
+claimSchema.methods.canActOnApproval = function(user) {
+  const step = this.currentApprovalStep();
+  if (!step) return false;
+  if (this.user_id && this.user_id.toString() === user.userId) return false;
+  if (user.role === 'admin') return true;
+  if (!step.roles.includes(user.role)) return false;
+  if (step.same_department && user.department !== this.department) return false;
+  return true;
+};
+
+// Approve or reject the current step, moving the claim to verified after
+// the first approval, approved after the last one, or rejected
+claimSchema.methods.actOnApproval = function(decision, userId, note) {
+  const step = this.currentApprovalStep();
+  if (!step) {
+    const error = new Error('Claim has no approval step awaiting action');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  step.status = decision === 'approve' ? 'approved' : 'rejected';
+  step.acted_by = userId;
+  step.acted_at = new Date();
+  step.note = note;
+
+  if (decision !== 'approve') {
+    this.transitionTo('rejected', userId, note || `Rejected at ${step.name} step`);
+    return this;
+  }
+
+  if (this.status !== 'verified') {
+    this.transitionTo('verified', userId, `${step.name} approved`);
+  }
+  if (!this.currentApprovalStep()) {
+    this.transitionTo('approved', userId, note || `${step.name} approved`);
+  }
+  this.refreshAwaiting();
+  return this;
+};
+
+claimSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+// Aggregation expression for a claim's amount in GBP. Claims saved before
+// base amounts existed fall back to their amount until
+// configs/migrateCurrencies.js has filled them in.
+claimSchema.statics.BASE_AMOUNT = { $ifNull: ['$base_amount', '$amount'] };
+
 // Indexes for better query performance
 claimSchema.index({ user_id: 1, status: 1 });
 claimSchema.index({ status: 1 });
 claimSchema.index({ date: -1 });
+claimSchema.index({ supplier: 1 });
+claimSchema.index({ receipt_hash: 1 });
+claimSchema.index({ duplicate_status: 1 });
+claimSchema.index({ 'receipt_check.status': 1 });
+claimSchema.index({ awaiting_roles: 1, awaiting_department: 1 });
 // claimSchema.index({ claim_id: 1 }, { unique: true });
 
 module.exports = mongoose.model('Claim', claimSchema);
\ No newline at end of file
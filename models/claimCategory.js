@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// UK VAT rate (%) for each treatment
+const VAT_RATES = {
+  standard: 20,
+  reduced: 5,
+  zero: 0,
+  exempt: 0,
+  outside_scope: 0
+};
+
+const claimCategorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  nominal_code: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  vat_treatment: {
+    type: String,
+    enum: Object.keys(VAT_RATES),
+    default: 'standard'
+  },
+  // How the claim amount is worked out: entered by the claimant,
+  // calculated from journey details at HMRC mileage rates, or held to
+  // the per-diem subsistence rules
+  calculation: {
+    type: String,
+    enum: ['none', 'mileage', 'per_diem'],
+    default: 'none'
+  },
+  // Claims in this category must be against an approved supplier
+  requires_approved_supplier: {
+    type: Boolean,
+    default: false
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  },
+  toJSON: { virtuals: true }
+});
+
+claimCategorySchema.virtual('vat_rate').get(function() {
+  return VAT_RATES[this.vat_treatment];
+});
+
+claimCategorySchema.statics.VAT_RATES = VAT_RATES;
+
+module.exports = mongoose.model('ClaimCategory', claimCategorySchema);
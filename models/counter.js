@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Named sequences for document references, incremented atomically so
+// concurrent requests never receive the same number
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Next value of the named sequence. A new sequence starts after `start`.
+counterSchema.statics.next = async function(name, start = 0) {
+  await this.updateOne(
+    { _id: name },
+    { $setOnInsert: { seq: start } },
+    { upsert: true }
+  );
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const BASE_CURRENCY = 'GBP';
+
+const ISO_CURRENCY = /^[A-Z]{3}$/;
+
+// Symbols and names typed into the currency on older claims
+const CURRENCY_SYMBOLS = {
+  '£': 'GBP',
+  '$': 'USD',
+  '€': 'EUR',
+  'POUND': 'GBP',
+  'POUNDS': 'GBP',
+  'STERLING': 'GBP',
+  'GBP£': 'GBP',
+  '£GBP': 'GBP',
+  'DOLLAR': 'USD',
+  'DOLLARS': 'USD',
+  'US$': 'USD',
+  'EURO': 'EUR',
+  'EUROS': 'EUR'
+};
+
+const normalizeCurrency = (value) => {
+  if (!value) return value;
+  const trimmed = String(value).trim().toUpperCase();
+  return CURRENCY_SYMBOLS[trimmed] || trimmed;
+};
+
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: ISO_CURRENCY
+  },
+  // Value of one unit of the currency in GBP
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    trim: true
+  },
+  imported_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Latest rate on or before the date; GBP is always 1
+exchangeRateSchema.statics.rateFor = async function(currency, date) {
+  const code = normalizeCurrency(currency);
+  if (code === BASE_CURRENCY) {
+    return { currency: code, rate: 1, date: new Date(date) };
+  }
+
+  return this.findOne({ currency: code, date: { $lte: new Date(date) } })
+    .sort({ date: -1 });
+};
+
+exchangeRateSchema.statics.BASE_CURRENCY = BASE_CURRENCY;
+exchangeRateSchema.statics.ISO_CURRENCY = ISO_CURRENCY;
+exchangeRateSchema.statics.normalizeCurrency = normalizeCurrency;
+
+exchangeRateSchema.index({ currency: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
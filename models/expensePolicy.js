@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+const POLICY_TYPES = ['receipt_required', 'no_weekend', 'max_age', 'disallowed_category'];
+
+const expensePolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: POLICY_TYPES
+  },
+  // receipt_required: claims over this amount (GBP) need a receipt
+  amount_threshold: {
+    type: Number,
+    min: 0
+  },
+  // max_age: expenses older than this many days at submission
+  max_age_days: {
+    type: Number,
+    min: 0
+  },
+  // Claim categories the policy covers; empty covers every category.
+  // For disallowed_category these are the categories that are refused.
+  categories: {
+    type: [String],
+    default: []
+  },
+  // Claimant roles the policy covers; empty covers every role
+  roles: {
+    type: [String],
+    default: []
+  },
+  // "block" refuses the claim, "exception" routes it to an exception approver
+  severity: {
+    type: String,
+    enum: ['block', 'exception'],
+    default: 'exception'
+  },
+  exception_roles: {
+    type: [String],
+    default: ['financial officer']
+  },
+  // Optional text shown to the claimant instead of the default
+  message: {
+    type: String,
+    trim: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+expensePolicySchema.pre('validate', function(next) {
+  if (this.type === 'receipt_required' && this.amount_threshold == null) {
+    this.invalidate('amount_threshold', 'Amount threshold is required for receipt policies');
+  }
+  if (this.type === 'max_age' && this.max_age_days == null) {
+    this.invalidate('max_age_days', 'Maximum age in days is required for expense age policies');
+  }
+  if (this.type === 'disallowed_category' && this.categories.length === 0) {
+    this.invalidate('categories', 'At least one category is required for disallowed category policies');
+  }
+  next();
+});
+
+// Whether the policy covers a claim in this category by a claimant in this role
+expensePolicySchema.methods.appliesTo = function(category, role) {
+  if (this.categories.length > 0 && !this.categories.includes(category)) return false;
+  if (this.roles.length > 0 && !this.roles.includes(role)) return false;
+  return true;
+};
+
+expensePolicySchema.statics.POLICY_TYPES = POLICY_TYPES;
+
+module.exports = mongoose.model('ExpensePolicy', expensePolicySchema);
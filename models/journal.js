@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const Counter = require('./counter');
+
+const journalLineSchema = new mongoose.Schema({
+  account_code: {
+    type: String,
+    required: true
+  },
+  account_name: {
+    type: String
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  description: {
+    type: String
+  }
+}, { _id: false });
+
+const journalSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  description: {
+    type: String
+  },
+  source: {
+    type: String,
+    enum: ['claim_approved', 'claim_paid', 'claim_reversal', 'manual'],
+    required: true
+  },
+  claim: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Claim'
+  },
+  lines: [journalLineSchema],
+  // Journal this one reverses, if any
+  reverses: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Journal'
+  },
+  reversed: {
+    type: Boolean,
+    default: false
+  },
+  posted_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Reject journals whose debits and credits do not balance
+journalSchema.pre('validate', function(next) {
+  const totals = this.lines.reduce((acc, line) => {
+    acc.debit += line.debit || 0;
+    acc.credit += line.credit || 0;
+    return acc;
+  }, { debit: 0, credit: 0 });
+
+  if (this.lines.length < 2 || Math.round(totals.debit * 100) !== Math.round(totals.credit * 100)) {
+    this.invalidate('lines', `Journal does not balance (debit ${totals.debit.toFixed(2)}, credit ${totals.credit.toFixed(2)})`);
+  }
+  next();
+});
+
+// Static method to generate journal reference
+journalSchema.statics.generateReference = async function() {
+  // The first time round, carry on from the highest reference issued
+  // before the counter existed
+  let start = 100000;
+  if (!(await Counter.exists({ _id: 'journal' }))) {
+    const [highest] = await this.aggregate([
+      { $project: { number: { $convert: { input: { $substrCP: ['$reference', 4, 20] }, to: 'int', onError: 0, onNull: 0 } } } },
+      { $group: { _id: null, number: { $max: '$number' } } }
+    ]);
+    start = Math.max(start, highest?.number || 0);
+  }
+  return `JNL-${await Counter.next('journal', start)}`;
+};
+
+journalSchema.index({ date: -1 });
+journalSchema.index({ claim: 1, source: 1 });
+journalSchema.index({ 'lines.account_code': 1, date: -1 });
+
+module.exports = mongoose.model('Journal', journalSchema);
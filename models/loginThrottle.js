@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Failed login attempts from one IP address, whichever accounts they target
+const loginThrottleSchema = new mongoose.Schema({
+  ip_address: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  last_failed_at: {
+    type: Date
+  },
+  blocked_until: {
+    type: Date
+  },
+  // Removed by MongoDB once the attempts are no longer relevant
+  expires_at: {
+    type: Date,
+    required: true
+  }
+});
+
+loginThrottleSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const passwordResetTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the emailed token; the token itself is never stored
+  token_hash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  used_at: {
+    type: Date
+  },
+  requested_ip: {
+    type: String
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+passwordResetTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Create a token for a user, returning the plain token to email
+passwordResetTokenSchema.statics.issue = async function(userId, ttlMinutes, ip) {
+  const token = crypto.randomBytes(32).toString('hex');
+  await this.create({
+    user: userId,
+    token_hash: this.hashToken(token),
+    expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    requested_ip: ip
+  });
+  return token;
+};
+
+// Unused, unexpired token matching the plain token, if any
+passwordResetTokenSchema.statics.findValid = function(token) {
+  return this.findOne({
+    token_hash: this.hashToken(token),
+    used_at: null,
+    expires_at: { $gt: new Date() }
+  });
+};
+
+// Mark the token matching the plain token as used, returning it only if
+// it was still unused and unexpired. Two requests racing with the same
+// link cannot both claim it.
+passwordResetTokenSchema.statics.claim = function(token) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      token_hash: this.hashToken(token),
+      used_at: null,
+      expires_at: { $gt: now }
+    },
+    { $set: { used_at: now } },
+    { new: true }
+  );
+};
+
+passwordResetTokenSchema.index({ user: 1, created_at: -1 });
+// Remove tokens a day after they expire
+passwordResetTokenSchema.index({ expires_at: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
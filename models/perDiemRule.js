@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const perDiemRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // e.g. "london", "uk", "overseas"
+  location_band: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  // Rule applies to trips of at least this many hours
+  min_trip_hours: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Cap per day of the trip, in GBP
+  daily_cap: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Optional caps per meal per day, in GBP
+  meal_caps: {
+    breakfast: { type: Number, min: 0 },
+    lunch: { type: Number, min: 0 },
+    dinner: { type: Number, min: 0 }
+  },
+  // Reduce the claim to the allowance, or keep it and flag the excess
+  action: {
+    type: String,
+    enum: ['cap', 'flag'],
+    default: 'cap'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+// Active rule for a location band with the longest trip threshold
+// the trip meets
+perDiemRuleSchema.statics.resolveFor = function(locationBand, tripHours) {
+  return this.findOne({
+    active: true,
+    location_band: String(locationBand || '').toLowerCase(),
+    min_trip_hours: { $lte: tripHours }
+  }).sort({ min_trip_hours: -1 });
+};
+
+perDiemRuleSchema.index({ location_band: 1, min_trip_hours: -1 });
+
+module.exports = mongoose.model('PerDiemRule', perDiemRuleSchema);
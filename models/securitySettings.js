@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const User = require('./user');
+
+// System-wide security settings, kept in a single document
+const securitySettingsSchema = new mongoose.Schema({
+  // Roles that must use two-factor authentication to sign in
+  two_factor_required_roles: {
+    type: [String],
+    default: []
+  },
+  // Rules for new passwords (utils/passwordPolicy.js)
+  password_policy: {
+    min_length: { type: Number, default: 10, min: 8, max: 128 },
+    require_uppercase: { type: Boolean, default: true },
+    require_lowercase: { type: Boolean, default: true },
+    require_number: { type: Boolean, default: true },
+    require_symbol: { type: Boolean, default: false },
+    // Refuse passwords from the common-password list
+    block_common: { type: Boolean, default: true },
+    // Number of recent passwords, including the current one, that cannot be reused
+    history_count: { type: Number, default: 5, min: 0, max: User.PASSWORD_HISTORY_LIMIT },
+    // Days before a password must be changed; 0 means it never expires
+    expiry_days: { type: Number, default: 0, min: 0 }
+  },
+  updated_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+// The settings document, created with defaults on first use
+securitySettingsSchema.statics.current = async function() {
+  return (await this.findOne()) || this.create({});
+};
+
+securitySettingsSchema.methods.requiresTwoFactor = function(role) {
+  return this.two_factor_required_roles.includes(role);
+};
+
+module.exports = mongoose.model('SecuritySettings', securitySettingsSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A signed-in device. Each refresh rotates the refresh token; presenting
+// an already-rotated token revokes the session as a suspected theft.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the refresh token currently valid for this session
+  refresh_token_hash: {
+    type: String
+  },
+  device: {
+    type: String
+  },
+  user_agent: {
+    type: String
+  },
+  ip_address: {
+    type: String
+  },
+  last_used_at: {
+    type: Date,
+    default: Date.now
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  revoked_at: {
+    type: Date
+  },
+  revoked_reason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'token_reuse', 'password_reset', 'password_change', 'account_inactive', 'admin_revoked']
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Short description of the device from its user agent, e.g. "Chrome on Windows"
+sessionSchema.statics.describeDevice = function(userAgent = '') {
+  const browser = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//], ['Postman', /PostmanRuntime/], ['curl', /curl\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+  const os = [
+    ['Windows', /Windows/], ['Android', /Android/], ['iOS', /iPhone|iPad/],
+    ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+  if (!browser && !os) return 'Unknown device';
+  return [browser?.[0] || 'Unknown browser', os && `on ${os[0]}`].filter(Boolean).join(' ');
+};
+
+sessionSchema.methods.isActive = function() {
+  return !this.revoked_at && this.expires_at > new Date();
+};
+
+sessionSchema.methods.revoke = function(reason) {
+  this.revoked_at = new Date();
+  this.revoked_reason = reason;
+  return this.save();
+};
+
+// Revoke every open session of a user, optionally keeping one
+sessionSchema.statics.revokeAll = function(userId, reason, exceptSessionId) {
+  const query = { user: userId, revoked_at: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+  return this.updateMany(query, { $set: { revoked_at: new Date(), revoked_reason: reason } });
+};
+
+sessionSchema.index({ user: 1, revoked_at: 1 });
+// Remove sessions a month after they expire
+sessionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// Lower-case, strip punctuation and company suffixes so "ACME Ltd.",
+// "Acme Limited" and "acme" are treated as the same supplier
+const normalizeName = (name) => (name || '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9 ]/g, ' ')
+  .replace(/\b(ltd|limited|plc|llp|llc|inc|co|company|uk)\b/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const supplierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  normalized_name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  address: {
+    line1: { type: String, trim: true },
+    line2: { type: String, trim: true },
+    city: { type: String, trim: true },
+    postcode: { type: String, trim: true, uppercase: true },
+    country: { type: String, trim: true, default: 'United Kingdom' }
+  },
+  vat_number: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  bank_details: {
+    account_name: { type: String, trim: true },
+    sort_code: { type: String, trim: true },
+    account_number: { type: String, trim: true }
+  },
+  contact_person: {
+    type: String,
+    trim: true
+  },
+  contact_email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'blocked'],
+    default: 'pending'
+  },
+  status_reason: {
+    type: String,
+    trim: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+supplierSchema.pre('validate', function(next) {
+  if (this.isModified('name') || !this.normalized_name) {
+    this.normalized_name = normalizeName(this.name);
+  }
+  next();
+});
+
+// Find a supplier by any spelling of its name
+supplierSchema.statics.findByName = function(name) {
+  return this.findOne({ normalized_name: normalizeName(name) });
+};
+
+supplierSchema.statics.normalizeName = normalizeName;
+
+supplierSchema.index({ status: 1 });
+
+module.exports = mongoose.model('Supplier', supplierSchema);
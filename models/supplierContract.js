@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Supplier = require('./supplier');
+
+const supplierContractSchema = new mongoose.Schema({
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier'
+  },
+  supplier_name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  normalized_name: {
+    type: String
+  },
+  // Claim category the payments are made under, e.g. "Approved Supplier IT (Monthly)"
+  category: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  frequency: {
+    type: String,
+    enum: ['monthly', 'yearly'],
+    required: true
+  },
+  // Expected amount per payment (per month or per year)
+  expected_amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Allowed overspend per payment before it is flagged, in percent
+  tolerance_percent: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  start_date: {
+    type: Date,
+    required: true
+  },
+  end_date: {
+    type: Date
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  created_by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: {
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  }
+});
+
+supplierContractSchema.pre('validate', function(next) {
+  this.normalized_name = Supplier.normalizeName(this.supplier_name);
+  next();
+});
+
+supplierContractSchema.index({ normalized_name: 1, active: 1 });
+
+module.exports = mongoose.model('SupplierContract', supplierContractSchema);
@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Most password hashes kept in password_history
+const PASSWORD_HISTORY_LIMIT = 24;
+
 const userSchema = new mongoose.Schema({
   employee_id: {
     type: String,
@@ -47,6 +50,46 @@ const userSchema = new mongoose.Schema({
   last_login: {
     type: Date
   },
+  // Hashes of recent passwords, newest (the current one) first
+  password_history: [String],
+  password_changed_at: {
+    type: Date
+  },
+  // Set on accounts created by an admin until the user picks their own password
+  must_change_password: {
+    type: Boolean,
+    default: false
+  },
+  // Recent failed logins and temporary lockout (utils/loginThrottle.js)
+  failed_login_attempts: {
+    type: Number,
+    default: 0
+  },
+  last_failed_login_at: {
+    type: Date
+  },
+  locked_until: {
+    type: Date
+  },
+  // TOTP two-factor authentication; secrets are encrypted (utils/totp.js)
+  two_factor: {
+    enabled: { type: Boolean, default: false },
+    secret: String,
+    // Secret awaiting a first valid code during enrolment
+    pending_secret: String,
+    // SHA-256 hashes of unused recovery codes
+    recovery_codes: [String],
+    // Last time step accepted, so a code cannot be used twice
+    last_used_step: Number,
+    enabled_at: Date
+  },
+  // Business miles claimed per UK tax year, for the HMRC mileage threshold
+  mileage_totals: [{
+    _id: false,
+    tax_year: { type: String, required: true },
+    car_van_miles: { type: Number, default: 0 },
+    other_miles: { type: Number, default: 0 }
+  }],
   created_at: {
     type: Date,
     default: Date.now
@@ -69,6 +112,9 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    this.password_history = [this.password, ...(this.password_history || [])]
+      .slice(0, PASSWORD_HISTORY_LIMIT);
+    this.password_changed_at = new Date();
     next();
   } catch (error) {
     next(error);
@@ -84,6 +130,12 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const obj = this.toObject();
   delete obj.password;
+  delete obj.password_history;
+  obj.two_factor = {
+    enabled: !!obj.two_factor?.enabled,
+    enabled_at: obj.two_factor?.enabled_at,
+    recovery_codes_remaining: obj.two_factor?.recovery_codes?.length || 0
+  };
   delete obj.__v;
   return obj;
 };
@@ -102,4 +154,6 @@ userSchema.statics.generateEmployeeId = async function() {
   return `ISC-W-${1000 + (await this.countDocuments()) + 1}`;
 };
 
+userSchema.statics.PASSWORD_HISTORY_LIMIT = PASSWORD_HISTORY_LIMIT;
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Account = require('../models/account');
+const auth = require('../middlewares/auth');
+
+// @route   GET /api/accounts
+// @desc    Get chart of accounts
+// @access  Private (Finance)
+router.get('/', auth.verifyToken, auth.checkRole('admin', 'accountant', 'financial officer'), async (req, res) => {
+  try {
+    const { type, active } = req.query;
+    
+    const query = {};
+    if (type) query.type = type.split(',');
+    if (active !== undefined) query.active = active === 'true';
+    
+    const accounts = await Account.find(query).sort({ code: 1 });
+    
+    res.json({
+      success: true,
+      data: accounts
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/accounts
+// @desc    Create account
+// @access  Private (Admin/Accountant)
+router.post('/', 
+  auth.verifyToken,
+  auth.checkRole('admin', 'accountant'),
+  [
+    body('code').trim().notEmpty().withMessage('Account code is required'),
+    body('name').trim().notEmpty().withMessage('Account name is required'),
+    body('type').isIn(['expense', 'asset', 'liability']).withMessage('Type must be expense, asset or liability'),
+    body('description').optional().trim(),
+    body('active').optional().isBoolean()
+  ],
+  async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const existing = await Account.findOne({ code: req.body.code });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account code already exists'
+      });
+    }
+    
+    const account = new Account({
+      code: req.body.code,
+      name: req.body.name,
+      type: req.body.type,
+      description: req.body.description,
+      active: req.body.active
+    });
+    await account.save();
+    
+    // Log activity
+    await auth.logActivity(req, 'create', 'system', account.code, 
+      `Created account ${account.code} ${account.name}`);
+    
+    res.status(201).json({
+      success: true,
+      data: account,
+      message: 'Account created successfully'
+    });
+    
+  } catch (error) {
+    console.error('Create account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/accounts/:code
+// @desc    Update account (code cannot change once created)
+// @access  Private (Admin/Accountant)
+router.put('/:code', 
+  auth.verifyToken,
+  auth.checkRole('admin', 'accountant'),
+  [
+    body('name').optional().trim().notEmpty(),
+    body('type').optional().isIn(['expense', 'asset', 'liability']).withMessage('Type must be expense, asset or liability'),
+    body('description').optional().trim(),
+    body('active').optional().isBoolean()
+  ],
+  async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const account = await Account.findOne({ code: req.params.code });
+    
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+    
+    if (req.body.name) account.name = req.body.name;
+    if (req.body.type) account.type = req.body.type;
+    if (req.body.description !== undefined) account.description = req.body.description;
+    if (req.body.active !== undefined) account.active = req.body.active;
+    
+    await account.save();
+    
+    // Log activity
+    await auth.logActivity(req, 'update', 'system', account.code, 
+      `Updated account ${account.code}`);
+    
+    res.json({
+      success: true,
+      data: account,
+      message: 'Account updated successfully'
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const ApprovalChain = require('../models/approvalChain');
+const auth = require('../middlewares/auth');
+
+const chainValidation = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('department').optional({ nullable: true }).trim(),
+  body('min_amount').optional().isFloat({ min: 0 }).withMessage('Minimum amount must be a positive number'),
+  body('max_amount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Maximum amount must be a positive number'),
+  body('steps').isArray({ min: 1 }).withMessage('At least one approval step is required'),
+  body('steps.*.name').trim().notEmpty().withMessage('Step name is required'),
+  body('steps.*.roles').isArray({ min: 1 }).withMessage('Each step needs at least one role'),
+  body('steps.*.same_department').optional().isBoolean(),
+  body('steps.*.min_amount').optional().isFloat({ min: 0 }),
+  body('active').optional().isBoolean()
+];
+
+// @route   GET /api/approval-chains
+// @desc    Get all approval chains
+// @access  Private (Admin only)
+router.get('/', auth.verifyToken, auth.checkRole('admin'), async (req, res) => {
+  try {
+    const chains = await ApprovalChain.find()
+      .sort({ department: 1, min_amount: 1 });
+    
+    res.json({
+      success: true,
+      data: chains
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/approval-chains
+// @desc    Create approval chain
+// @access  Private (Admin only)
+router.post('/', auth.verifyToken, auth.checkRole('admin'), chainValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const chain = new ApprovalChain({
+      name: req.body.name,
+      department: req.body.department || null,
+      min_amount: req.body.min_amount,
+      max_amount: req.body.max_amount,
+      steps: req.body.steps,
+      active: req.body.active,
+      created_by: req.user.userId
+    });
+    await chain.save();
+    
+    // Log activity
+    await auth.logActivity(req, 'create', 'system', chain._id.toString(), 
+      `Created approval chain ${chain.name}`);
+    
+    res.status(201).json({
+      success: true,
+      data: chain,
+      message: 'Approval chain created successfully'
+    });
+    
+  } catch (error) {
+    console.error('Create approval chain error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/approval-chains/:id
+// @desc    Update approval chain (applies to claims submitted afterwards)
+// @access  Private (Admin only)
+router.put('/:id', auth.verifyToken, auth.checkRole('admin'), chainValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const chain = await ApprovalChain.findById(req.params.id);
+    
+    if (!chain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval chain not found'
+      });
+    }
+    
+    chain.name = req.body.name;
+    chain.department = req.body.department || null;
+    if (req.body.min_amount !== undefined) chain.min_amount = req.body.min_amount;
+    chain.max_amount = req.body.max_amount;
+    chain.steps = req.body.steps;
+    if (req.body.active !== undefined) chain.active = req.body.active;
+    
+    await chain.save();
+    
+    // Log activity
+    await auth.logActivity(req, 'update', 'system', chain._id.toString(), 
+      `Updated approval chain ${chain.name}`);
+    
+    res.json({
+      success: true,
+      data: chain,
+      message: 'Approval chain updated successfully'
+    });
+    
+  } catch (error) {
+    console.error('Update approval chain error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/approval-chains/:id
+// @desc    Delete approval chain
+// @access  Private (Admin only)
+router.delete('/:id', auth.verifyToken, auth.checkRole('admin'), async (req, res) => {
+  try {
+    const chain = await ApprovalChain.findByIdAndDelete(req.params.id);
+    
+    if (!chain) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval chain not found'
+      });
+    }
+    
+    // Log activity
+    await auth.logActivity(req, 'delete', 'system', chain._id.toString(), 
+      `Deleted approval chain ${chain.name}`);
+    
+    res.json({
+      success: true,
+      message: 'Approval chain deleted successfully'
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,184 @@
 const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/user');
+const PasswordResetToken = require('../models/passwordResetToken');
+const Session = require('../models/session');
+const SecuritySettings = require('../models/securitySettings');
 const auth = require('../middlewares/auth');
+const { sendPasswordResetEmail } = require('../utils/mailer');
+const totp = require('../utils/totp');
+const loginThrottle = require('../utils/loginThrottle');
+const passwordPolicy = require('../utils/passwordPolicy');
+
+// Reset links are valid for this many minutes
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES) || 30;
+// Reset emails allowed per account per hour
+const RESET_REQUESTS_PER_HOUR = parseInt(process.env.RESET_REQUESTS_PER_HOUR) || 3;
+
+// What the user must do before their token reaches the rest of the API:
+// enrol in 2FA if their role requires it, and change a temporary or
+// expired password
+const tokenRestrictions = async (user) => {
+  const settings = await SecuritySettings.current();
+  return {
+    two_factor_setup_required: !user.two_factor?.enabled && settings.requiresTwoFactor(user.role),
+    password_change_required: user.must_change_password || passwordPolicy.isExpired(user, settings.password_policy)
+  };
+};
+
+// Access token carrying the user's details and session. A token with
+// restrictions only reaches the endpoints that clear them.
+const signAccessToken = (user, sessionId, restrictions = {}) => jwt.sign(
+  {
+    userId: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    employee_id: user.employee_id,
+    sessionId,
+    ...restrictions
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.JWT_EXPIRE || '24h' }
+);
+
+// Issue the next refresh token for a session. Only its hash is kept, and
+// only the latest one is accepted by /refresh. Given the token being
+// exchanged, the swap only happens if that token is still the session's
+// current one, so two requests replaying the same token cannot both get
+// a new one; the loser gets null.
+const rotateRefreshToken = async (session, currentToken) => {
+  const refreshToken = jwt.sign(
+    { userId: session.user, sessionId: session._id, jti: crypto.randomBytes(16).toString('hex') },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d' }
+  );
+  const rotation = {
+    refresh_token_hash: Session.hashToken(refreshToken),
+    expires_at: new Date(jwt.decode(refreshToken).exp * 1000),
+    last_used_at: new Date()
+  };
+  
+  if (!currentToken) {
+    session.set(rotation);
+    await session.save();
+    return refreshToken;
+  }
+  
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refresh_token_hash: Session.hashToken(currentToken), revoked_at: null },
+    { $set: rotation },
+    { new: true }
+  );
+  return rotated ? refreshToken : null;
+};
+
+// A refresh token that was already rotated is being replayed: end the
+// session so neither copy can be used again
+const refreshTokenReused = async (req, res, session) => {
+  await session.revoke('token_reuse');
+  await auth.logActivity(req, 'logout', 'user', session.user.toString(),
+    `Session ${session._id} revoked after refresh token reuse`);
+  return res.status(401).json({
+    success: false,
+    message: 'Refresh token has already been used. Please log in again.'
+  });
+};
+
+// Sign the user in on this device: record the login, start a session
+// and send the tokens
+const startSession = async (req, res, user) => {
+  loginThrottle.clearFailures(user);
+  user.last_login = new Date();
+  await user.save();
+  
+  const session = new Session({
+    user: user._id,
+    device: Session.describeDevice(req.get('User-Agent')),
+    user_agent: req.get('User-Agent'),
+    ip_address: req.ip
+  });
+  const refreshToken = await rotateRefreshToken(session);
+  const restrictions = await tokenRestrictions(user);
+  const token = signAccessToken(user, session._id, restrictions);
+  
+  // Log activity
+  await auth.logActivity(req, 'login', 'user', user._id.toString(), 'User logged in');
+  
+  res.json({
+    success: true,
+    data: {
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        employee_id: user.employee_id,
+        department: user.department,
+        phone: user.phone
+      },
+      token,
+      refresh_token: refreshToken,
+      ...restrictions
+    }
+  });
+};
+
+// Count a failed sign-in against the IP address and account and write
+// it to the audit log
+const loginFailed = async (req, user, username, reason) => {
+  const locked = await loginThrottle.recordFailure(req.ip, user);
+  req.user = user
+    ? { userId: user._id, name: user.name, role: user.role }
+    : { name: username || 'unknown', role: 'unknown' };
+  await auth.logActivity(req, 'login_failed', 'user', user?._id.toString(),
+    `${reason}${locked ? `; account locked for ${loginThrottle.LOGIN_LOCKOUT_MINUTES} minutes` : ''}`);
+};
+
+// Refuse an attempt made before the caller's wait is over
+const tooManyAttempts = (res, wait, locked) => {
+  res.set('Retry-After', String(wait));
+  return res.status(locked ? 423 : 429).json({
+    success: false,
+    message: locked
+      ? `Account is temporarily locked after repeated failed logins. Try again in ${Math.ceil(wait / 60)} minute(s).`
+      : `Too many failed login attempts. Try again in ${wait} second(s).`,
+    retry_after: wait
+  });
+};
+
+// Check a TOTP code against the user's secret, spending its time step.
+// The step is recorded only if no later one has been, in one update, so
+// two requests with the same code cannot both pass.
+const verifyTwoFactorCode = async (user, secret, code) => {
+  const step = totp.verify(totp.decryptSecret(secret), code, {
+    afterStep: user.two_factor.last_used_step ?? -1
+  });
+  if (step === null) return false;
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { 'two_factor.last_used_step': null },
+        { 'two_factor.last_used_step': { $lt: step } }
+      ]
+    },
+    { $set: { 'two_factor.last_used_step': step } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Refuse a 2FA code check on an account or IP address that must wait
+// after failed attempts; returns whether a response was sent
+const twoFactorThrottled = async (req, res, user) => {
+  const wait = Math.max(await loginThrottle.ipWait(req.ip), loginThrottle.accountWait(user));
+  if (wait <= 0) return false;
+  tooManyAttempts(res, wait, user.locked_until > new Date());
+  return true;
+};
 
 // @route   POST /api/auth/login
 // @desc    Authenticate user & get token
@@ -24,6 +199,11 @@ router.post('/login', [
     
     const { username, password } = req.body;
     
+    const ipWait = await loginThrottle.ipWait(req.ip);
+    if (ipWait > 0) {
+      return tooManyAttempts(res, ipWait, false);
+    }
+    
     // Find user by email or employee_id
     const user = await User.findOne({
       $or: [
@@ -35,12 +215,18 @@ router.post('/login', [
     
     
     if (!user) {
+      await loginFailed(req, null, username, 'Unknown username');
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
     
+    const accountWait = loginThrottle.accountWait(user);
+    if (accountWait > 0) {
+      return tooManyAttempts(res, accountWait, user.locked_until > new Date());
+    }
+    
     // Check if user is active
     if (user.status !== 'active') {
       return res.status(403).json({
@@ -52,57 +238,114 @@ router.post('/login', [
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await loginFailed(req, user, username, 'Incorrect password');
       return res.status(401).json({
         success: false,
         message: 'Incorrect Password credentials'
       });
     }
     
-    // Update last login
-    user.last_login = new Date();
-    await user.save();
+    // With 2FA on, the password only earns a short-lived challenge to
+    // exchange for tokens at /login/2fa
+    if (user.two_factor?.enabled) {
+      const challengeToken = jwt.sign(
+        { userId: user._id, purpose: 'two_factor' },
+        process.env.JWT_SECRET,
+        { expiresIn: '5m' }
+      );
+      return res.json({
+        success: true,
+        data: {
+          two_factor_required: true,
+          challenge_token: challengeToken
+        },
+        message: 'Enter the code from your authenticator app'
+      });
+    }
     
-    // Generate tokens
-    const token = jwt.sign(
-      {
-        userId: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        employee_id: user.employee_id
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE || '24h' }
-    );
+    await startSession(req, res, user);
     
-    const refreshToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_REFRESH_SECRET,
-      { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d' }
-    );
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during authentication'
+    });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: authenticator or recovery code
+// @access  Public (with challenge token)
+router.post('/login/2fa', [
+  body('challenge_token').notEmpty().withMessage('Challenge token is required'),
+  body('code').if(body('recovery_code').not().exists()).trim().notEmpty().withMessage('Authentication code is required'),
+  body('recovery_code').optional().trim()
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
     
-    // Log activity
-    await auth.logActivity(req, 'login', 'user', user._id.toString(), 'User logged in');
+    let decoded;
+    try {
+      decoded = jwt.verify(req.body.challenge_token, process.env.JWT_SECRET);
+    } catch (error) {
+      decoded = null;
+    }
+    if (!decoded || decoded.purpose !== 'two_factor') {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired. Please log in again.'
+      });
+    }
     
-    res.json({
-      success: true,
-      data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          employee_id: user.employee_id,
-          department: user.department,
-          phone: user.phone
-        },
-        token,
-        refresh_token: refreshToken
+    const user = await User.findById(decoded.userId);
+    if (!user || user.status !== 'active' || !user.two_factor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+    
+    // Codes count towards the same limits as passwords
+    if (await twoFactorThrottled(req, res, user)) return;
+    
+    if (req.body.recovery_code) {
+      // Recovery codes work once each: the code is removed only if still
+      // there, so of two requests using it only one gets the update
+      const hash = totp.hashRecoveryCode(req.body.recovery_code);
+      const spent = await User.findOneAndUpdate(
+        { _id: user._id, 'two_factor.recovery_codes': hash },
+        { $pull: { 'two_factor.recovery_codes': hash } },
+        { new: true }
+      );
+      if (!spent) {
+        await loginFailed(req, user, user.email, 'Invalid recovery code');
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid recovery code'
+        });
       }
-    });
+      await auth.logActivity(req, 'login', 'user', user._id.toString(), 
+        `Recovery code used (${spent.two_factor.recovery_codes.length} left)`);
+    } else if (!(await verifyTwoFactorCode(user, user.two_factor.secret, req.body.code))) {
+      await loginFailed(req, user, user.email, 'Invalid authentication code');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    await startSession(req, res, user);
     
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error during authentication'
@@ -127,37 +370,48 @@ router.post('/refresh', async (req, res) => {
     // Verify refresh token
     const decoded = jwt.verify(refresh_token, process.env.JWT_REFRESH_SECRET);
     
+    const session = decoded.sessionId && await Session.findById(decoded.sessionId);
+    if (!session || !session.isActive()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+    
+    if (session.refresh_token_hash !== Session.hashToken(refresh_token)) {
+      return refreshTokenReused(req, res, session);
+    }
+    
     // Find user
-    const user = await User.findById(decoded.userId);
+    const user = await User.findById(session.user);
     if (!user || user.status !== 'active') {
+      await session.revoke('account_inactive');
       return res.status(401).json({
         success: false,
         message: 'User not found or inactive'
       });
     }
     
+    // Rotate the refresh token; losing the swap to another request with
+    // the same token is also reuse
+    const refreshToken = await rotateRefreshToken(session, refresh_token);
+    if (!refreshToken) {
+      return refreshTokenReused(req, res, session);
+    }
+    
     // Generate new access token
-    const token = jwt.sign(
-      {
-        userId: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        employee_id: user.employee_id
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE || '24h' }
-    );
+    const token = signAccessToken(user, session._id, await tokenRestrictions(user));
     
     res.json({
       success: true,
       data: {
-        token
+        token,
+        refresh_token: refreshToken
       }
     });
     
   } catch (error) {
-    if (error.name === 'JsonWebTokenError') {
+    if (error instanceof jwt.JsonWebTokenError) {
       return res.status(401).json({
         success: false,
         message: 'Invalid refresh token'
@@ -176,6 +430,11 @@ router.post('/refresh', async (req, res) => {
 // @access  Private
 router.post('/logout', auth.verifyToken, async (req, res) => {
   try {
+    await Session.updateOne(
+      { _id: req.user.sessionId, revoked_at: null },
+      { $set: { revoked_at: new Date(), revoked_reason: 'logout' } }
+    );
+    
     // Log activity
     await auth.logActivity(req, 'logout', 'user', req.user.userId, 'User logged out');
     
@@ -224,7 +483,7 @@ router.get('/me', auth.verifyToken, async (req, res) => {
 // @access  Private
 router.post('/change-password', auth.verifyToken, [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
-  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+  body('newPassword').isString().notEmpty().withMessage('New password is required')
 ], async (req, res) => {
   try {
     // Check validation errors
@@ -248,15 +507,32 @@ router.post('/change-password', auth.verifyToken, [
       });
     }
     
+    const settings = await SecuritySettings.current();
+    const problems = await passwordPolicy.check(newPassword, settings.password_policy, user);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('. ')
+      });
+    }
+    
     // Update password
     user.password = newPassword;
+    user.must_change_password = false;
     await user.save();
     
+    // Sign out every other device
+    await Session.revokeAll(user._id, 'password_change', req.user.sessionId);
+    
     // Log activity
     await auth.logActivity(req, 'update', 'user', user._id.toString(), 'Password changed');
     
     res.json({
       success: true,
+      data: {
+        // Replaces a token limited to changing the password
+        token: signAccessToken(user, req.user.sessionId, await tokenRestrictions(user))
+      },
       message: 'Password changed successfully'
     });
     
@@ -268,4 +544,464 @@ router.post('/change-password', auth.verifyToken, [
   }
 });
 
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrolment: new secret and otpauth URI for a QR code
+// @access  Private
+router.post('/2fa/setup', auth.verifyToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    
+    if (user.two_factor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+    
+    const secret = totp.generateSecret();
+    user.two_factor.pending_secret = totp.encryptSecret(secret);
+    await user.save();
+    
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauth_uri: totp.otpauthUri(secret, user.email)
+      },
+      message: 'Scan the QR code, then confirm with a code from your authenticator app'
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Finish 2FA enrolment with a first code; returns recovery codes
+// @access  Private
+router.post('/2fa/enable', auth.verifyToken, [
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const user = await User.findById(req.user.userId);
+    
+    if (!user.two_factor?.pending_secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+    
+    if (!(await verifyTwoFactorCode(user, user.two_factor.pending_secret, req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    const recoveryCodes = totp.generateRecoveryCodes();
+    user.two_factor.secret = user.two_factor.pending_secret;
+    user.two_factor.pending_secret = undefined;
+    user.two_factor.recovery_codes = recoveryCodes.map(totp.hashRecoveryCode);
+    user.two_factor.enabled = true;
+    user.two_factor.enabled_at = new Date();
+    await user.save();
+    
+    // Log activity
+    await auth.logActivity(req, 'update', 'user', user._id.toString(), 'Two-factor authentication enabled');
+    
+    res.json({
+      success: true,
+      data: {
+        recovery_codes: recoveryCodes,
+        // Replaces a token limited to 2FA setup
+        token: signAccessToken(user, req.user.sessionId, await tokenRestrictions(user))
+      },
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they will not be shown again.'
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (password and current code required)
+// @access  Private
+router.post('/2fa/disable', auth.verifyToken, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const user = await User.findById(req.user.userId);
+    
+    if (!user.two_factor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+    
+    const settings = await SecuritySettings.current();
+    if (settings.requiresTwoFactor(user.role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Two-factor authentication is required for the ${user.role} role`
+      });
+    }
+    
+    if (await twoFactorThrottled(req, res, user)) return;
+    
+    if (!(await user.comparePassword(req.body.password)) ||
+        !(await verifyTwoFactorCode(user, user.two_factor.secret, req.body.code))) {
+      await loginThrottle.recordFailure(req.ip, user);
+      return res.status(400).json({
+        success: false,
+        message: 'Password or authentication code is incorrect'
+      });
+    }
+    
+    user.two_factor = { enabled: false, recovery_codes: [] };
+    await user.save();
+    
+    // Log activity
+    await auth.logActivity(req, 'update', 'user', user._id.toString(), 'Two-factor authentication disabled');
+    
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace recovery codes (current code required)
+// @access  Private
+router.post('/2fa/recovery-codes', auth.verifyToken, [
+  body('code').trim().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const user = await User.findById(req.user.userId);
+    
+    if (await twoFactorThrottled(req, res, user)) return;
+    
+    if (!user.two_factor?.enabled || !(await verifyTwoFactorCode(user, user.two_factor.secret, req.body.code))) {
+      await loginThrottle.recordFailure(req.ip, user);
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    
+    const recoveryCodes = totp.generateRecoveryCodes();
+    user.two_factor.recovery_codes = recoveryCodes.map(totp.hashRecoveryCode);
+    await user.save();
+    
+    // Log activity
+    await auth.logActivity(req, 'update', 'user', user._id.toString(), 'Two-factor recovery codes regenerated');
+    
+    res.json({
+      success: true,
+      data: {
+        recovery_codes: recoveryCodes
+      },
+      message: 'New recovery codes generated; the old ones no longer work'
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's signed-in sessions
+// @access  Private
+router.get('/sessions', auth.verifyToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.userId,
+      revoked_at: null,
+      expires_at: { $gt: new Date() }
+    }).sort({ last_used_at: -1 });
+    
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        user_agent: session.user_agent,
+        ip_address: session.ip_address,
+        created_at: session.created_at,
+        last_used_at: session.last_used_at,
+        expires_at: session.expires_at,
+        current: session._id.toString() === req.user.sessionId
+      }))
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth.verifyToken, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.userId });
+    
+    if (!session || !session.isActive()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    
+    await session.revoke('user_revoked');
+    
+    // Log activity
+    await auth.logActivity(req, 'logout', 'user', req.user.userId, 
+      `Revoked session on ${session.device || 'unknown device'} (${session.ip_address})`);
+    
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out all of the current user's sessions (?keep_current=true
+//          keeps this one)
+// @access  Private
+router.delete('/sessions', auth.verifyToken, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keep_current === 'true';
+    const result = await Session.revokeAll(req.user.userId, 'user_revoked',
+      keepCurrent ? req.user.sessionId : undefined);
+    
+    // Log activity
+    await auth.logActivity(req, 'logout', 'user', req.user.userId, 
+      `Revoked ${result.modifiedCount} session(s)${keepCurrent ? ', keeping the current one' : ''}`);
+    
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} session(s) revoked`
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/auth/password-policy
+// @desc    Rules a new password must meet
+// @access  Public
+router.get('/password-policy', async (req, res) => {
+  try {
+    const settings = await SecuritySettings.current();
+    
+    res.json({
+      success: true,
+      data: settings.password_policy
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a one-time password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email').trim().isEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    // Same answer whether or not the account exists
+    const response = {
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    };
+    
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    if (!user || user.status !== 'active') {
+      return res.json(response);
+    }
+    
+    const recentRequests = await PasswordResetToken.countDocuments({
+      user: user._id,
+      created_at: { $gte: new Date(Date.now() - 60 * 60 * 1000) }
+    });
+    // Over the limit, no email is sent but the answer stays the same, so
+    // it does not reveal that the account exists
+    if (recentRequests >= RESET_REQUESTS_PER_HOUR) {
+      return res.json(response);
+    }
+    
+    const token = await PasswordResetToken.issue(user._id, RESET_TOKEN_TTL_MINUTES, req.ip);
+    // Sent in the background: waiting on the mail server would make the
+    // answer slower for real accounts than for unknown ones
+    sendPasswordResetEmail(user, token, RESET_TOKEN_TTL_MINUTES)
+      .catch(error => console.error('Password reset email error:', error));
+    
+    // Log activity against the account (the request is unauthenticated)
+    req.user = { userId: user._id, name: user.name, role: user.role };
+    await auth.logActivity(req, 'update', 'user', user._id.toString(), 'Password reset requested');
+    
+    res.json(response);
+    
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with an emailed reset token
+// @access  Public (with reset token)
+router.post('/reset-password', [
+  body('token').trim().notEmpty().withMessage('Reset token is required'),
+  body('newPassword').isString().notEmpty().withMessage('New password is required')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const resetToken = await PasswordResetToken.findValid(req.body.token);
+    const user = resetToken && await User.findById(resetToken.user);
+    if (!resetToken || !user || user.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+    
+    // Check the new password before spending the token, so the link can
+    // be used again with a better one
+    const settings = await SecuritySettings.current();
+    const problems = await passwordPolicy.check(req.body.newPassword, settings.password_policy, user);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('. ')
+      });
+    }
+    
+    // Spend this token; a request that used it first wins
+    const claimed = await PasswordResetToken.claim(req.body.token);
+    if (!claimed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+    
+    // Spend any other tokens outstanding for the account
+    await PasswordResetToken.updateMany(
+      { user: user._id, used_at: null },
+      { $set: { used_at: new Date() } }
+    );
+    
+    // New password, and every existing session signed out
+    user.password = req.body.newPassword;
+    user.must_change_password = false;
+    // Proving control of the mailbox also lifts a lockout
+    loginThrottle.clearFailures(user);
+    await user.save();
+    await Session.revokeAll(user._id, 'password_reset');
+    
+    // Log activity against the account (the request is unauthenticated)
+    req.user = { userId: user._id, name: user.name, role: user.role };
+    await auth.logActivity(req, 'update', 'user', user._id.toString(), 'Password reset with emailed token');
+    
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+    
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,236 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Budget = require('../models/budget');
+const auth = require('../middlewares/auth');
+const { consumptionFor } = require('../utils/budget');
+
+const financeRoles = ['admin', 'accountant', 'financial officer'];
+
+const budgetValidation = [
+  body('department').trim().notEmpty().withMessage('Department is required'),
+  body('category').optional({ nullable: true }).trim(),
+  body('year').isInt({ min: 2000, max: 2100 }).withMessage('Valid year is required'),
+  body('period').optional().isIn(['annual', 'monthly']).withMessage('Period must be annual or monthly'),
+  body('month').optional({ nullable: true }).isInt({ min: 1, max: 12 }).withMessage('Month must be 1-12'),
+  body('amount').isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
+  body('enforcement').optional().isIn(['warn', 'block']).withMessage('Enforcement must be warn or block')
+];
+
+const budgetFields = ['department', 'category', 'year', 'period', 'month', 'amount', 'enforcement'];
+
+// @route   GET /api/budgets
+// @desc    Get budgets
+// @access  Private (Finance)
+router.get('/', auth.verifyToken, auth.checkRole(...financeRoles), async (req, res) => {
+  try {
+    const { year, department } = req.query;
+    
+    const query = {};
+    if (year) query.year = parseInt(year);
+    if (department) query.department = department;
+    
+    const budgets = await Budget.find(query)
+      .sort({ year: -1, department: 1, category: 1, month: 1 });
+    
+    res.json({
+      success: true,
+      data: budgets
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/budgets/consumption
+// @desc    Budget, committed, actual and remaining per budget
+// @access  Private (Finance)
+router.get('/consumption', auth.verifyToken, auth.checkRole(...financeRoles), async (req, res) => {
+  try {
+    const { year, month, department } = req.query;
+    
+    const query = { year: parseInt(year) || new Date().getFullYear() };
+    if (department) query.department = department;
+    if (month) {
+      query.$or = [{ period: 'annual' }, { period: 'monthly', month: parseInt(month) }];
+    }
+    
+    const budgets = await Budget.find(query)
+      .sort({ department: 1, category: 1, period: 1, month: 1 });
+    
+    const data = [];
+    for (const budget of budgets) {
+      data.push({
+        id: budget._id,
+        department: budget.department,
+        category: budget.category,
+        year: budget.year,
+        period: budget.period,
+        month: budget.month,
+        enforcement: budget.enforcement,
+        ...(await consumptionFor(budget))
+      });
+    }
+    
+    // Log activity
+    await auth.logActivity(req, 'view', 'system', 'budgets', 
+      `Viewed budget consumption for ${query.year}${month ? `-${month}` : ''}`);
+    
+    res.json({
+      success: true,
+      data
+    });
+    
+  } catch (error) {
+    console.error('Budget consumption error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/budgets
+// @desc    Create budget
+// @access  Private (Admin/Accountant)
+router.post('/', auth.verifyToken, auth.checkRole('admin', 'accountant'), budgetValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const budgetData = { created_by: req.user.userId };
+    budgetFields.forEach(field => {
+      if (req.body[field] !== undefined) budgetData[field] = req.body[field];
+    });
+    if (!budgetData.category) budgetData.category = null;
+    
+    const budget = new Budget(budgetData);
+    await budget.save();
+    
+    // Log activity
+    await auth.logActivity(req, 'create', 'system', budget._id.toString(), 
+      `Created ${budget.period} budget of ${budget.amount} for ${budget.department}${budget.category ? ` / ${budget.category}` : ''}`);
+    
+    res.status(201).json({
+      success: true,
+      data: budget,
+      message: 'Budget created successfully'
+    });
+    
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A budget already exists for this department, category and period'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    console.error('Create budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/budgets/:id
+// @desc    Update budget
+// @access  Private (Admin/Accountant)
+router.put('/:id', auth.verifyToken, auth.checkRole('admin', 'accountant'), budgetValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const budget = await Budget.findById(req.params.id);
+    
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+    
+    budgetFields.forEach(field => {
+      if (req.body[field] !== undefined) budget[field] = req.body[field];
+    });
+    if (!budget.category) budget.category = null;
+    
+    await budget.save();
+    
+    // Log activity
+    await auth.logActivity(req, 'update', 'system', budget._id.toString(), 
+      `Updated budget for ${budget.department}`);
+    
+    res.json({
+      success: true,
+      data: budget,
+      message: 'Budget updated successfully'
+    });
+    
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A budget already exists for this department, category and period'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/budgets/:id
+// @desc    Delete budget
+// @access  Private (Admin only)
+router.delete('/:id', auth.verifyToken, auth.checkRole('admin'), async (req, res) => {
+  try {
+    const budget = await Budget.findByIdAndDelete(req.params.id);
+    
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+    
+    // Log activity
+    await auth.logActivity(req, 'delete', 'system', budget._id.toString(), 
+      `Deleted budget for ${budget.department}`);
+    
+    res.json({
+      success: true,
+      message: 'Budget deleted successfully'
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const ClaimCategory = require('../models/claimCategory');
+const Account = require('../models/account');
+const auth = require('../middlewares/auth');
+
+const vatTreatments = Object.keys(ClaimCategory.VAT_RATES);
+
+// Nominal code must be an active expense account
+const isExpenseAccount = async (value) => {
+  const account = await Account.findOne({ code: value, type: 'expense', active: true });
+  if (!account) {
+    throw new Error(`Nominal code ${value} is not an active expense account`);
+  }
+  return true;
+};
+
+// @route   GET /api/categories
+// @desc    Get claim categories (active only unless all=true for finance)
+// @access  Private
+router.get('/', auth.verifyToken, async (req, res) => {
+  try {
+    const showAll = req.query.all === 'true' && ['admin', 'accountant'].includes(req.user.role);
+    
+    const categories = await ClaimCategory.find(showAll ? {} : { active: true })
+      .sort({ name: 1 });
+    
+    res.json({
+      success: true,
+      data: categories
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/categories
+// @desc    Create claim category
+// @access  Private (Admin/Accountant)
+router.post('/', 
+  auth.verifyToken,
+  auth.checkRole('admin', 'accountant'),
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('nominal_code').trim().notEmpty().withMessage('Nominal code is required').bail().custom(isExpenseAccount),
+    body('vat_treatment').optional().isIn(vatTreatments).withMessage(`VAT treatment must be one of ${vatTreatments.join(', ')}`),
+    body('calculation').optional().isIn(['none', 'mileage', 'per_diem']).withMessage('Calculation must be none, mileage or per_diem'),
+    body('requires_approved_supplier').optional().isBoolean(),
+    body('description').optional().trim(),
+    body('active').optional().isBoolean()
+  ],
+  async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const existing = await ClaimCategory.findOne({ name: req.body.name });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category already exists'
+      });
+    }
+    
+    const category = new ClaimCategory({
+      name: req.body.name,
+      nominal_code: req.body.nominal_code,
+      vat_treatment: req.body.vat_treatment,
+      calculation: req.body.calculation,
+      requires_approved_supplier: req.body.requires_approved_supplier,
+      description: req.body.description,
+      active: req.body.active
+    });
+    await category.save();
+    
+    // Log activity
+    await auth.logActivity(req, 'create', 'system', category._id.toString(), 
+      `Created claim category ${category.name} (${category.nominal_code})`);
+    
+    res.status(201).json({
+      success: true,
+      data: category,
+      message: 'Category created successfully'
+    });
+    
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/categories/:id
+// @desc    Update claim category
+// @access  Private (Admin/Accountant)
+router.put('/:id', 
+  auth.verifyToken,
+  auth.checkRole('admin', 'accountant'),
+  [
+    body('nominal_code').optional().trim().custom(isExpenseAccount),
+    body('vat_treatment').optional().isIn(vatTreatments).withMessage(`VAT treatment must be one of ${vatTreatments.join(', ')}`),
+    body('calculation').optional().isIn(['none', 'mileage', 'per_diem']).withMessage('Calculation must be none, mileage or per_diem'),
+    body('requires_approved_supplier').optional().isBoolean(),
+    body('description').optional().trim(),
+    body('active').optional().isBoolean()
+  ],
+  async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const category = await ClaimCategory.findById(req.params.id);
+    
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+    
+    if (req.body.nominal_code) category.nominal_code = req.body.nominal_code;
+    if (req.body.vat_treatment) category.vat_treatment = req.body.vat_treatment;
+    if (req.body.calculation) category.calculation = req.body.calculation;
+    if (req.body.requires_approved_supplier !== undefined) {
+      category.requires_approved_supplier = req.body.requires_approved_supplier;
+    }
+    if (req.body.description !== undefined) category.description = req.body.description;
+    if (req.body.active !== undefined) category.active = req.body.active;
+    
+    await category.save();
+    
+    // Log activity
+    await auth.logActivity(req, 'update', 'system', category._id.toString(), 
+      `Updated claim category ${category.name}`);
+    
+    res.json({
+      success: true,
+      data: category,
+      message: 'Category updated successfully'
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
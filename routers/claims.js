@@ -1,12 +1,28 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const multer = require('multer');
 const path = require('path');
 const { body, query, validationResult } = require('express-validator');
 const Claim = require('../models/claim');
 const User = require('../models/user');
+const ApprovalChain = require('../models/approvalChain');
+const ClaimCategory = require('../models/claimCategory');
+const AccountingPeriod = require('../models/accountingPeriod');
+const Supplier = require('../models/supplier');
+const ExchangeRate = require('../models/exchangeRate');
+const PerDiemRule = require('../models/perDiemRule');
 const auth = require('../middlewares/auth');
+const ledger = require('../utils/ledger');
+const budget = require('../utils/budget');
+const mileage = require('../utils/mileage');
+const perDiem = require('../utils/perDiem');
+const policy = require('../utils/policy');
+const duplicates = require('../utils/duplicates');
+const ocr = require('../utils/ocr');
 const uploadReceipt = require('../utils/uploadReceipt');
+const deleteReceipt = require('../utils/deleteReceipt');
+const signReceiptUrl = require('../utils/signReceiptUrl');
 
 // Configure multer for file upload
 const fileFilter = (req, file, cb) => {
@@ -18,6 +34,96 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+// Attachments may also be saved approval emails
+const attachmentFileFilter = (req, file, cb) => {
+  const allowedTypes = ['image/jpeg', 'image/png', 'image/jpg', 'application/pdf', 'message/rfc822', 'application/vnd.ms-outlook'];
+  if (allowedTypes.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Invalid file type. Only JPEG, PNG, PDF and email files are allowed.'), false);
+  }
+};
+
+// Category must be an active entry in the managed category list
+const isActiveCategory = async (value) => {
+  const category = await ClaimCategory.findOne({ name: value, active: true });
+  if (!category) {
+    throw new Error(`Unknown or inactive claim category: ${value}`);
+  }
+  return true;
+};
+
+// Find the claim's supplier by id or by any spelling of the company name,
+// returning an error message if the category or supplier status forbids it
+const resolveSupplier = async (category, supplierId, companyName) => {
+  let supplier = null;
+  if (supplierId) {
+    supplier = await Supplier.findById(supplierId);
+    if (!supplier) return { error: 'Supplier not found' };
+  } else if (companyName) {
+    supplier = await Supplier.findByName(companyName);
+  }
+
+  if (supplier && supplier.status === 'blocked') {
+    return { error: `Supplier ${supplier.name} is blocked` };
+  }
+  if (category.requires_approved_supplier && (!supplier || supplier.status !== 'approved')) {
+    return { error: `${category.name} claims must be made against an approved supplier` };
+  }
+  return { supplier };
+};
+
+// Supplier claims take their company details from the supplier record and
+// mileage claims have none
+const needsCompanyDetails = (value, { req }) => !req.body.supplier && !req.body.mileage;
+
+// Attachment entry for a file uploaded to storage
+const attachmentFor = (file, stored, userId, label = 'receipt') => ({
+  label,
+  filename: stored.filename,
+  preview_filename: stored.preview_filename,
+  thumbnail_filename: stored.thumbnail_filename,
+  original_name: file.originalname,
+  mime_type: file.mimetype,
+  size: file.size,
+  checksum: duplicates.fingerprint(file.buffer),
+  uploaded_by: userId
+});
+
+// Fields taken from the request body when a claim is submitted
+const CLAIMANT_FIELDS = [
+  'claim_id', 'claimant_name', 'category', 'date', 'amount', 'currency', 'reason',
+  'expense_type', 'expense_description', 'bank_transfer_amount', 'vat_amount',
+  'cash_amount', 'other_info', 'notes', 'company_name', 'contact_person', 'contact_email'
+];
+
+// Owners, admins and approvers on the current step may see a claim.
+// A step limited to the claimant's department is only open to approvers
+// from that department.
+const canViewClaim = async (claim, user) => {
+  const ownerId = claim.user_id._id ? claim.user_id._id.toString() : claim.user_id.toString();
+  if (user.role === 'admin' || ownerId === user.userId) return true;
+  if (!claim.awaiting_roles.includes(user.role)) return false;
+  if (!claim.awaiting_department) return true;
+  const viewer = await User.findById(user.userId).select('department');
+  return viewer?.department === claim.awaiting_department;
+};
+
+// Re-run expense policies after the claim's receipts change, so
+// receipt_required violations follow whether a receipt is attached
+const reevaluatePolicies = async (claim) => {
+  const claimant = await User.findById(claim.user_id);
+  const policyCheck = await policy.evaluate({
+    category: claim.category || claim.claim_type,
+    role: claimant?.role,
+    date: claim.date,
+    amount: claim.base_amount ?? claim.amount,
+    has_receipt: !!claim.receipt_filename,
+    submitted_at: claim.created_at
+  });
+  claim.policy_violations = policyCheck.violations;
+  claim.syncPolicyExceptionStep();
+};
 
 const storage = multer.memoryStorage();
 
@@ -29,6 +135,15 @@ const upload = multer({
   fileFilter
 });
 
+const attachmentUpload = multer({
+  storage,
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB
+    files: 10
+  },
+  fileFilter: attachmentFileFilter
+});
+
 
 // @route   GET /api/claims
 // @desc    Get all claims (with filters)
@@ -41,6 +156,8 @@ router.get('/', auth.verifyToken, async (req, res) => {
       startDate, 
       endDate, 
       user_id, 
+      awaiting,
+      receipt_check,
       page = 1, 
       limit = 20 
     } = req.query;
@@ -63,6 +180,22 @@ router.get('/', auth.verifyToken, async (req, res) => {
       query.category = category.split(',');
     }
     
+    // Receipt OCR result filter, e.g. receipt_check=mismatch
+    if (receipt_check) {
+      query['receipt_check.status'] = receipt_check.split(',');
+    }
+    
+    // Claims waiting on the current user's approval step
+    if (awaiting === 'me') {
+      const currentUser = await User.findById(req.user.userId).select('department');
+      query.awaiting_roles = req.user.role;
+      query.user_id = { $ne: req.user.userId };
+      query.$or = [
+        { awaiting_department: null },
+        { awaiting_department: currentUser?.department }
+      ];
+    }
+    
     // Date range filter
     if (startDate || endDate) {
       query.date = {};
@@ -83,6 +216,14 @@ router.get('/', auth.verifyToken, async (req, res) => {
     // Get total count for pagination
     const total = await Claim.countDocuments(query);
     
+    // Signed thumbnail links so list views can show receipts
+    const data = await Promise.all(claims.map(async claim => ({
+      ...claim.toJSON(),
+      receipt_thumbnail_url: claim.receipt_thumbnail_filename
+        ? (await signReceiptUrl(claim.receipt_thumbnail_filename)).url
+        : null
+    })));
+    
     // Log activity for admin viewing all claims
     if (req.user.role === 'admin') {
       await auth.logActivity(req, 'view', 'claim', 'all', 'Viewed all claims');
@@ -90,7 +231,7 @@ router.get('/', auth.verifyToken, async (req, res) => {
     
     res.json({
       success: true,
-      data: claims,
+      data,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -108,6 +249,140 @@ router.get('/', auth.verifyToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/claims/duplicates
+// @desc    Claims flagged as possible duplicates, awaiting review
+// @access  Private (Finance)
+router.get('/duplicates',
+  auth.verifyToken,
+  auth.checkRole('admin', 'accountant', 'financial officer'),
+  async (req, res) => {
+  try {
+    const { status = 'flagged', page = 1, limit = 20 } = req.query;
+    
+    const query = { duplicate_status: status.split(',') };
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const claims = await Claim.find(query)
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('user_id', 'name email employee_id department')
+      .populate('possible_duplicates.claim', 'claim_id user_name date amount currency base_amount company_name status receipt_filename');
+    
+    const total = await Claim.countDocuments(query);
+    
+    res.json({
+      success: true,
+      data: claims,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get duplicate claims error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/claims/stats
+// @desc    Get claim statistics
+// @access  Private
+router.get('/stats', auth.verifyToken, async (req, res) => {
+  try {
+    let matchQuery = {};
+    
+    // Role-based filtering
+    if (req.user.role !== 'admin') {
+      matchQuery.user_id = new mongoose.Types.ObjectId(req.user.userId);
+    }
+    
+    // Date range (last 30 days by default)
+    const thirtyDaysAgo = new Date();
+    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    matchQuery.created_at = { $gte: thirtyDaysAgo };
+    
+    const stats = await Claim.aggregate([
+      { $match: matchQuery },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          total_amount: { $sum: Claim.BASE_AMOUNT },
+          new: {
+            $sum: { $cond: [{ $eq: ['$status', 'new'] }, 1, 0] }
+          },
+          pending: {
+            $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] }
+          },
+          approved: {
+            $sum: { $cond: [{ $eq: ['$status', 'approved'] }, 1, 0] }
+          },
+          rejected: {
+            $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] }
+          },
+          paid: {
+            $sum: { $cond: [{ $eq: ['$status', 'paid'] }, 1, 0] }
+          },
+          recommendation: {
+            $sum: { $cond: [{ $eq: ['$status', 'recommendation'] }, 1, 0] }
+          }
+        }
+      }
+    ]);
+    
+    // Format response
+    const result = stats[0] || {
+      total: 0,
+      total_amount: 0,
+      new: 0,
+      pending: 0,
+      approved: 0,
+      rejected: 0,
+      paid: 0,
+      recommendation: 0
+    };
+    
+    // Get top categories for admin
+    let categories = [];
+    if (req.user.role === 'admin') {
+      categories = await Claim.aggregate([
+        { $match: matchQuery },
+        {
+          $group: {
+            _id: '$category',
+            count: { $sum: 1 },
+            amount: { $sum: Claim.BASE_AMOUNT }
+          }
+        },
+        { $sort: { amount: -1 } },
+        { $limit: 5 }
+      ]);
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        categories
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // @route   GET /api/claims/:id
 // @desc    Get single claim
 // @access  Private
@@ -117,7 +392,8 @@ router.get('/:id', auth.verifyToken, async (req, res) => {
       .populate('user_id', 'name email employee_id department')
       .populate('approved_by', 'name employee_id')
       .populate('rejected_by', 'name employee_id')
-      .populate('paid_by', 'name employee_id');
+      .populate('paid_by', 'name employee_id')
+      .populate('status_history.changed_by', 'name employee_id');
     
     if (!claim) {
       return res.status(404).json({
@@ -126,8 +402,8 @@ router.get('/:id', auth.verifyToken, async (req, res) => {
       });
     }
     
-    // Check ownership
-    if (req.user.role !== 'admin' && claim.user_id._id.toString() !== req.user.userId) {
+    // Check ownership (approvers may view claims awaiting their step)
+    if (!(await canViewClaim(claim, req.user))) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -147,6 +423,50 @@ router.get('/:id', auth.verifyToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/claims/receipt-scan
+// @desc    Read total, VAT, date and merchant off a receipt to prefill a claim
+// @access  Private
+router.post('/receipt-scan', auth.verifyToken, upload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Receipt image is required'
+      });
+    }
+    
+    const scan = await ocr.scanReceipt(req.file);
+    const supplier = scan.merchant ? await Supplier.findByName(scan.merchant) : null;
+    
+    res.json({
+      success: true,
+      data: {
+        amount: scan.total,
+        vat_amount: scan.vat_amount,
+        date: scan.date,
+        merchant: scan.merchant,
+        supplier: supplier && supplier.status !== 'blocked'
+          ? { id: supplier._id, name: supplier.name, status: supplier.status }
+          : null,
+        text: scan.text
+      }
+    });
+    
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(503).json({
+        success: false,
+        message: 'Receipt scanning is not available on this server'
+      });
+    }
+    console.error('Receipt scan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Could not read the receipt'
+    });
+  }
+});
+
 // @route   POST /api/claims
 // @desc    Create new claim
 // @access  Private (Worker only)
@@ -158,159 +478,1015 @@ router.post('/',
     body('date').isISO8601().withMessage('Valid date is required'),
     body('claim_id').trim().optional(),
     body('expense_description').trim().optional(),
-    body('category').trim().optional(),
-    body('currency').trim().notEmpty().withMessage('Currency is required'),
-    body('company_name').trim().notEmpty().withMessage('Company Name is required'),
+    body('category').trim().notEmpty().withMessage('Category is required').bail().custom(isActiveCategory),
+    body('currency').trim().notEmpty().withMessage('Currency is required').bail()
+      .customSanitizer(ExchangeRate.normalizeCurrency).isISO4217().withMessage('Currency must be an ISO 4217 code'),
+    body('supplier').optional().isMongoId().withMessage('Invalid supplier'),
+    body('company_name').if(needsCompanyDetails).trim().notEmpty().withMessage('Company Name is required'),
     body('bank_transfer_amount').isFloat({ min: 0 }).optional(),
     body('vat_amount').optional(),
     body('cash_amount').optional(),
-    body('contact_person').trim().notEmpty().withMessage('Contact Person is required'),
-    body('contact_email').isEmail().withMessage('Valid email is required'),
-    body('amount').isFloat({ min: 0 }),
+    body('contact_person').if(needsCompanyDetails).trim().notEmpty().withMessage('Contact Person is required'),
+    body('contact_email').if(needsCompanyDetails).isEmail().withMessage('Valid email is required'),
+    body('amount').if(body('mileage').not().exists()).isFloat({ min: 0 }).withMessage('Valid amount is required'),
+    body('mileage.from').if(body('mileage').exists()).trim().notEmpty().withMessage('Journey start is required'),
+    body('mileage.to').if(body('mileage').exists()).trim().notEmpty().withMessage('Journey destination is required'),
+    body('mileage.miles').if(body('mileage').exists()).isFloat({ gt: 0 }).withMessage('Miles must be greater than zero'),
+    body('mileage.vehicle_type').if(body('mileage').exists()).isIn(['car', 'van', 'motorcycle', 'bicycle']).withMessage('Invalid vehicle type'),
+    body('mileage.passengers').optional().isInt({ min: 0 }).withMessage('Passengers must be a whole number'),
+    body('subsistence.location_band').if(body('subsistence').exists()).trim().notEmpty().withMessage('Location band is required'),
+    body('subsistence.trip_hours').if(body('subsistence').exists()).isFloat({ gt: 0 }).withMessage('Trip length in hours is required'),
+    body('subsistence.meals.*').optional().isFloat({ min: 0 }).withMessage('Meal amounts must be positive numbers'),
     body('reason').optional().trim(),
     body('notes').optional().trim(),
-    body('image').optional()
+    body('image').optional()
+  ],
+  async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array().map(error => error.msg).join(', '),
+        errors: errors.array()
+      });
+    }
+
+    
+    // Refuse claims dated in a closed accounting period
+    const lockMessage = await AccountingPeriod.lockMessage(req.body.date, req.user.role);
+    if (lockMessage) {
+      return res.status(400).json({
+        success: false,
+        message: lockMessage
+      });
+    }
+    
+    // Get user details
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const category = await ClaimCategory.findOne({ name: req.body.category });
+    
+    const { supplier, error: supplierError } = await resolveSupplier(category, req.body.supplier, req.body.company_name);
+    if (supplierError) {
+      return res.status(400).json({
+        success: false,
+        message: supplierError
+      });
+    }
+    
+    // Mileage claims are paid at HMRC rates in GBP, taking account of the
+    // miles already claimed this tax year
+    if (category.calculation === 'mileage' || req.body.mileage) {
+      if (category.calculation !== 'mileage' || !req.body.mileage) {
+        return res.status(400).json({
+          success: false,
+          message: category.calculation === 'mileage'
+            ? 'Journey details are required for mileage claims'
+            : `${category.name} claims cannot include mileage`
+        });
+      }
+      
+      const journey = {
+        from: req.body.mileage.from,
+        to: req.body.mileage.to,
+        miles: parseFloat(req.body.mileage.miles),
+        vehicle_type: req.body.mileage.vehicle_type,
+        passengers: parseInt(req.body.mileage.passengers) || 0,
+        tax_year: mileage.taxYearFor(req.body.date)
+      };
+      const priorMiles = await mileage.milesClaimed(user._id, journey.tax_year);
+      const allowance = mileage.calculate(journey, priorMiles);
+      
+      req.body.mileage = { ...journey, breakdown: allowance.breakdown, passenger_amount: allowance.passenger_amount };
+      req.body.amount = allowance.amount;
+      req.body.currency = 'GBP';
+      req.body.vat_amount = 0;
+    }
+    
+    // Fix the GBP exchange rate at the claim date
+    const exchangeRate = await ExchangeRate.rateFor(req.body.currency, req.body.date);
+    if (!exchangeRate) {
+      return res.status(400).json({
+        success: false,
+        message: `No exchange rate for ${req.body.currency} on or before the claim date`
+      });
+    }
+    // Amounts as declared, before any per-diem cap, to check against the receipt
+    const declared = { amount: req.body.amount, vat_amount: req.body.vat_amount };
+    
+    let baseAmount = Math.round(parseFloat(req.body.amount) * exchangeRate.rate * 100) / 100;
+    
+    // Hold subsistence claims to the per-diem rule for the trip, capping
+    // the amount or flagging the excess
+    let perDiemResult = null;
+    if (category.calculation === 'per_diem') {
+      if (!req.body.subsistence) {
+        return res.status(400).json({
+          success: false,
+          message: 'Location band and trip length are required for subsistence claims'
+        });
+      }
+      
+      const tripHours = parseFloat(req.body.subsistence.trip_hours);
+      const meals = {};
+      perDiem.MEALS.forEach(meal => {
+        const value = req.body.subsistence.meals?.[meal];
+        if (value !== undefined && value !== '') {
+          meals[meal] = Math.round(parseFloat(value) * exchangeRate.rate * 100) / 100;
+        }
+      });
+      
+      const rule = await PerDiemRule.resolveFor(req.body.subsistence.location_band, tripHours);
+      perDiemResult = rule
+        ? perDiem.evaluate(rule, { trip_hours: tripHours, meals }, baseAmount)
+        : { trip_hours: tripHours, claimed: baseAmount, allowed: baseAmount, excess: 0, action: 'no_rule' };
+      perDiemResult.location_band = req.body.subsistence.location_band.toLowerCase();
+      perDiemResult.meals = meals;
+      
+      if (perDiemResult.action === 'cap') {
+        const ratio = perDiemResult.allowed / baseAmount;
+        perDiemResult.original_amount = parseFloat(req.body.amount);
+        req.body.amount = Math.round(parseFloat(req.body.amount) * ratio * 100) / 100;
+        if (req.body.vat_amount) {
+          req.body.vat_amount = Math.round(parseFloat(req.body.vat_amount) * ratio * 100) / 100;
+        }
+        baseAmount = perDiemResult.allowed;
+      }
+    }
+    
+    // Check department budgets; "block" budgets refuse the claim
+    const budgetCheck = await budget.checkClaim({
+      department: user.department,
+      category: category.name,
+      date: req.body.date,
+      amount: baseAmount
+    });
+    if (budgetCheck.blocked) {
+      return res.status(400).json({
+        success: false,
+        message: 'Claim would take the department over budget',
+        warnings: budgetCheck.warnings
+      });
+    }
+    
+    // Run expense policies; "block" violations refuse the claim, the rest
+    // are signed off by an exception approver
+    const policyCheck = await policy.evaluate({
+      category: category.name,
+      role: user.role,
+      date: req.body.date,
+      amount: baseAmount,
+      has_receipt: !!req.file
+    });
+    if (policyCheck.blocked) {
+      return res.status(400).json({
+        success: false,
+        message: 'Claim breaches expense policy',
+        policy_violations: policyCheck.violations
+      });
+    }
+    
+    // Create claim from the fields a claimant may set; everything else
+    // (receipts, checks, approvals) is worked out here
+    const claimData = {};
+    CLAIMANT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) claimData[field] = req.body[field];
+    });
+    Object.assign(claimData, {
+      user_id: req.user.userId,
+      user_name: user.name,
+      employee_id: user.employee_id,
+      department: user.department,
+      claim_type: category.name,
+      nominal_code: category.nominal_code,
+      vat_treatment: category.vat_treatment,
+      budget_warnings: budgetCheck.warnings,
+      exchange_rate: exchangeRate.rate,
+      exchange_rate_date: exchangeRate.date,
+      base_amount: baseAmount,
+      mileage: category.calculation === 'mileage' ? req.body.mileage : undefined,
+      per_diem: perDiemResult,
+      policy_violations: policyCheck.violations,
+    });
+    
+    // Take company details from the supplier record
+    if (supplier) {
+      claimData.supplier = supplier._id;
+      claimData.company_name = supplier.name;
+      claimData.contact_person = req.body.contact_person || supplier.contact_person;
+      claimData.contact_email = req.body.contact_email || supplier.contact_email;
+    }
+    
+    
+    // console.log(claimData)
+    
+    
+    // Flag possible duplicates of earlier claims, fingerprinting the
+    // receipt before it is uploaded
+    claimData.receipt_hash = req.file ? duplicates.fingerprint(req.file.buffer) : undefined;
+    claimData.possible_duplicates = await duplicates.findDuplicates({
+      receiptHash: claimData.receipt_hash,
+      amount: baseAmount,
+      date: req.body.date,
+      supplier: claimData.supplier,
+      companyName: claimData.company_name
+    });
+    claimData.duplicate_status = claimData.possible_duplicates.length > 0 ? 'flagged' : 'none';
+    
+    // Read the receipt and flag declared amounts that differ from it
+    if (req.file) {
+      claimData.receipt_check = await ocr.checkReceipt(req.file, declared);
+    }
+    
+    // Add receipt if uploaded
+    if (req.file) {
+      const receipt = await uploadReceipt(req.file, req.user.userId);
+
+      claimData.receipt_filename = receipt.filename;
+      claimData.receipt_preview_filename = receipt.preview_filename;
+      claimData.receipt_thumbnail_filename = receipt.thumbnail_filename;
+      claimData.attachments = [attachmentFor(req.file, receipt, req.user.userId)];
+    }
+
+    
+    // Set initial status
+    claimData.status = 'new';
+    
+    const claim = new Claim(claimData);
+    
+    // Attach the approval chain for the claimant's department and amount
+    const chain = await ApprovalChain.resolveFor(user.department, claim.base_amount);
+    claim.setApprovalSteps(chain);
+    
+    await claim.save();
+    
+    if (claim.mileage?.miles) {
+      await mileage.recordMiles(user._id, claim.mileage.tax_year, claim.mileage.vehicle_type, claim.mileage.miles);
+    }
+    
+    // Log activity
+    await auth.logActivity(req, 'create', 'claim', claim._id.toString(), 
+      `Created claim ${claim.claim_id} for ${claim.amount} ${claim.currency}`);
+    
+    res.status(201).json({
+      success: true,
+      data: claim,
+      warnings: budgetCheck.warnings,
+      policy_violations: claim.policy_violations,
+      message: [
+        'Claim submitted successfully',
+        perDiemResult?.action === 'cap' && `Amount capped to ${perDiemResult.allowed} by ${perDiemResult.rule_name}`,
+        perDiemResult?.action === 'flag' && `${perDiemResult.excess} above ${perDiemResult.rule_name} flagged for approval`,
+        budgetCheck.warnings.length > 0 && 'Claim takes the department over budget',
+        policyCheck.violations.length > 0 && 'Policy exceptions need sign-off',
+        claim.possible_duplicates.length > 0 && 'Claim flagged as a possible duplicate',
+        claim.receipt_check?.status === 'mismatch' && `Declared ${claim.receipt_check.mismatches.join(' and ')} differ from the receipt`
+      ].filter(Boolean).join('. ')
+    });
+    
+  } catch (error) {
+    console.error('Create claim error:', error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/claims/:id
+// @desc    Update claim
+// @access  Private
+router.put('/:id', 
+  auth.verifyToken,
+  upload.single('image'),
+  [
+    body('category').optional().trim().custom(isActiveCategory),
+    body('supplier').optional().isMongoId().withMessage('Invalid supplier')
+  ],
+  async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const claim = await Claim.findById(req.params.id);
+    
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Claim not found'
+      });
+    }
+    
+    // Check ownership and status
+    if (req.user.role !== 'admin' || claim.user_id.toString() !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    // Refuse changes to claims in a closed accounting period
+    const lockMessage = await AccountingPeriod.lockMessage(claim.date, req.user.role);
+    if (lockMessage) {
+      return res.status(400).json({
+        success: false,
+        message: lockMessage
+      });
+    }
+    
+    // Only allow updates for new or pending claims
+    if (!['new', 'pending', 'verified'].includes(claim.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot update claim in current status'
+      });
+    }
+    
+    // Update fields
+    if (req.body.description) claim.description = req.body.description;
+    if (req.body.category || req.body.supplier) {
+      const category = await ClaimCategory.findOne({ name: req.body.category || claim.category || claim.claim_type });
+      const { supplier, error: supplierError } = category
+        ? await resolveSupplier(category, req.body.supplier || claim.supplier, claim.company_name)
+        : { error: 'Claim has no valid category' };
+      if (supplierError) {
+        return res.status(400).json({
+          success: false,
+          message: supplierError
+        });
+      }
+      if (supplier) {
+        claim.supplier = supplier._id;
+        claim.company_name = supplier.name;
+      }
+      claim.category = category.name;
+      claim.claim_type = category.name;
+      claim.nominal_code = category.nominal_code;
+      claim.vat_treatment = category.vat_treatment;
+    }
+    if (req.body.amount && claim.mileage?.miles) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mileage claim amounts are calculated from the journey and cannot be edited'
+      });
+    }
+    if (req.body.amount) {
+      claim.amount = req.body.amount;
+      if (!(await claim.applyExchangeRate())) {
+        return res.status(400).json({
+          success: false,
+          message: `No exchange rate for ${claim.currency} on or before the claim date`
+        });
+      }
+
+      // Edited subsistence amounts are held to the same per-diem rule,
+      // including the meal caps for the meals recorded at submission
+      if (claim.per_diem?.rule) {
+        const rule = await PerDiemRule.findById(claim.per_diem.rule);
+        if (rule) {
+          const stored = claim.per_diem.toObject();
+          const result = perDiem.evaluate(rule, {
+            trip_hours: stored.trip_hours,
+            meals: stored.meals || {}
+          }, claim.base_amount);
+          if (result.action === 'cap') {
+            claim.amount = Math.round(claim.amount * (result.allowed / claim.base_amount) * 100) / 100;
+            await claim.applyExchangeRate();
+          }
+          claim.per_diem = {
+            ...stored,
+            ...result,
+            location_band: stored.location_band,
+            original_amount: result.action === 'cap' ? parseFloat(req.body.amount) : undefined
+          };
+        }
+      }
+    }
+    if (req.body.notes !== undefined) claim.notes = req.body.notes;
+    
+    // Re-check department budgets when the amount or category changes
+    const claimant = await User.findById(claim.user_id);
+    if (req.body.amount || req.body.category) {
+      const budgetCheck = await budget.checkClaim({
+        department: claim.department || claimant?.department,
+        category: claim.category || claim.claim_type,
+        date: claim.date,
+        amount: claim.base_amount ?? claim.amount,
+        excludeId: claim._id
+      });
+      if (budgetCheck.blocked) {
+        return res.status(400).json({
+          success: false,
+          message: 'Claim would take the department over budget',
+          warnings: budgetCheck.warnings
+        });
+      }
+      claim.budget_warnings = budgetCheck.warnings;
+    }
+    
+    // Re-run expense policies against the edited claim
+    const policyCheck = await policy.evaluate({
+      category: claim.category || claim.claim_type,
+      role: claimant?.role,
+      date: claim.date,
+      amount: claim.base_amount ?? claim.amount,
+      has_receipt: !!(req.file || claim.receipt_filename),
+      submitted_at: claim.created_at
+    });
+    if (policyCheck.blocked) {
+      return res.status(400).json({
+        success: false,
+        message: 'Claim breaches expense policy',
+        policy_violations: policyCheck.violations
+      });
+    }
+    claim.policy_violations = policyCheck.violations;
+    
+    // Update receipt if uploaded, checking the new file for duplicates
+    if (req.file) {
+      claim.receipt_hash = duplicates.fingerprint(req.file.buffer);
+      claim.possible_duplicates = await duplicates.findDuplicates({
+        receiptHash: claim.receipt_hash,
+        amount: claim.base_amount,
+        date: claim.date,
+        supplier: claim.supplier,
+        companyName: claim.company_name,
+        excludeId: claim._id
+      });
+      if (claim.possible_duplicates.length > 0) {
+        claim.duplicate_status = 'flagged';
+      }
+
+      const receipt = await uploadReceipt(req.file, req.user.userId);
+
+      claim.receipt_filename = receipt.filename;
+      claim.receipt_preview_filename = receipt.preview_filename;
+      claim.receipt_thumbnail_filename = receipt.thumbnail_filename;
+      claim.receipt_url = undefined;
+      claim.attachments.push(attachmentFor(req.file, receipt, req.user.userId));
+
+      claim.receipt_check = await ocr.checkReceipt(req.file, {
+        amount: req.body.amount || claim.amount,
+        vat_amount: claim.vat_amount
+      });
+    } else if (req.body.amount && ['matched', 'mismatch'].includes(claim.receipt_check?.status)) {
+      // Check the new amount against what was read from the receipt
+      const mismatches = ocr.compareWithClaim(claim.receipt_check, {
+        amount: req.body.amount,
+        vat_amount: claim.vat_amount
+      });
+      claim.receipt_check.mismatches = mismatches;
+      claim.receipt_check.status = mismatches.length > 0 ? 'mismatch' : 'matched';
+    }
+
+
+    // Re-resolve the approval chain if no approver has acted yet
+    if (req.body.amount && claim.approval_steps.every(step => step.status === 'pending')) {
+      const chain = await ApprovalChain.resolveFor(claim.department, claim.base_amount);
+      claim.setApprovalSteps(chain);
+    } else {
+      claim.syncPolicyExceptionStep();
+    }
+    
+    // Reset status if amount changed significantly
+    if (req.body.amount && req.body.amount > 1000 && claim.status === 'new') {
+      claim.transitionTo('pending', req.user.userId, 'Amount changed to over 1000');
+    }
+    
+    await claim.save();
+    
+    // Log activity
+    await auth.logActivity(req, 'update', 'claim', claim._id.toString(), 
+      `Updated claim ${claim.claim_id}`);
+    
+    res.json({
+      success: true,
+      data: claim,
+      message: 'Claim updated successfully'
+    });
+    
+  } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/claims/:id/receipt
+// @desc    Short-lived signed URL for the claim's receipt or an attachment
+//          (?variant=web or thumbnail for the previews)
+// @access  Private
+router.get('/:id/receipt', auth.verifyToken, async (req, res) => {
+  try {
+    const claim = await Claim.findById(req.params.id)
+      .select('claim_id user_id awaiting_roles awaiting_department receipt_filename receipt_preview_filename receipt_thumbnail_filename attachments');
+    
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Claim not found'
+      });
+    }
+    
+    // Same access rule as GET /api/claims/:id
+    if (!(await canViewClaim(claim, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    const { variant = 'original' } = req.query;
+    if (!['original', 'web', 'thumbnail'].includes(variant)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Variant must be original, web or thumbnail'
+      });
+    }
+    
+    const attachment = req.query.attachment ? claim.attachments.id(req.query.attachment) : null;
+    const source = req.query.attachment
+      ? attachment && {
+        original: attachment.filename,
+        web: attachment.preview_filename,
+        thumbnail: attachment.thumbnail_filename
+      }
+      : {
+        original: claim.receipt_filename,
+        web: claim.receipt_preview_filename,
+        thumbnail: claim.receipt_thumbnail_filename
+      };
+    const fileName = source?.[variant];
+    if (!fileName) {
+      return res.status(404).json({
+        success: false,
+        message: req.query.attachment && !attachment
+          ? 'Attachment not found'
+          : `No ${variant === 'original' ? 'receipt' : `${variant} preview`} for this claim`
+      });
+    }
+    
+    const signed = await signReceiptUrl(fileName);
+    
+    // Log activity
+    await auth.logActivity(req, 'view', 'claim', claim._id.toString(), 
+      `Viewed ${attachment ? `attachment ${attachment.original_name || attachment.filename}` : 'receipt'} for claim ${claim.claim_id}`);
+    
+    res.json({
+      success: true,
+      data: signed
+    });
+    
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/claims/:id/attachments
+// @desc    List a claim's attachments
+// @access  Private
+router.get('/:id/attachments', auth.verifyToken, async (req, res) => {
+  try {
+    const claim = await Claim.findById(req.params.id)
+      .select('claim_id user_id awaiting_roles awaiting_department attachments')
+      .populate('attachments.uploaded_by', 'name employee_id');
+    
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Claim not found'
+      });
+    }
+    
+    if (!(await canViewClaim(claim, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: claim.attachments
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/claims/:id/attachments
+// @desc    Upload one or more attachments to a claim
+// @access  Private (Owner/Admin)
+router.post('/:id/attachments',
+  auth.verifyToken,
+  attachmentUpload.array('files', 10),
+  [
+    body('label').optional().isIn(['receipt', 'invoice', 'approval_email', 'other']).withMessage('Label must be receipt, invoice, approval_email or other')
+  ],
+  async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one file is required'
+      });
+    }
+    
+    const claim = await Claim.findById(req.params.id);
+    
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Claim not found'
+      });
+    }
+    
+    if (req.user.role !== 'admin' && claim.user_id.toString() !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    if (!['new', 'pending', 'verified'].includes(claim.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot add attachments to a claim in its current status'
+      });
+    }
+    
+    const label = req.body.label || 'receipt';
+    const added = [];
+    for (const file of req.files) {
+      const stored = await uploadReceipt(file, req.user.userId);
+      const attachment = claim.attachments.create(attachmentFor(file, stored, req.user.userId, label));
+      claim.attachments.push(attachment);
+      added.push(attachment);
+    }
+    
+    // Claims without a receipt take the first one uploaded
+    const firstReceipt = added.find(attachment => attachment.label === 'receipt');
+    if (!claim.receipt_filename && firstReceipt) {
+      claim.receipt_filename = firstReceipt.filename;
+      claim.receipt_preview_filename = firstReceipt.preview_filename;
+      claim.receipt_thumbnail_filename = firstReceipt.thumbnail_filename;
+      claim.receipt_hash = firstReceipt.checksum;
+    }
+    
+    // New receipts are checked for duplicates as at submission
+    const receipts = added.filter(attachment => attachment.label === 'receipt');
+    let newMatches = 0;
+    for (const receipt of receipts) {
+      const matches = await duplicates.findDuplicates({
+        receiptHash: receipt.checksum,
+        amount: claim.base_amount,
+        date: claim.date,
+        supplier: claim.supplier,
+        companyName: claim.company_name,
+        excludeId: claim._id
+      });
+      matches.forEach(match => {
+        const known = claim.possible_duplicates.find(existing => existing.claim.toString() === match.claim.toString());
+        if (known) {
+          known.reasons = [...new Set([...known.reasons, ...match.reasons])];
+        } else {
+          claim.possible_duplicates.push(match);
+          newMatches++;
+        }
+      });
+    }
+    if (newMatches > 0) {
+      claim.duplicate_status = 'flagged';
+    }
+    
+    // A receipt can clear receipt_required violations
+    if (receipts.length > 0) {
+      await reevaluatePolicies(claim);
+    }
+    
+    await claim.save();
+    
+    // Log activity
+    await auth.logActivity(req, 'update', 'claim', claim._id.toString(), 
+      `Added ${added.length} ${label} attachment(s) to claim ${claim.claim_id}`);
+    
+    res.status(201).json({
+      success: true,
+      data: added,
+      message: `${added.length} attachment(s) uploaded successfully`
+    });
+    
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    if (error.statusCode === 400) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/claims/:id/attachments/:attachmentId
+// @desc    Remove an attachment from a claim
+// @access  Private (Owner/Admin)
+router.delete('/:id/attachments/:attachmentId', auth.verifyToken, async (req, res) => {
+  try {
+    const claim = await Claim.findById(req.params.id);
+    
+    if (!claim) {
+      return res.status(404).json({
+        success: false,
+        message: 'Claim not found'
+      });
+    }
+    
+    if (req.user.role !== 'admin' && claim.user_id.toString() !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+    
+    if (!['new', 'pending', 'verified'].includes(claim.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot remove attachments from a claim in its current status'
+      });
+    }
+    
+    const attachment = claim.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+    
+    claim.attachments.pull(attachment._id);
+    
+    // Fall back to the next receipt if the main one was removed
+    if (claim.receipt_filename === attachment.filename) {
+      const nextReceipt = claim.attachments.find(item => item.label === 'receipt');
+      claim.receipt_filename = nextReceipt ? nextReceipt.filename : undefined;
+      claim.receipt_preview_filename = nextReceipt ? nextReceipt.preview_filename : undefined;
+      claim.receipt_thumbnail_filename = nextReceipt ? nextReceipt.thumbnail_filename : undefined;
+      claim.receipt_url = undefined;
+      claim.receipt_hash = nextReceipt ? nextReceipt.checksum : undefined;
+      
+      // Without a receipt, receipt_required policies apply again
+      await reevaluatePolicies(claim);
+    }
+    
+    await claim.save();
+    
+    // Files go once the claim no longer points at them
+    await deleteReceipt(attachment.filename, attachment.preview_filename, attachment.thumbnail_filename);
+    
+    // Log activity
+    await auth.logActivity(req, 'delete', 'claim', claim._id.toString(), 
+      `Removed attachment ${attachment.original_name || attachment.filename} from claim ${claim.claim_id}`);
+    
+    res.json({
+      success: true,
+      message: 'Attachment removed successfully'
+    });
+    
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/claims/:id/status
+// @desc    Change claim status
+// @access  Private (Admin)
+router.put('/:id/status', 
+  auth.verifyToken,
+  auth.checkRole('admin', 'financial officer', 'accountant', 'administrator'),
+  [
+    body('notes').optional().trim(),
+    body('payment_reference').optional().trim(),
+    body('status').isIn(['verified', 'approved', 'rejected', 'paid', 'pending']).withMessage('Invalid status')
   ],
   async (req, res) => {
   try {
     // Check validation errors
-
-    // Add receipt if uploaded
-
-    
-    
-    
     const errors = validationResult(req);
-    console.log(errors.array())
-
-
     if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: errors.array().forEach(error => error.msg + "in" + error.path)
+        errors: errors.array()
       });
     }
 
+    const { status, notes } = req.body;
+    const claim = await Claim.findById(req.params.id);
     
-    // Get user details
-    const user = await User.findById(req.user.userId);
-    if (!user) {
+    if (!claim) {
       return res.status(404).json({
         success: false,
-        message: 'User not found'
+        message: 'Claim not found'
       });
     }
-    
-    // Create claim
-    const claimData = {
-      ...req.body,
-      user_id: req.user.userId,
-      user_name: user.name,
-      employee_id: user.employee_id,
-      claim_type: req.body.category,
-    };
-    
-    
-    // console.log(claimData)
-    
-    
-    // Add receipt if uploaded
-    if (req.file) {
-      const receipt = await uploadReceipt(req.file, req.user.userId);
 
-      claimData.receipt_filename = receipt.filename;
-      claimData.receipt_url = receipt.publicUrl;
+    const lockMessage = await AccountingPeriod.lockMessage(claim.date, req.user.role);
+    if (lockMessage) {
+      return res.status(400).json({
+        success: false,
+        message: lockMessage
+      });
+    }
+
+    if (claim.status === status) {
+      return res.status(400).json({
+        success: false,
+        message: `Claim is already ${status}`
+      });
+    }
+
+    // Verification and approval go through the approval chain when one is set
+    if (['verified', 'approved'].includes(status) && claim.currentApprovalStep()) {
+      return res.status(400).json({
+        success: false,
+        message: `Claim is awaiting the ${claim.currentApprovalStep().name} approval step`
+      });
     }
 
+    if (!claim.canTransitionTo(status)) {
+      const allowed = Claim.STATUS_TRANSITIONS[claim.status] || [];
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change claim from ${claim.status} to ${status}`,
+        allowed
+      });
+    }
     
-    // Set initial status
-    claimData.status = 'new';
+    // Update claim
+    const previousStatus = claim.status;
+    claim.transitionTo(status, req.user.userId, notes);
+    if (status === 'pending') {
+      // A reopened claim goes through the approval chain again from the
+      // first step; earlier decisions no longer count
+      const chain = await ApprovalChain.resolveFor(claim.department, claim.base_amount);
+      claim.setApprovalSteps(chain);
+    }
+    if (notes) claim.notesByAdmin = notes;
+    if (status === 'paid' && req.body.payment_reference) {
+      claim.payment_reference = req.body.payment_reference;
+    }
     
-    const claim = new Claim(claimData);
     await claim.save();
     
+    // Post ledger journals for approval, payment or reversal
+    await ledger.recordStatusChange(claim, previousStatus, req.user.userId);
+    await mileage.syncForStatusChange(claim, previousStatus);
+    
     // Log activity
-    await auth.logActivity(req, 'create', 'claim', claim._id.toString(), 
-      `Created claim ${claim.claim_id} for ${claim.amount} ${claim.currency}`);
+    const actions = { approved: 'approve', rejected: 'reject', paid: 'pay' };
+    await auth.logActivity(req, actions[status] || 'update', 'claim', claim._id.toString(), 
+      `Changed claim ${claim.claim_id} from ${previousStatus} to ${status}`);
     
-    res.status(201).json({
+    res.json({
       success: true,
       data: claim,
-      message: 'Claim submitted successfully'
+      message: `Claim successfully changed to ${status.toUpperCase()}`
     });
     
   } catch (error) {
-    console.error('Create claim error:', error);
+    console.error('Change claim status error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error'
+      message: 'Server error',
     });
   }
 });
 
-// @route   PUT /api/claims/:id
-// @desc    Update claim
-// @access  Private
-router.put('/:id', auth.verifyToken, upload.single('image'), async (req, res) => {
+// @route   PUT /api/claims/:id/duplicates
+// @desc    Clear or confirm a possible duplicate flag
+// @access  Private (Finance)
+router.put('/:id/duplicates',
+  auth.verifyToken,
+  auth.checkRole('admin', 'accountant', 'financial officer'),
+  [
+    body('resolution').isIn(['cleared', 'confirmed']).withMessage('Resolution must be cleared or confirmed'),
+    body('notes').optional().trim()
+  ],
+  async (req, res) => {
   try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { resolution, notes } = req.body;
     const claim = await Claim.findById(req.params.id);
-    
+
     if (!claim) {
       return res.status(404).json({
         success: false,
         message: 'Claim not found'
       });
     }
-    
-    // Check ownership and status
-    if (req.user.role !== 'admin' || claim.user_id.toString() !== req.user.userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
-    
-    // Only allow updates for new or pending claims
-    if (!['new', 'pending', 'verified'].includes(claim.status)) {
+
+    if (claim.duplicate_status === 'none') {
       return res.status(400).json({
         success: false,
-        message: 'Cannot update claim in current status'
+        message: 'Claim is not flagged as a possible duplicate'
       });
     }
-    
-    // Update fields
-    if (req.body.description) claim.description = req.body.description;
-    if (req.body.category) claim.category = req.body.category;
-    if (req.body.amount) claim.amount = req.body.amount;
-    if (req.body.notes !== undefined) claim.notes = req.body.notes;
-    
-    // Update receipt if uploaded
-    if (req.file) {
-      const receipt = await uploadReceipt(req.file, req.user.userId);
 
-      claim.receipt_filename = receipt.filename;
-      claim.receipt_url = receipt.publicUrl;
+    if (resolution === 'confirmed') {
+      const lockMessage = await AccountingPeriod.lockMessage(claim.date, req.user.role);
+      if (lockMessage) {
+        return res.status(400).json({
+          success: false,
+          message: lockMessage
+        });
+      }
     }
 
-    
-    // Reset status if amount changed significantly
-    if (req.body.amount && req.body.amount > 1000 && claim.status === 'new') {
-      claim.status = 'pending';
+    claim.duplicate_status = resolution;
+    claim.duplicate_reviewed_by = req.user.userId;
+    claim.duplicate_reviewed_at = new Date();
+
+    // Confirmed duplicates are rejected unless already settled
+    const previousStatus = claim.status;
+    if (resolution === 'confirmed' && claim.canTransitionTo('rejected')) {
+      claim.transitionTo('rejected', req.user.userId, notes || 'Duplicate claim');
     }
-    
     await claim.save();
-    
+
+    await ledger.recordStatusChange(claim, previousStatus, req.user.userId);
+    await mileage.syncForStatusChange(claim, previousStatus);
+
     // Log activity
-    await auth.logActivity(req, 'update', 'claim', claim._id.toString(), 
-      `Updated claim ${claim.claim_id}`);
-    
+    await auth.logActivity(req, resolution === 'confirmed' ? 'reject' : 'update', 'claim', claim._id.toString(),
+      `${resolution === 'confirmed' ? 'Confirmed' : 'Cleared'} possible duplicate claim ${claim.claim_id}${notes ? `: ${notes}` : ''}`);
+
     res.json({
       success: true,
       data: claim,
-      message: 'Claim updated successfully'
+      message: resolution === 'confirmed' ? 'Claim confirmed as a duplicate' : 'Duplicate flag cleared'
     });
-    
+
   } catch (error) {
+    console.error('Duplicate review error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -318,25 +1494,29 @@ router.put('/:id', auth.verifyToken, upload.single('image'), async (req, res) =>
   }
 });
 
-// @route   PUT /api/claims/:id/status
-// @desc    Change claim status
-// @access  Private (Admin)
-router.put('/:id/status', 
+// @route   PUT /api/claims/:id/approval
+// @desc    Approve or reject the current approval step
+// @access  Private (Approver for the current step)
+router.put('/:id/approval',
   auth.verifyToken,
-  auth.checkRole('admin', 'financial officer', 'accountant', 'administrator'),
   [
-    body('notes').optional().trim(),
-    body('status').isIn(['approved', 'rejected', 'paid', 'pending']).withMessage('Invalid status')
+    body('action').isIn(['approve', 'reject']).withMessage('Action must be approve or reject'),
+    body('notes').optional().trim()
   ],
   async (req, res) => {
-
-    const { status, notes } = req.body;
   try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
 
+    const { action, notes } = req.body;
     const claim = await Claim.findById(req.params.id);
 
-    console.log(status)
-    
     if (!claim) {
       return res.status(404).json({
         success: false,
@@ -344,40 +1524,55 @@ router.put('/:id/status',
       });
     }
 
-    if (claim.status.toLocaleLowerCase() === status.toLocaleLowerCase()) {
+    const lockMessage = await AccountingPeriod.lockMessage(claim.date, req.user.role);
+    if (lockMessage) {
       return res.status(400).json({
         success: false,
-        message: `Claim is already ${status}`
+        message: lockMessage
       });
-    }             
+    }
 
-        
-    
-    
-    // Update claim
-    claim.status = status;
-    claim.approved_by = req.user.userId;
-    claim.approved_at = new Date();
-    if (req.body.notes) claim.notesByAdmin = notes;
-    
+    const step = claim.currentApprovalStep();
+    if (!step) {
+      return res.status(400).json({
+        success: false,
+        message: 'Claim has no approval step awaiting action'
+      });
+    }
+
+    const approver = await User.findById(req.user.userId).select('department');
+    if (!claim.canActOnApproval({ ...req.user, department: approver?.department })) {
+      return res.status(403).json({
+        success: false,
+        message: `You cannot act on the ${step.name} step of this claim`
+      });
+    }
+
+    const stepName = step.name;
+    const previousStatus = claim.status;
+    claim.actOnApproval(action, req.user.userId, notes);
     await claim.save();
-    
+
+    // Post ledger journals once the final step approves the claim
+    await ledger.recordStatusChange(claim, previousStatus, req.user.userId);
+    await mileage.syncForStatusChange(claim, previousStatus);
+
     // Log activity
-    await auth.logActivity(req, 'approve', 'claim', claim._id.toString(), 
-      `Approved claim ${claim.claim_id} for ${claim.amount} ${claim.currency}`);
-    
+    await auth.logActivity(req, action === 'approve' ? 'approve' : 'reject', 'claim', claim._id.toString(),
+      `${action === 'approve' ? 'Approved' : 'Rejected'} ${stepName} step of claim ${claim.claim_id}`);
+
     res.json({
       success: true,
       data: claim,
-      message: `Claim successfully changed to ${status.toUpperCase()}`
+      message: `${stepName} step ${action === 'approve' ? 'approved' : 'rejected'}`
     });
-    
+
   } catch (error) {
+    console.error('Claim approval error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error',
+      message: 'Server error'
     });
-    console.log(error)
   }
 });
 
@@ -535,6 +1730,17 @@ router.delete('/:id/delete', auth.verifyToken, async (req, res) => {
     
     await claim.deleteOne();
     
+    // Remove the stored receipts and their previews
+    await deleteReceipt(
+      claim.receipt_filename, claim.receipt_preview_filename, claim.receipt_thumbnail_filename,
+      ...claim.attachments.flatMap(attachment => [attachment.filename, attachment.preview_filename, attachment.thumbnail_filename])
+    );
+    
+    // Release the miles back to the user's tax year total
+    if (claim.mileage?.miles) {
+      await mileage.recordMiles(claim.user_id, claim.mileage.tax_year, claim.mileage.vehicle_type, -claim.mileage.miles);
+    }
+    
     // Log activity
     await auth.logActivity(req, 'delete', 'claim', claim._id.toString(), 
       `Deleted claim ${claim.claim_id}`);
@@ -552,96 +1758,4 @@ router.delete('/:id/delete', auth.verifyToken, async (req, res) => {
   }
 });
 
-// @route   GET /api/claims/stats
-// @desc    Get claim statistics
-// @access  Private
-router.get('/stats', auth.verifyToken, async (req, res) => {
-  try {
-    let matchQuery = {};
-    
-    // Role-based filtering
-    if (req.user.role !== 'admin') {
-      matchQuery.user_id = req.user.userId;
-    }
-    
-    // Date range (last 30 days by default)
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-    matchQuery.created_at = { $gte: thirtyDaysAgo };
-    
-    const stats = await Claim.aggregate([
-      { $match: matchQuery },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: 1 },
-          total_amount: { $sum: '$amount' },
-          new: {
-            $sum: { $cond: [{ $eq: ['$status', 'new'] }, 1, 0] }
-          },
-          pending: {
-            $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] }
-          },
-          approved: {
-            $sum: { $cond: [{ $eq: ['$status', 'approved'] }, 1, 0] }
-          },
-          rejected: {
-            $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] }
-          },
-          paid: {
-            $sum: { $cond: [{ $eq: ['$status', 'paid'] }, 1, 0] }
-          },
-          recommendation: {
-            $sum: { $cond: [{ $eq: ['$status', 'recommendation'] }, 1, 0] }
-          }
-        }
-      }
-    ]);
-    
-    // Format response
-    const result = stats[0] || {
-      total: 0,
-      total_amount: 0,
-      new: 0,
-      pending: 0,
-      approved: 0,
-      rejected: 0,
-      paid: 0,
-      recommendation: 0
-    };
-    
-    // Get top categories for admin
-    let categories = [];
-    if (req.user.role === 'admin') {
-      categories = await Claim.aggregate([
-        { $match: matchQuery },
-        {
-          $group: {
-            _id: '$category',
-            count: { $sum: 1 },
-            amount: { $sum: '$amount' }
-          }
-        },
-        { $sort: { amount: -1 } },
-        { $limit: 5 }
-      ]);
-    }
-    
-    res.json({
-      success: true,
-      data: {
-        ...result,
-        categories
-      }
-    });
-    
-  } catch (error) {
-    console.error('Get stats error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error'
-    });
-  }
-});
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,197 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const SupplierContract = require('../models/supplierContract');
+const Supplier = require('../models/supplier');
+const auth = require('../middlewares/auth');
+
+const financeRoles = ['admin', 'accountant', 'financial officer'];
+
+const contractValidation = [
+  body('supplier').optional().isMongoId().withMessage('Invalid supplier'),
+  body('supplier_name').if(body('supplier').not().exists()).trim().notEmpty().withMessage('Supplier name is required'),
+  body('category').optional().trim(),
+  body('description').optional().trim(),
+  body('frequency').isIn(['monthly', 'yearly']).withMessage('Frequency must be monthly or yearly'),
+  body('expected_amount').isFloat({ min: 0 }).withMessage('Expected amount must be a positive number'),
+  body('tolerance_percent').optional().isFloat({ min: 0 }),
+  body('start_date').isISO8601().withMessage('Valid start date is required'),
+  body('end_date').optional({ nullable: true }).isISO8601().withMessage('Invalid end date'),
+  body('active').optional().isBoolean()
+];
+
+// Copy request fields onto a contract, taking the name from the supplier record
+const applyContractFields = async (contract, data) => {
+  if (data.supplier) {
+    const supplier = await Supplier.findById(data.supplier);
+    if (!supplier) return 'Supplier not found';
+    contract.supplier = supplier._id;
+    contract.supplier_name = supplier.name;
+  } else if (data.supplier_name) {
+    const supplier = await Supplier.findByName(data.supplier_name);
+    contract.supplier = supplier ? supplier._id : undefined;
+    contract.supplier_name = supplier ? supplier.name : data.supplier_name;
+  }
+  
+  ['category', 'description', 'frequency', 'expected_amount', 'tolerance_percent', 'start_date', 'end_date', 'active']
+    .forEach(field => {
+      if (data[field] !== undefined) contract[field] = data[field];
+    });
+  return null;
+};
+
+// @route   GET /api/contracts
+// @desc    Get supplier contracts
+// @access  Private (Finance)
+router.get('/', auth.verifyToken, auth.checkRole(...financeRoles), async (req, res) => {
+  try {
+    const { supplier, active } = req.query;
+    
+    const query = {};
+    if (supplier) query.supplier = supplier;
+    if (active !== undefined) query.active = active === 'true';
+    
+    const contracts = await SupplierContract.find(query)
+      .sort({ supplier_name: 1, start_date: -1 })
+      .populate('supplier', 'name status');
+    
+    res.json({
+      success: true,
+      data: contracts
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/contracts
+// @desc    Create supplier contract
+// @access  Private (Finance)
+router.post('/', auth.verifyToken, auth.checkRole(...financeRoles), contractValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const contract = new SupplierContract({ created_by: req.user.userId });
+    const error = await applyContractFields(contract, req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    await contract.save();
+    
+    // Log activity
+    await auth.logActivity(req, 'create', 'system', contract._id.toString(), 
+      `Created ${contract.frequency} contract with ${contract.supplier_name} for ${contract.expected_amount}`);
+    
+    res.status(201).json({
+      success: true,
+      data: contract,
+      message: 'Contract created successfully'
+    });
+    
+  } catch (error) {
+    console.error('Create contract error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/contracts/:id
+// @desc    Update supplier contract
+// @access  Private (Finance)
+router.put('/:id', auth.verifyToken, auth.checkRole(...financeRoles), contractValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const contract = await SupplierContract.findById(req.params.id);
+    
+    if (!contract) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contract not found'
+      });
+    }
+    
+    const error = await applyContractFields(contract, req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    await contract.save();
+    
+    // Log activity
+    await auth.logActivity(req, 'update', 'system', contract._id.toString(), 
+      `Updated contract with ${contract.supplier_name}`);
+    
+    res.json({
+      success: true,
+      data: contract,
+      message: 'Contract updated successfully'
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/contracts/:id
+// @desc    Delete supplier contract
+// @access  Private (Admin only)
+router.delete('/:id', auth.verifyToken, auth.checkRole('admin'), async (req, res) => {
+  try {
+    const contract = await SupplierContract.findByIdAndDelete(req.params.id);
+    
+    if (!contract) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contract not found'
+      });
+    }
+    
+    // Log activity
+    await auth.logActivity(req, 'delete', 'system', contract._id.toString(), 
+      `Deleted contract with ${contract.supplier_name}`);
+    
+    res.json({
+      success: true,
+      message: 'Contract deleted successfully'
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
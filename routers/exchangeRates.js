@@ -0,0 +1,235 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const ExchangeRate = require('../models/exchangeRate');
+const auth = require('../middlewares/auth');
+const upload = require('../middlewares/upload');
+
+// Parse "date,currency,rate" lines; a header row is skipped
+const parseRatesCsv = (text) => text
+  .split(/\r?\n/)
+  .map(line => line.trim())
+  .filter(line => line && !/^date\s*,/i.test(line))
+  .map(line => {
+    const [date, currency, rate] = line.split(',').map(cell => cell.replace(/"/g, '').trim());
+    return { date, currency, rate };
+  });
+
+// @route   GET /api/exchange-rates
+// @desc    Get exchange rates
+// @access  Private
+router.get('/', auth.verifyToken, async (req, res) => {
+  try {
+    const { currency, startDate, endDate } = req.query;
+    
+    const query = {};
+    if (currency) query.currency = currency.toUpperCase().split(',');
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+    
+    const rates = await ExchangeRate.find(query)
+      .sort({ date: -1, currency: 1 })
+      .limit(500);
+    
+    res.json({
+      success: true,
+      data: rates
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/exchange-rates/lookup
+// @desc    Rate that applies to a currency on a date
+// @access  Private
+router.get('/lookup', auth.verifyToken, async (req, res) => {
+  try {
+    const { currency, date = new Date() } = req.query;
+    
+    if (!currency) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currency is required'
+      });
+    }
+    
+    const rate = await ExchangeRate.rateFor(currency, date);
+    
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: `No exchange rate for ${currency} on or before ${new Date(date).toISOString().slice(0, 10)}`
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: rate
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/exchange-rates/import
+// @desc    Import dated rates from a CSV file (date,currency,rate) or a JSON "rates" array
+// @access  Private (Admin/Accountant)
+router.post('/import', auth.verifyToken, auth.checkRole('admin', 'accountant'), upload.single('file'), async (req, res) => {
+  try {
+    const rows = req.file ? parseRatesCsv(req.file.buffer.toString('utf8')) : req.body.rates;
+    
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide a CSV file or a rates array'
+      });
+    }
+    
+    const errors = [];
+    const operations = [];
+    
+    rows.forEach((row, index) => {
+      const currency = ExchangeRate.normalizeCurrency(row.currency);
+      const rate = parseFloat(row.rate);
+      const date = new Date(row.date);
+      
+      if (!/^[A-Z]{3}$/.test(currency || '') || currency === ExchangeRate.BASE_CURRENCY) {
+        errors.push({ row: index + 1, message: `Invalid currency ${row.currency}` });
+      } else if (!(rate > 0)) {
+        errors.push({ row: index + 1, message: `Invalid rate ${row.rate}` });
+      } else if (isNaN(date.getTime())) {
+        errors.push({ row: index + 1, message: `Invalid date ${row.date}` });
+      } else {
+        operations.push({
+          updateOne: {
+            filter: { currency, date },
+            update: { $set: { rate, source: row.source || 'import', imported_by: req.user.userId } },
+            upsert: true
+          }
+        });
+      }
+    });
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${errors.length} rows could not be imported`,
+        errors
+      });
+    }
+    
+    const result = await ExchangeRate.bulkWrite(operations);
+    
+    // Log activity
+    await auth.logActivity(req, 'create', 'system', 'exchange-rates', 
+      `Imported ${operations.length} exchange rates`);
+    
+    res.json({
+      success: true,
+      data: {
+        imported: result.upsertedCount,
+        updated: result.modifiedCount
+      },
+      message: `${operations.length} exchange rates imported`
+    });
+    
+  } catch (error) {
+    console.error('Import exchange rates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/exchange-rates
+// @desc    Add a single rate
+// @access  Private (Admin/Accountant)
+router.post('/', 
+  auth.verifyToken,
+  auth.checkRole('admin', 'accountant'),
+  [
+    body('currency').customSanitizer(ExchangeRate.normalizeCurrency).isISO4217().withMessage('Currency must be an ISO 4217 code'),
+    body('rate').isFloat({ gt: 0 }).withMessage('Rate must be greater than zero'),
+    body('date').isISO8601().withMessage('Valid date is required'),
+    body('source').optional().trim()
+  ],
+  async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const rate = await ExchangeRate.findOneAndUpdate(
+      { currency: req.body.currency, date: new Date(req.body.date) },
+      { rate: req.body.rate, source: req.body.source || 'manual', imported_by: req.user.userId },
+      { upsert: true, new: true, runValidators: true }
+    );
+    
+    // Log activity
+    await auth.logActivity(req, 'create', 'system', rate._id.toString(), 
+      `Set ${rate.currency} rate ${rate.rate} for ${req.body.date}`);
+    
+    res.status(201).json({
+      success: true,
+      data: rate,
+      message: 'Exchange rate saved successfully'
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/exchange-rates/:id
+// @desc    Delete a rate
+// @access  Private (Admin only)
+router.delete('/:id', auth.verifyToken, auth.checkRole('admin'), async (req, res) => {
+  try {
+    const rate = await ExchangeRate.findByIdAndDelete(req.params.id);
+    
+    if (!rate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+    
+    // Log activity
+    await auth.logActivity(req, 'delete', 'system', rate._id.toString(), 
+      `Deleted ${rate.currency} rate for ${rate.date.toISOString().slice(0, 10)}`);
+    
+    res.json({
+      success: true,
+      message: 'Exchange rate deleted successfully'
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
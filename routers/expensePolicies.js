@@ -0,0 +1,182 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const ExpensePolicy = require('../models/expensePolicy');
+const auth = require('../middlewares/auth');
+
+const financeRoles = ['admin', 'accountant', 'financial officer'];
+
+const policyValidation = [
+  body('name').trim().notEmpty().withMessage('Policy name is required'),
+  body('type').isIn(ExpensePolicy.POLICY_TYPES).withMessage(`Type must be one of ${ExpensePolicy.POLICY_TYPES.join(', ')}`),
+  body('amount_threshold').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Amount threshold must be a positive number'),
+  body('max_age_days').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Maximum age must be a whole number of days'),
+  body('categories').optional().isArray().withMessage('Categories must be a list'),
+  body('roles').optional().isArray().withMessage('Roles must be a list'),
+  body('severity').optional().isIn(['block', 'exception']).withMessage('Severity must be block or exception'),
+  body('exception_roles').optional().isArray().withMessage('Exception roles must be a list'),
+  body('message').optional().trim(),
+  body('active').optional().isBoolean().withMessage('Active must be true or false')
+];
+
+const policyFields = ['name', 'type', 'amount_threshold', 'max_age_days', 'categories', 'roles', 'severity', 'exception_roles', 'message', 'active'];
+
+// @route   GET /api/expense-policies
+// @desc    Get expense policys
+// @access  Private (Finance)
+router.get('/', auth.verifyToken, auth.checkRole(...financeRoles), async (req, res) => {
+  try {
+    const { type, active } = req.query;
+
+    const query = {};
+    if (type) query.type = type;
+    if (active !== undefined) query.active = active === 'true';
+
+    const policies = await ExpensePolicy.find(query)
+      .sort({ type: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: policies
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/expense-policies
+// @desc    Create expense policy
+// @access  Private (Admin only)
+router.post('/', auth.verifyToken, auth.checkRole('admin'), policyValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const policyData = { created_by: req.user.userId };
+    policyFields.forEach(field => {
+      if (req.body[field] !== undefined) policyData[field] = req.body[field];
+    });
+
+    const expensePolicy = new ExpensePolicy(policyData);
+    await expensePolicy.save();
+
+    // Log activity
+    await auth.logActivity(req, 'create', 'system', expensePolicy._id.toString(),
+      `Created ${expensePolicy.severity} expense policy ${expensePolicy.name} (${expensePolicy.type})`);
+
+    res.status(201).json({
+      success: true,
+      data: expensePolicy,
+      message: 'Expense policy created successfully'
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    console.error('Create expense policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/expense-policies/:id
+// @desc    Update expense policy
+// @access  Private (Admin only)
+router.put('/:id', auth.verifyToken, auth.checkRole('admin'), policyValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const expensePolicy = await ExpensePolicy.findById(req.params.id);
+
+    if (!expensePolicy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense policy not found'
+      });
+    }
+
+    policyFields.forEach(field => {
+      if (req.body[field] !== undefined) expensePolicy[field] = req.body[field];
+    });
+
+    await expensePolicy.save();
+
+    // Log activity
+    await auth.logActivity(req, 'update', 'system', expensePolicy._id.toString(),
+      `Updated expense policy ${expensePolicy.name}`);
+
+    res.json({
+      success: true,
+      data: expensePolicy,
+      message: 'Expense policy updated successfully'
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/expense-policies/:id
+// @desc    Deactivate expense policy (claims keep a reference to it)
+// @access  Private (Admin only)
+router.delete('/:id', auth.verifyToken, auth.checkRole('admin'), async (req, res) => {
+  try {
+    const expensePolicy = await ExpensePolicy.findByIdAndUpdate(req.params.id, { active: false }, { new: true });
+
+    if (!expensePolicy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Expense policy not found'
+      });
+    }
+
+    // Log activity
+    await auth.logActivity(req, 'delete', 'system', expensePolicy._id.toString(),
+      `Deactivated expense policy ${expensePolicy.name}`);
+
+    res.json({
+      success: true,
+      message: 'Expense policy deactivated successfully'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
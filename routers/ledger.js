@@ -0,0 +1,189 @@
+const express = require('express');
+const router = express.Router();
+const moment = require('moment');
+const Journal = require('../models/journal');
+const Account = require('../models/account');
+const auth = require('../middlewares/auth');
+const round2 = require('../utils/round2');
+
+const financeRoles = ['admin', 'accountant', 'financial officer'];
+
+// @route   GET /api/ledger/trial-balance
+// @desc    Trial balance of all accounts as at a date
+// @access  Private (Finance)
+router.get('/trial-balance', auth.verifyToken, auth.checkRole(...financeRoles), async (req, res) => {
+  try {
+    const asAt = req.query.asAt ? moment(req.query.asAt).endOf('day').toDate() : new Date();
+    
+    const balances = await Journal.aggregate([
+      { $match: { date: { $lte: asAt } } },
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: '$lines.account_code',
+          name: { $first: '$lines.account_name' },
+          debit: { $sum: '$lines.debit' },
+          credit: { $sum: '$lines.credit' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+    
+    const accountRecords = await Account.find({ code: { $in: balances.map(item => item._id) } });
+    
+    const accounts = balances.map(item => {
+      const account = accountRecords.find(a => a.code === item._id);
+      const balance = round2(item.debit - item.credit);
+      return {
+        code: item._id,
+        name: account?.name || item.name,
+        type: account?.type || 'unknown',
+        total_debit: round2(item.debit),
+        total_credit: round2(item.credit),
+        debit: balance > 0 ? balance : 0,
+        credit: balance < 0 ? -balance : 0
+      };
+    });
+    
+    const totals = accounts.reduce((acc, account) => {
+      acc.debit = round2(acc.debit + account.debit);
+      acc.credit = round2(acc.credit + account.credit);
+      return acc;
+    }, { debit: 0, credit: 0 });
+    
+    // Log activity
+    await auth.logActivity(req, 'view', 'system', 'ledger', 
+      `Viewed trial balance as at ${moment(asAt).format('YYYY-MM-DD')}`);
+    
+    res.json({
+      success: true,
+      data: {
+        asAt,
+        accounts,
+        totals,
+        balanced: totals.debit === totals.credit
+      }
+    });
+    
+  } catch (error) {
+    console.error('Trial balance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/ledger/accounts/:code
+// @desc    Account drill-down with running balance
+// @access  Private (Finance)
+router.get('/accounts/:code', auth.verifyToken, auth.checkRole(...financeRoles), async (req, res) => {
+  try {
+    const { code } = req.params;
+    const { startDate, endDate } = req.query;
+    
+    const start = startDate ? moment(startDate).startOf('day').toDate() : null;
+    const end = endDate ? moment(endDate).endOf('day').toDate() : new Date();
+    
+    // Opening balance from everything before the start date
+    let opening = 0;
+    if (start) {
+      const [before] = await Journal.aggregate([
+        { $match: { date: { $lt: start }, 'lines.account_code': code } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.account_code': code } },
+        { $group: { _id: null, debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } }
+      ]);
+      opening = before ? round2(before.debit - before.credit) : 0;
+    }
+    
+    const dateQuery = { $lte: end };
+    if (start) dateQuery.$gte = start;
+    
+    const journals = await Journal.find({ date: dateQuery, 'lines.account_code': code })
+      .sort({ date: 1, reference: 1 })
+      .populate('claim', 'claim_id claimant_name');
+    
+    let running = opening;
+    const entries = [];
+    journals.forEach(journal => {
+      journal.lines.filter(l => l.account_code === code).forEach(l => {
+        running = round2(running + l.debit - l.credit);
+        entries.push({
+          journal_id: journal._id,
+          reference: journal.reference,
+          date: journal.date,
+          source: journal.source,
+          claim: journal.claim,
+          description: l.description || journal.description,
+          debit: l.debit,
+          credit: l.credit,
+          balance: running
+        });
+      });
+    });
+    
+    const account = await Account.findOne({ code });
+    
+    res.json({
+      success: true,
+      data: {
+        account: account || { code },
+        period: { startDate: start, endDate: end },
+        opening_balance: opening,
+        closing_balance: running,
+        entries
+      }
+    });
+    
+  } catch (error) {
+    console.error('Account drill-down error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/ledger/journals
+// @desc    List journals (optionally for one claim)
+// @access  Private (Finance)
+router.get('/journals', auth.verifyToken, auth.checkRole(...financeRoles), async (req, res) => {
+  try {
+    const { claim, source, page = 1, limit = 20 } = req.query;
+    
+    const query = {};
+    if (claim) query.claim = claim;
+    if (source) query.source = source.split(',');
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const journals = await Journal.find(query)
+      .sort({ date: -1, reference: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('claim', 'claim_id claimant_name')
+      .populate('posted_by', 'name employee_id');
+    
+    const total = await Journal.countDocuments(query);
+    
+    res.json({
+      success: true,
+      data: journals,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
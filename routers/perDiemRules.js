@@ -0,0 +1,175 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const PerDiemRule = require('../models/perDiemRule');
+const auth = require('../middlewares/auth');
+
+const financeRoles = ['admin', 'accountant', 'financial officer'];
+
+const ruleValidation = [
+  body('name').trim().notEmpty().withMessage('Rule name is required'),
+  body('location_band').trim().notEmpty().withMessage('Location band is required'),
+  body('min_trip_hours').optional().isFloat({ min: 0 }).withMessage('Minimum trip hours must be a positive number'),
+  body('daily_cap').isFloat({ min: 0 }).withMessage('Daily cap must be a positive number'),
+  body('meal_caps.breakfast').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Breakfast cap must be a positive number'),
+  body('meal_caps.lunch').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Lunch cap must be a positive number'),
+  body('meal_caps.dinner').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Dinner cap must be a positive number'),
+  body('action').optional().isIn(['cap', 'flag']).withMessage('Action must be cap or flag'),
+  body('active').optional().isBoolean().withMessage('Active must be true or false')
+];
+
+const ruleFields = ['name', 'location_band', 'min_trip_hours', 'daily_cap', 'meal_caps', 'action', 'active'];
+
+// @route   GET /api/per-diem-rules
+// @desc    Get per-diem rules
+// @access  Private (Finance)
+router.get('/', auth.verifyToken, auth.checkRole(...financeRoles), async (req, res) => {
+  try {
+    const { location_band, active } = req.query;
+
+    const query = {};
+    if (location_band) query.location_band = location_band.toLowerCase();
+    if (active !== undefined) query.active = active === 'true';
+
+    const rules = await PerDiemRule.find(query)
+      .sort({ location_band: 1, min_trip_hours: 1 });
+
+    res.json({
+      success: true,
+      data: rules
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/per-diem-rules
+// @desc    Create per-diem rule
+// @access  Private (Admin/Accountant)
+router.post('/', auth.verifyToken, auth.checkRole('admin', 'accountant'), ruleValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const ruleData = { created_by: req.user.userId };
+    ruleFields.forEach(field => {
+      if (req.body[field] !== undefined) ruleData[field] = req.body[field];
+    });
+
+    const rule = new PerDiemRule(ruleData);
+    await rule.save();
+
+    // Log activity
+    await auth.logActivity(req, 'create', 'system', rule._id.toString(),
+      `Created per-diem rule ${rule.name} (${rule.location_band}, ${rule.daily_cap}/day)`);
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: 'Per-diem rule created successfully'
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    console.error('Create per-diem rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/per-diem-rules/:id
+// @desc    Update per-diem rule
+// @access  Private (Admin/Accountant)
+router.put('/:id', auth.verifyToken, auth.checkRole('admin', 'accountant'), ruleValidation, async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const rule = await PerDiemRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Per-diem rule not found'
+      });
+    }
+
+    ruleFields.forEach(field => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field];
+    });
+
+    await rule.save();
+
+    // Log activity
+    await auth.logActivity(req, 'update', 'system', rule._id.toString(),
+      `Updated per-diem rule ${rule.name}`);
+
+    res.json({
+      success: true,
+      data: rule,
+      message: 'Per-diem rule updated successfully'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/per-diem-rules/:id
+// @desc    Deactivate per-diem rule (claims keep a reference to it)
+// @access  Private (Admin only)
+router.delete('/:id', auth.verifyToken, auth.checkRole('admin'), async (req, res) => {
+  try {
+    const rule = await PerDiemRule.findByIdAndUpdate(req.params.id, { active: false }, { new: true });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Per-diem rule not found'
+      });
+    }
+
+    // Log activity
+    await auth.logActivity(req, 'delete', 'system', rule._id.toString(),
+      `Deactivated per-diem rule ${rule.name}`);
+
+    res.json({
+      success: true,
+      message: 'Per-diem rule deactivated successfully'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,168 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const AccountingPeriod = require('../models/accountingPeriod');
+const auth = require('../middlewares/auth');
+
+const STATUS_ORDER = ['open', 'soft_closed', 'closed'];
+
+// @route   GET /api/periods
+// @desc    Get accounting periods
+// @access  Private (Finance)
+router.get('/', auth.verifyToken, auth.checkRole('admin', 'accountant', 'financial officer'), async (req, res) => {
+  try {
+    const { year } = req.query;
+    
+    const query = {};
+    if (year) query.period = new RegExp(`^${parseInt(year)}-`);
+    
+    const periods = await AccountingPeriod.find(query)
+      .sort({ period: -1 })
+      .populate('closed_by', 'name employee_id')
+      .populate('history.by', 'name employee_id');
+    
+    res.json({
+      success: true,
+      data: periods
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/periods/:period/close
+// @desc    Soft-close or close a month
+// @access  Private (Admin only)
+router.post('/:period/close', 
+  auth.verifyToken,
+  auth.checkRole('admin'),
+  [
+    param('period').matches(/^\d{4}-\d{2}$/).withMessage('Period must be YYYY-MM'),
+    body('status').optional().isIn(['soft_closed', 'closed']).withMessage('Status must be soft_closed or closed'),
+    body('reason').optional().trim()
+  ],
+  async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const status = req.body.status || 'closed';
+    let period = await AccountingPeriod.findOne({ period: req.params.period });
+    if (!period) {
+      period = new AccountingPeriod({ period: req.params.period });
+    }
+    
+    // Closing only ever tightens a period; loosening goes through reopen
+    if (STATUS_ORDER.indexOf(period.status) >= STATUS_ORDER.indexOf(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Period ${period.period} is already ${period.status}`
+      });
+    }
+    
+    period.history.push({
+      action: 'close',
+      from_status: period.status,
+      to_status: status,
+      by: req.user.userId,
+      reason: req.body.reason
+    });
+    period.status = status;
+    period.closed_by = req.user.userId;
+    period.closed_at = new Date();
+    
+    await period.save();
+    
+    // Log activity
+    await auth.logActivity(req, 'period_close', 'period', period.period, 
+      `Changed accounting period ${period.period} to ${status}`);
+    
+    res.json({
+      success: true,
+      data: period,
+      message: `Period ${period.period} is now ${status}`
+    });
+    
+  } catch (error) {
+    console.error('Close period error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/periods/:period/reopen
+// @desc    Reopen a closed or soft-closed month
+// @access  Private (Admin only)
+router.post('/:period/reopen', 
+  auth.verifyToken,
+  auth.checkRole('admin'),
+  [
+    param('period').matches(/^\d{4}-\d{2}$/).withMessage('Period must be YYYY-MM'),
+    body('status').optional().isIn(['open', 'soft_closed']).withMessage('Status must be open or soft_closed'),
+    body('reason').trim().notEmpty().withMessage('A reason is required to reopen a period')
+  ],
+  async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const status = req.body.status || 'open';
+    const period = await AccountingPeriod.findOne({ period: req.params.period });
+    
+    if (!period || STATUS_ORDER.indexOf(period.status) <= STATUS_ORDER.indexOf(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Period ${req.params.period} is already ${period ? period.status : 'open'}`
+      });
+    }
+    
+    const previousStatus = period.status;
+    period.history.push({
+      action: 'reopen',
+      from_status: previousStatus,
+      to_status: status,
+      by: req.user.userId,
+      reason: req.body.reason
+    });
+    period.status = status;
+    
+    await period.save();
+    
+    // Log activity
+    await auth.logActivity(req, 'period_reopen', 'period', period.period, 
+      `Reopened accounting period ${period.period} from ${previousStatus} to ${status}: ${req.body.reason}`);
+    
+    res.json({
+      success: true,
+      data: period,
+      message: `Period ${period.period} reopened as ${status}`
+    });
+    
+  } catch (error) {
+    console.error('Reopen period error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,7 +4,28 @@ const moment = require('moment');
 const Claim = require('../models/claim');
 const User = require('../models/user');
 const AuditLog = require('../models/auditLog');
+const ClaimCategory = require('../models/claimCategory');
+const Account = require('../models/account');
+const Journal = require('../models/journal');
+const Supplier = require('../models/supplier');
+const SupplierContract = require('../models/supplierContract');
+const chartOfAccounts = require('../configs/chartOfAccounts');
 const auth = require('../middlewares/auth');
+const vat = require('../utils/vat');
+
+const { BASE_AMOUNT } = Claim;
+
+// Send rows as a downloadable CSV file
+const sendCsv = (res, filename, headers, rows) => {
+  const csvContent = [
+    headers.join(','),
+    ...rows.map(row => row.map(cell => `"${String(cell ?? '').replace(/"/g, '""')}"`).join(','))
+  ].join('\n');
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(csvContent);
+};
 
 // @route   GET /api/reports/summary
 // @desc    Get system summary report
@@ -32,15 +53,15 @@ router.get('/summary', auth.verifyToken, auth.checkRole('admin'), async (req, re
       {
         $group: {
           _id: null,
-          totalAmount: { $sum: '$amount' },
+          totalAmount: { $sum: BASE_AMOUNT },
           monthlyAmount: {
             $sum: {
-              $cond: [{ $gte: ['$created_at', startOfMonth] }, '$amount', 0]
+              $cond: [{ $gte: ['$created_at', startOfMonth] }, BASE_AMOUNT, 0]
             }
           },
           yearlyAmount: {
             $sum: {
-              $cond: [{ $gte: ['$created_at', startOfYear] }, '$amount', 0]
+              $cond: [{ $gte: ['$created_at', startOfYear] }, BASE_AMOUNT, 0]
             }
           }
         }
@@ -53,7 +74,7 @@ router.get('/summary', auth.verifyToken, auth.checkRole('admin'), async (req, re
         $group: {
           _id: '$status',
           count: { $sum: 1 },
-          amount: { $sum: '$amount' }
+          amount: { $sum: BASE_AMOUNT }
         }
       },
       { $sort: { count: -1 } }
@@ -80,7 +101,7 @@ router.get('/summary', auth.verifyToken, auth.checkRole('admin'), async (req, re
         $group: {
           _id: '$user.department',
           count: { $sum: 1 },
-          amount: { $sum: '$amount' }
+          amount: { $sum: BASE_AMOUNT }
         }
       },
       { $sort: { amount: -1 } }
@@ -97,7 +118,7 @@ router.get('/summary', auth.verifyToken, auth.checkRole('admin'), async (req, re
         $group: {
           _id: { month: { $month: '$created_at' } },
           count: { $sum: 1 },
-          amount: { $sum: '$amount' }
+          amount: { $sum: BASE_AMOUNT }
         }
       },
       { $sort: { '_id.month': 1 } }
@@ -182,20 +203,20 @@ router.get('/monthly', auth.verifyToken, auth.checkRole('admin'), async (req, re
         $group: {
           _id: null,
           totalClaims: { $sum: 1 },
-          totalAmount: { $sum: '$amount' },
+          totalAmount: { $sum: BASE_AMOUNT },
           approvedAmount: {
             $sum: {
-              $cond: [{ $eq: ['$status', 'approved'] }, '$amount', 0]
+              $cond: [{ $eq: ['$status', 'approved'] }, BASE_AMOUNT, 0]
             }
           },
           paidAmount: {
             $sum: {
-              $cond: [{ $eq: ['$status', 'paid'] }, '$amount', 0]
+              $cond: [{ $eq: ['$status', 'paid'] }, BASE_AMOUNT, 0]
             }
           },
           pendingAmount: {
             $sum: {
-              $cond: [{ $in: ['$status', ['new', 'pending', 'recommendation']] }, '$amount', 0]
+              $cond: [{ $in: ['$status', ['new', 'pending', 'recommendation']] }, BASE_AMOUNT, 0]
             }
           }
         }
@@ -213,7 +234,7 @@ router.get('/monthly', auth.verifyToken, auth.checkRole('admin'), async (req, re
         $group: {
           _id: '$user_id',
           count: { $sum: 1 },
-          amount: { $sum: '$amount' }
+          amount: { $sum: BASE_AMOUNT }
         }
       },
       { $sort: { amount: -1 } },
@@ -244,7 +265,7 @@ router.get('/monthly', auth.verifyToken, auth.checkRole('admin'), async (req, re
         $group: {
           _id: { day: { $dayOfMonth: '$created_at' } },
           count: { $sum: 1 },
-          amount: { $sum: '$amount' }
+          amount: { $sum: BASE_AMOUNT }
         }
       },
       { $sort: { '_id.day': 1 } }
@@ -335,7 +356,7 @@ router.get('/export', auth.verifyToken, auth.checkRole('admin'), async (req, res
     // CSV format
     const csvHeaders = [
       'Claim ID', 'Date', 'Employee ID', 'Employee Name', 'Department',
-      'Description', 'Category', 'Amount', 'Currency', 'Status',
+      'Description', 'Category', 'Amount', 'Currency', 'Amount (GBP)', 'Status',
       'Approved By', 'Approved At', 'Paid By', 'Paid At',
       'Payment Reference', 'Notes'
     ];
@@ -352,6 +373,7 @@ router.get('/export', auth.verifyToken, auth.checkRole('admin'), async (req, res
         claim.category,
         claim.amount,
         claim.currency,
+        claim.baseValue(claim.amount),
         claim.status,
         claim.approved_by?.name || '',
         claim.approved_at ? moment(claim.approved_at).format('DD/MM/YYYY HH:mm') : '',
@@ -362,18 +384,9 @@ router.get('/export', auth.verifyToken, auth.checkRole('admin'), async (req, res
       ];
     });
     
-    // Create CSV content
-    const csvContent = [
-      csvHeaders.join(','),
-      ...csvRows.map(row => row.map(cell => `"${cell}"`).join(','))
-    ].join('\n');
-    
-    // Set headers for file download
+    // Send CSV file
     const filename = `claims_export_${moment().format('YYYY-MM-DD_HH-mm')}.csv`;
-    
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.send(csvContent);
+    sendCsv(res, filename, csvHeaders, csvRows);
     
     // Log activity
     await auth.logActivity(req, 'export', 'system', 'reports', 
@@ -388,4 +401,470 @@ router.get('/export', auth.verifyToken, auth.checkRole('admin'), async (req, res
   }
 });
 
+// @route   GET /api/reports/vat-return
+// @desc    UK VAT return (boxes 1-9) for a quarter from approved/paid claims
+// @access  Private (Finance)
+router.get('/vat-return', auth.verifyToken, auth.checkRole('admin', 'accountant', 'financial officer'), async (req, res) => {
+  try {
+    const { period, format = 'json' } = req.query;
+    const vatPeriod = vat.parseVatPeriod(period);
+    
+    if (!vatPeriod) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid period. Use YYYY-Qn or the quarter end month as YYYY-MM'
+      });
+    }
+    
+    // Tax point is the expense date on the receipt
+    const claims = await Claim.find({
+      status: { $in: ['approved', 'paid'] },
+      date: { $gte: vatPeriod.startDate, $lte: vatPeriod.endDate }
+    })
+      .populate('user_id', 'name employee_id')
+      .sort({ date: 1 });
+    
+    const categories = await ClaimCategory.find();
+    
+    let inputVat = 0;
+    let disallowedVat = 0;
+    let purchasesNet = 0;
+    const contributing = [];
+    const flagged = [];
+    
+    for (const claim of claims) {
+      const { treatment, rate } = await vat.vatRateFor(claim, categories);
+      const gross = claim.baseValue(claim.amount);
+      const claimVat = claim.baseValue(claim.vat_amount);
+      // Only VAT the category's rate allows is reclaimed in box 4; the
+      // rest of what was declared stays part of the purchase cost
+      const reclaimable = rate > 0 ? Math.min(claimVat, vat.vatFromGross(gross, rate)) : 0;
+      const net = vat.round2(gross - reclaimable);
+      
+      inputVat = vat.round2(inputVat + reclaimable);
+      disallowedVat = vat.round2(disallowedVat + claimVat - reclaimable);
+      // Purchases outside the scope of VAT are left out of box 7
+      if (treatment !== 'outside_scope') {
+        purchasesNet = vat.round2(purchasesNet + net);
+      }
+      
+      const entry = {
+        id: claim._id,
+        claim_id: claim.claim_id,
+        date: claim.date,
+        claimant: claim.user_id?.name || claim.claimant_name,
+        category: claim.category || claim.claim_type,
+        company_name: claim.company_name,
+        status: claim.status,
+        vat_treatment: treatment,
+        vat_rate: rate,
+        currency: claim.currency,
+        amount: gross,
+        net_amount: net,
+        vat_amount: claimVat,
+        reclaimable_vat: reclaimable
+      };
+      contributing.push(entry);
+      
+      const issue = vat.checkVatConsistency(claim, rate);
+      if (issue) {
+        flagged.push({ ...entry, expected_vat: issue.expected, issue: issue.issue });
+      }
+    }
+    
+    // Claims are purchases only, so sales and EC boxes are zero.
+    // Boxes 6-9 are whole pounds.
+    const box1 = 0;
+    const box2 = 0;
+    const box3 = vat.round2(box1 + box2);
+    const box4 = inputVat;
+    const box5 = vat.round2(Math.abs(box3 - box4));
+    
+    const boxes = {
+      box1,
+      box2,
+      box3,
+      box4,
+      box5,
+      box6: 0,
+      box7: Math.floor(purchasesNet),
+      box8: 0,
+      box9: 0
+    };
+    
+    // Log activity
+    await auth.logActivity(req, 'view', 'system', 'reports', 
+      `Viewed VAT return for ${vatPeriod.label}`);
+    
+    if (format === 'csv') {
+      const rows = [
+        ['Box 1', 'VAT due on sales and other outputs', boxes.box1.toFixed(2)],
+        ['Box 2', 'VAT due on acquisitions from EC member states', boxes.box2.toFixed(2)],
+        ['Box 3', 'Total VAT due', boxes.box3.toFixed(2)],
+        ['Box 4', 'VAT reclaimed on purchases and other inputs', boxes.box4.toFixed(2)],
+        ['Box 5', box3 >= box4 ? 'Net VAT to pay to HMRC' : 'Net VAT to reclaim from HMRC', boxes.box5.toFixed(2)],
+        ['Box 6', 'Total value of sales excluding VAT', boxes.box6],
+        ['Box 7', 'Total value of purchases excluding VAT', boxes.box7],
+        ['Box 8', 'Total value of supplies to EC member states', boxes.box8],
+        ['Box 9', 'Total value of acquisitions from EC member states', boxes.box9],
+        ['', 'VAT declared on claims but not reclaimable (see flags)', disallowedVat.toFixed(2)],
+        [],
+        ['Claim ID', 'Date', 'Claimant', 'Category', 'Supplier', 'VAT Treatment', 'Net', 'VAT', 'VAT Reclaimed', 'Gross', 'Flag'],
+        ...contributing.map(entry => {
+          const flag = flagged.find(f => f.claim_id === entry.claim_id);
+          return [
+            entry.claim_id,
+            moment(entry.date).format('DD/MM/YYYY'),
+            entry.claimant,
+            entry.category,
+            entry.company_name,
+            entry.vat_treatment,
+            entry.net_amount.toFixed(2),
+            entry.vat_amount.toFixed(2),
+            entry.reclaimable_vat.toFixed(2),
+            entry.amount.toFixed(2),
+            flag ? flag.issue : ''
+          ];
+        })
+      ];
+      
+      return sendCsv(res, `vat_return_${vatPeriod.label}.csv`, ['Box', 'Description', 'Value'], rows);
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        period: vatPeriod,
+        boxes,
+        net_position: box3 >= box4 ? 'payable' : 'repayable',
+        disallowed_vat: disallowedVat,
+        claims: contributing,
+        flagged
+      }
+    });
+    
+  } catch (error) {
+    console.error('VAT return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/reports/accruals
+// @desc    Month-end accruals for claims approved but not paid as at a date
+// @access  Private (Finance)
+router.get('/accruals', auth.verifyToken, auth.checkRole('admin', 'accountant', 'financial officer'), async (req, res) => {
+  try {
+    const { asAt, journal } = req.query;
+    const asAtDate = asAt ? moment(asAt, 'YYYY-MM-DD', true) : moment();
+    
+    if (!asAtDate.isValid()) {
+      return res.status(400).json({
+        success: false,
+        message: 'asAt must be a date in YYYY-MM-DD format'
+      });
+    }
+    
+    const cutOff = asAtDate.clone().endOf('day').toDate();
+    
+    // Anything approved at some point before the cut-off; whether it was
+    // still approved at the cut-off comes from its status history
+    const candidates = await Claim.find({
+      $or: [
+        { status_history: { $elemMatch: { to_status: 'approved', changed_at: { $lte: cutOff } } } },
+        { approved_at: { $lte: cutOff } }
+      ]
+    })
+      .populate('user_id', 'name employee_id department')
+      .sort({ approved_at: 1 });
+    
+    const claims = candidates.filter(claim => {
+      const status = claim.statusAt(cutOff);
+      if (status !== undefined) return status === 'approved';
+      // Older claims without history: approved, and neither paid nor
+      // rejected after that by the cut-off
+      return (!claim.paid_at || claim.paid_at > cutOff) &&
+        (!claim.rejected_at || claim.rejected_at > cutOff || claim.rejected_at < claim.approved_at);
+    });
+    
+    // Claims whose approval journal (utils/ledger.js) was live at the
+    // cut-off are already in payables and must not be accrued again
+    const journals = await Journal.find({
+      claim: { $in: claims.map(claim => claim._id) },
+      source: { $in: ['claim_approved', 'claim_reversal'] },
+      date: { $lte: cutOff }
+    });
+    const reversed = new Set(journals.filter(j => j.reverses).map(j => j.reverses.toString()));
+    const posted = new Set(journals
+      .filter(j => j.source === 'claim_approved' && !reversed.has(j._id.toString()))
+      .map(j => j.claim.toString()));
+    
+    const categories = await ClaimCategory.find();
+    const totals = { count: 0, amount: 0, vat_amount: 0, net_amount: 0 };
+    const unposted = { count: 0, amount: 0, vat_amount: 0, net_amount: 0 };
+    const byCategory = {};
+    const byDepartment = {};
+    
+    const addTo = (group, key, values) => {
+      if (!group[key]) group[key] = { count: 0, amount: 0, vat_amount: 0, net_amount: 0 };
+      group[key].count += 1;
+      group[key].amount = vat.round2(group[key].amount + values.amount);
+      group[key].vat_amount = vat.round2(group[key].vat_amount + values.vat_amount);
+      group[key].net_amount = vat.round2(group[key].net_amount + values.net_amount);
+    };
+    
+    const items = claims.map(claim => {
+      const category = claim.category || claim.claim_type || 'Uncategorised';
+      const department = claim.department || claim.user_id?.department || 'Unassigned';
+      const categoryRecord = categories.find(c => c.name === category);
+      const values = {
+        amount: claim.baseValue(claim.amount),
+        vat_amount: claim.baseValue(claim.vat_amount),
+        net_amount: vat.round2(claim.baseValue(claim.amount) - claim.baseValue(claim.vat_amount))
+      };
+      
+      addTo(byCategory, category, values);
+      addTo(byDepartment, department, values);
+      totals.count += 1;
+      totals.amount = vat.round2(totals.amount + values.amount);
+      totals.vat_amount = vat.round2(totals.vat_amount + values.vat_amount);
+      totals.net_amount = vat.round2(totals.net_amount + values.net_amount);
+      
+      const postedToLedger = posted.has(claim._id.toString());
+      if (!postedToLedger) {
+        unposted.count += 1;
+        unposted.amount = vat.round2(unposted.amount + values.amount);
+        unposted.vat_amount = vat.round2(unposted.vat_amount + values.vat_amount);
+        unposted.net_amount = vat.round2(unposted.net_amount + values.net_amount);
+      }
+      
+      return {
+        id: claim._id,
+        claim_id: claim.claim_id,
+        claimant: claim.user_id?.name || claim.claimant_name,
+        department,
+        category,
+        nominal_code: claim.nominal_code || categoryRecord?.nominal_code || chartOfAccounts.defaultExpenseAccount,
+        date: claim.date,
+        approved_at: claim.approved_at,
+        status: claim.status,
+        posted_to_ledger: postedToLedger,
+        ...values
+      };
+    });
+    
+    const toList = (group, keyName) => Object.keys(group)
+      .map(key => ({ [keyName]: key, ...group[key] }))
+      .sort((a, b) => b.amount - a.amount);
+    
+    const report = {
+      asAt: cutOff,
+      totals,
+      // The part not already posted to payables, which the journal accrues
+      unposted,
+      byCategory: toList(byCategory, 'category'),
+      byDepartment: toList(byDepartment, 'department'),
+      claims: items
+    };
+    
+    // Optional preview of the accrual journal and its reversal the next day
+    if (journal === 'true') {
+      const expenseByCode = {};
+      items.filter(item => !item.posted_to_ledger).forEach(item => {
+        expenseByCode[item.nominal_code] = vat.round2((expenseByCode[item.nominal_code] || 0) + item.net_amount);
+      });
+      
+      const codes = [...Object.keys(expenseByCode), chartOfAccounts.vatInputAccount, chartOfAccounts.accrualsAccount];
+      const accounts = await Account.find({ code: { $in: codes } });
+      const nameFor = code => accounts.find(a => a.code === code)?.name || code;
+      
+      const accrualLines = [
+        ...Object.keys(expenseByCode).sort().map(code => ({
+          account_code: code, account_name: nameFor(code), debit: expenseByCode[code], credit: 0
+        })),
+        {
+          account_code: chartOfAccounts.vatInputAccount,
+          account_name: nameFor(chartOfAccounts.vatInputAccount),
+          debit: unposted.vat_amount,
+          credit: 0
+        },
+        {
+          account_code: chartOfAccounts.accrualsAccount,
+          account_name: nameFor(chartOfAccounts.accrualsAccount),
+          debit: 0,
+          credit: unposted.amount
+        }
+      ].filter(line => line.debit > 0 || line.credit > 0);
+      
+      report.journal = {
+        accrual: {
+          date: cutOff,
+          description: `Accrual for approved unpaid claims as at ${asAtDate.format('DD/MM/YYYY')}`,
+          lines: accrualLines
+        },
+        reversal: {
+          date: asAtDate.clone().add(1, 'day').startOf('day').toDate(),
+          description: `Reversal of accrual as at ${asAtDate.format('DD/MM/YYYY')}`,
+          lines: accrualLines.map(line => ({ ...line, debit: line.credit, credit: line.debit }))
+        }
+      };
+    }
+    
+    // Log activity
+    await auth.logActivity(req, 'view', 'system', 'reports', 
+      `Viewed accruals report as at ${asAtDate.format('YYYY-MM-DD')}`);
+    
+    res.json({
+      success: true,
+      data: report
+    });
+    
+  } catch (error) {
+    console.error('Accruals report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/reports/supplier-spend
+// @desc    Supplier spend and approved-supplier contract tracking
+// @access  Private (Finance)
+router.get('/supplier-spend', auth.verifyToken, auth.checkRole('admin', 'accountant', 'financial officer'), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const start = startDate ? moment(startDate).startOf('day') : moment().startOf('year');
+    const end = endDate ? moment(endDate).endOf('day') : moment().endOf('day');
+    
+    if (!start.isValid() || !end.isValid() || start.isAfter(end)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+    
+    const claims = await Claim.find({
+      date: { $gte: start.toDate(), $lte: end.toDate() },
+      status: { $ne: 'rejected' }
+    }).sort({ date: 1 });
+    
+    // Spend by supplier (falling back to the normalised company name)
+    const spend = {};
+    claims.forEach(claim => {
+      const key = claim.supplier ? claim.supplier.toString() : Supplier.normalizeName(claim.company_name) || 'unknown';
+      if (!spend[key]) {
+        spend[key] = { supplier: claim.supplier || null, name: claim.company_name || 'Unknown', count: 0, amount: 0 };
+      }
+      spend[key].count += 1;
+      spend[key].amount = vat.round2(spend[key].amount + claim.baseValue(claim.amount));
+    });
+    
+    const contracts = await SupplierContract.find({
+      active: true,
+      start_date: { $lte: end.toDate() },
+      $or: [{ end_date: null }, { end_date: { $gte: start.toDate() } }]
+    });
+    
+    const contractResults = contracts.map(contract => {
+      const contractClaims = claims.filter(claim => {
+        const sameSupplier = (contract.supplier && claim.supplier && claim.supplier.equals(contract.supplier)) ||
+          Supplier.normalizeName(claim.company_name) === contract.normalized_name;
+        const sameCategory = !contract.category ||
+          claim.category === contract.category || claim.claim_type === contract.category;
+        return sameSupplier && sameCategory;
+      });
+      
+      // Build the payment periods (months, or contract years) inside the window
+      const unit = contract.frequency === 'monthly' ? 'month' : 'year';
+      const periods = [];
+      let periodStart;
+      if (unit === 'month') {
+        periodStart = moment.max(moment(contract.start_date).startOf('month'), start.clone().startOf('month'));
+      } else {
+        // Contract years run from the start date anniversary
+        periodStart = moment(contract.start_date).startOf('day');
+        while (periodStart.clone().add(1, 'year').isSameOrBefore(start)) {
+          periodStart.add(1, 'year');
+        }
+      }
+      
+      const contractEnd = contract.end_date ? moment.min(moment(contract.end_date).endOf('day'), end) : end;
+      const limit = vat.round2(contract.expected_amount * (1 + (contract.tolerance_percent || 0) / 100));
+      
+      while (periodStart.isSameOrBefore(contractEnd)) {
+        const periodEnd = periodStart.clone().add(1, unit).subtract(1, 'ms');
+        const inPeriod = contractClaims.filter(claim => 
+          moment(claim.date).isBetween(periodStart, periodEnd, null, '[]')
+        );
+        const actual = vat.round2(inPeriod.reduce((sum, claim) => sum + claim.baseValue(claim.amount), 0));
+        
+        const flags = [];
+        if (inPeriod.length === 0 && periodEnd.isBefore(moment())) flags.push('missed');
+        if (inPeriod.length > 1) flags.push('duplicate');
+        if (actual > limit) flags.push('over_budget');
+        
+        periods.push({
+          period: unit === 'month' ? periodStart.format('YYYY-MM') : `${periodStart.format('YYYY-MM-DD')} to ${periodEnd.format('YYYY-MM-DD')}`,
+          expected: contract.expected_amount,
+          actual,
+          variance: vat.round2(actual - contract.expected_amount),
+          claims: inPeriod.map(claim => ({ id: claim._id, claim_id: claim.claim_id, date: claim.date, amount: claim.baseValue(claim.amount), status: claim.status })),
+          flags
+        });
+        
+        periodStart = periodStart.clone().add(1, unit);
+      }
+      
+      const expectedTotal = vat.round2(periods.length * contract.expected_amount);
+      const actualTotal = vat.round2(periods.reduce((sum, period) => sum + period.actual, 0));
+      
+      return {
+        contract: {
+          id: contract._id,
+          supplier: contract.supplier,
+          supplier_name: contract.supplier_name,
+          category: contract.category,
+          frequency: contract.frequency,
+          expected_amount: contract.expected_amount,
+          tolerance_percent: contract.tolerance_percent
+        },
+        expected_total: expectedTotal,
+        actual_total: actualTotal,
+        variance: vat.round2(actualTotal - expectedTotal),
+        periods,
+        flagged: periods.filter(period => period.flags.length > 0)
+      };
+    });
+    
+    // Log activity
+    await auth.logActivity(req, 'view', 'system', 'reports', 
+      `Viewed supplier spend report ${start.format('YYYY-MM-DD')} to ${end.format('YYYY-MM-DD')}`);
+    
+    res.json({
+      success: true,
+      data: {
+        period: { startDate: start.toDate(), endDate: end.toDate() },
+        suppliers: Object.values(spend).sort((a, b) => b.amount - a.amount),
+        contracts: contractResults,
+        flagCounts: contractResults.reduce((acc, result) => {
+          result.flagged.forEach(period => period.flags.forEach(flag => {
+            acc[flag] = (acc[flag] || 0) + 1;
+          }));
+          return acc;
+        }, { missed: 0, duplicate: 0, over_budget: 0 })
+      }
+    });
+    
+  } catch (error) {
+    console.error('Supplier spend report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const SecuritySettings = require('../models/securitySettings');
+const User = require('../models/user');
+const auth = require('../middlewares/auth');
+
+const passwordPolicyFields = ['min_length', 'require_uppercase', 'require_lowercase', 'require_number', 'require_symbol', 'block_common', 'history_count', 'expiry_days'];
+
+// @route   GET /api/security-settings
+// @desc    Get security settings
+// @access  Private (Admin only)
+router.get('/', auth.verifyToken, auth.checkRole('admin'), async (req, res) => {
+  try {
+    const settings = await SecuritySettings.current();
+
+    res.json({
+      success: true,
+      data: settings
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/security-settings
+// @desc    Update security settings
+// @access  Private (Admin only)
+router.put('/', auth.verifyToken, auth.checkRole('admin'), [
+  body('two_factor_required_roles').optional().isArray().withMessage('Two-factor roles must be a list'),
+  body('two_factor_required_roles.*').isString().trim().notEmpty().withMessage('Invalid role'),
+  body('password_policy.min_length').optional().isInt({ min: 8, max: 128 }).withMessage('Minimum length must be between 8 and 128'),
+  body([
+    'password_policy.require_uppercase',
+    'password_policy.require_lowercase',
+    'password_policy.require_number',
+    'password_policy.require_symbol',
+    'password_policy.block_common'
+  ]).optional().isBoolean().withMessage('Must be true or false'),
+  body('password_policy.history_count').optional().isInt({ min: 0, max: User.PASSWORD_HISTORY_LIMIT }).withMessage(`Password history must be between 0 and ${User.PASSWORD_HISTORY_LIMIT}`),
+  body('password_policy.expiry_days').optional().isInt({ min: 0 }).withMessage('Expiry must be a whole number of days (0 for never)')
+], async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const settings = await SecuritySettings.current();
+
+    if (req.body.two_factor_required_roles !== undefined) {
+      settings.two_factor_required_roles = [...new Set(req.body.two_factor_required_roles)];
+    }
+    passwordPolicyFields.forEach(field => {
+      if (req.body.password_policy?.[field] !== undefined) {
+        settings.password_policy[field] = req.body.password_policy[field];
+      }
+    });
+    settings.updated_by = req.user.userId;
+    await settings.save();
+
+    // Log activity
+    await auth.logActivity(req, 'update', 'system', settings._id.toString(),
+      `Updated security settings; two-factor authentication required for: ${settings.two_factor_required_roles.join(', ') || 'no roles'}`);
+
+    res.json({
+      success: true,
+      data: settings,
+      message: 'Security settings updated successfully'
+    });
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
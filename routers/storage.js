@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const storage = require('../utils/storage');
+const { INLINE_TYPES, contentTypeFor } = require('../utils/receiptTypes');
+
+// @route   GET /api/storage/local
+// @desc    Download a file through a signed link from the local storage driver
+// @access  Public (signed, expiring link)
+router.get('/local', async (req, res) => {
+  try {
+    if (storage.STORAGE_DRIVER !== 'local') {
+      return res.status(404).json({
+        success: false,
+        message: 'Local storage is not enabled'
+      });
+    }
+    
+    const { verifySignature } = require('../utils/storage/local');
+    const { key, expires, signature } = req.query;
+    if (!verifySignature(key, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired link'
+      });
+    }
+    
+    const stream = await storage.getStream(key);
+    // Keys carry the extension of the type checked on upload, so the
+    // browser is told that type and never sniffs for another
+    // (res.attachment sets a type from the name, so it goes first)
+    const contentType = contentTypeFor(key);
+    if (!INLINE_TYPES.includes(contentType)) {
+      res.attachment(path.basename(key));
+    }
+    res.type(contentType);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('Cache-Control', 'private, no-store');
+    stream.pipe(res);
+    
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
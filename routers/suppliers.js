@@ -0,0 +1,313 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Supplier = require('../models/supplier');
+const Claim = require('../models/claim');
+const auth = require('../middlewares/auth');
+const escapeRegex = require('../utils/escapeRegex');
+
+const financeRoles = ['admin', 'accountant', 'financial officer'];
+
+const supplierValidation = [
+  body('address.line1').optional().trim(),
+  body('address.line2').optional().trim(),
+  body('address.city').optional().trim(),
+  body('address.postcode').optional().trim(),
+  body('address.country').optional().trim(),
+  body('vat_number').optional({ checkFalsy: true }).trim()
+    .matches(/^(GB)?(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/i).withMessage('Invalid UK VAT number'),
+  body('bank_details.account_name').optional().trim(),
+  body('bank_details.sort_code').optional({ checkFalsy: true }).trim()
+    .matches(/^\d{2}-?\d{2}-?\d{2}$/).withMessage('Sort code must be 6 digits'),
+  body('bank_details.account_number').optional({ checkFalsy: true }).trim()
+    .matches(/^\d{8}$/).withMessage('Account number must be 8 digits'),
+  body('contact_person').optional().trim(),
+  body('contact_email').optional({ checkFalsy: true }).isEmail().withMessage('Valid email is required'),
+  body('phone').optional().trim()
+];
+
+const editableFields = ['name', 'address', 'vat_number', 'bank_details', 'contact_person', 'contact_email', 'phone'];
+
+// @route   GET /api/suppliers
+// @desc    Get suppliers (bank details for finance only)
+// @access  Private
+router.get('/', auth.verifyToken, async (req, res) => {
+  try {
+    const { q, status, page = 1, limit = 50 } = req.query;
+    
+    const query = {};
+    if (status) query.status = status.split(',');
+    if (q) query.normalized_name = new RegExp(escapeRegex(Supplier.normalizeName(q)));
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const suppliers = await Supplier.find(query)
+      .select(financeRoles.includes(req.user.role) ? '' : '-bank_details')
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    
+    const total = await Supplier.countDocuments(query);
+    
+    res.json({
+      success: true,
+      data: suppliers,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   GET /api/suppliers/:id
+// @desc    Get single supplier
+// @access  Private
+router.get('/:id', auth.verifyToken, async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id)
+      .select(financeRoles.includes(req.user.role) ? '' : '-bank_details');
+    
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: supplier
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   POST /api/suppliers
+// @desc    Create supplier
+// @access  Private (Finance)
+router.post('/', 
+  auth.verifyToken,
+  auth.checkRole(...financeRoles),
+  [
+    body('name').trim().notEmpty().withMessage('Supplier name is required'),
+    ...supplierValidation
+  ],
+  async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const existing = await Supplier.findByName(req.body.name);
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: `Supplier already exists as ${existing.name}`,
+        data: { id: existing._id }
+      });
+    }
+    
+    const supplierData = { created_by: req.user.userId };
+    editableFields.forEach(field => {
+      if (req.body[field] !== undefined) supplierData[field] = req.body[field];
+    });
+    
+    const supplier = new Supplier(supplierData);
+    await supplier.save();
+    
+    // Log activity
+    await auth.logActivity(req, 'create', 'system', supplier._id.toString(), 
+      `Created supplier ${supplier.name}`);
+    
+    res.status(201).json({
+      success: true,
+      data: supplier,
+      message: 'Supplier created successfully'
+    });
+    
+  } catch (error) {
+    console.error('Create supplier error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/suppliers/:id
+// @desc    Update supplier
+// @access  Private (Finance)
+router.put('/:id', 
+  auth.verifyToken,
+  auth.checkRole(...financeRoles),
+  [
+    body('name').optional().trim().notEmpty(),
+    ...supplierValidation
+  ],
+  async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const supplier = await Supplier.findById(req.params.id);
+    
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+    
+    if (req.body.name) {
+      const existing = await Supplier.findByName(req.body.name);
+      if (existing && existing._id.toString() !== supplier._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          message: `Supplier already exists as ${existing.name}`
+        });
+      }
+    }
+    
+    editableFields.forEach(field => {
+      if (req.body[field] !== undefined) supplier.set(field, req.body[field]);
+    });
+    
+    await supplier.save();
+    
+    // Log activity
+    await auth.logActivity(req, 'update', 'system', supplier._id.toString(), 
+      `Updated supplier ${supplier.name}`);
+    
+    res.json({
+      success: true,
+      data: supplier,
+      message: 'Supplier updated successfully'
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   PUT /api/suppliers/:id/status
+// @desc    Approve or block a supplier
+// @access  Private (Admin/Accountant)
+router.put('/:id/status', 
+  auth.verifyToken,
+  auth.checkRole('admin', 'accountant'),
+  [
+    body('status').isIn(['pending', 'approved', 'blocked']).withMessage('Status must be pending, approved or blocked'),
+    body('reason').optional().trim()
+  ],
+  async (req, res) => {
+  try {
+    // Check validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+    
+    const supplier = await Supplier.findById(req.params.id);
+    
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+    
+    supplier.status = req.body.status;
+    supplier.status_reason = req.body.reason;
+    await supplier.save();
+    
+    // Log activity
+    await auth.logActivity(req, req.body.status === 'approved' ? 'approve' : 'update', 'system', supplier._id.toString(), 
+      `Changed supplier ${supplier.name} to ${supplier.status}${req.body.reason ? `: ${req.body.reason}` : ''}`);
+    
+    res.json({
+      success: true,
+      data: supplier,
+      message: `Supplier status updated to ${supplier.status}`
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// @route   DELETE /api/suppliers/:id
+// @desc    Delete supplier with no claims against it
+// @access  Private (Admin only)
+router.delete('/:id', auth.verifyToken, auth.checkRole('admin'), async (req, res) => {
+  try {
+    const supplier = await Supplier.findById(req.params.id);
+    
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+    
+    const claimCount = await Claim.countDocuments({ supplier: supplier._id });
+    if (claimCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Supplier has ${claimCount} claims. Block it instead of deleting.`
+      });
+    }
+    
+    await supplier.deleteOne();
+    
+    // Log activity
+    await auth.logActivity(req, 'delete', 'system', supplier._id.toString(), 
+      `Deleted supplier ${supplier.name}`);
+    
+    res.json({
+      success: true,
+      message: 'Supplier deleted successfully'
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
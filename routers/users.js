@@ -2,7 +2,11 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const User = require('../models/user');
+const Session = require('../models/session');
 const auth = require('../middlewares/auth');
+const SecuritySettings = require('../models/securitySettings');
+const loginThrottle = require('../utils/loginThrottle');
+const passwordPolicy = require('../utils/passwordPolicy');
 
 // @route   GET /api/users
 // @desc    Get all users
@@ -94,7 +98,7 @@ router.post('/',
   [
     body('name').trim().notEmpty().withMessage('Name is required'),
     body('email').isEmail().withMessage('Valid email is required'),
-    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    body('password').isString().notEmpty().withMessage('Password is required'),
     body('role').notEmpty().withMessage('Invalid role'),
     body('department').trim().notEmpty().withMessage('Department is required'),
     body('phone').optional().trim(),
@@ -111,6 +115,15 @@ router.post('/',
       });
     }
     
+    const settings = await SecuritySettings.current();
+    const problems = await passwordPolicy.check(req.body.password, settings.password_policy);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: problems.join('. ')
+      });
+    }
+    
     // Check if email already exists
     const existingEmail = await User.findOne({ email: req.body.email.toLowerCase() });
     if (existingEmail) {
@@ -143,7 +156,9 @@ router.post('/',
       department: req.body.department,
       employee_id: req.body.employee_id.toUpperCase(),
       phone: req.body.phone,
-      status: req.body.status || 'active'
+      status: req.body.status || 'active',
+      // The admin knows this password, so the user replaces it on first login
+      must_change_password: true
     };
     
     const user = new User(userData);
@@ -246,8 +261,16 @@ router.put('/:id',
     if (req.body.role && isAdmin) user.role = req.body.role;
     if (req.body.status && isAdmin) user.status = req.body.status;
     
+    // Role and status changes end existing sessions, whose tokens carry
+    // the old role
+    const endSessions = user.isModified('role') || (user.isModified('status') && user.status !== 'active');
+    
     await user.save();
     
+    if (endSessions) {
+      await Session.revokeAll(user._id, user.status === 'active' ? 'admin_revoked' : 'account_inactive');
+    }
+    
     // Remove password from response
     const userResponse = user.toJSON();
     
@@ -307,6 +330,10 @@ router.put('/:id/status', auth.verifyToken, auth.checkRole('admin'), async (req,
     user.status = status;
     await user.save();
     
+    if (user.status !== 'active') {
+      await Session.revokeAll(user._id, 'account_inactive');
+    }
+    
     // Log activity
     await auth.logActivity(req, 'delete', 'user', user._id.toString(), 
       `Deactivated user ${user.employee_id}`);
@@ -324,6 +351,41 @@ router.put('/:id/status', auth.verifyToken, auth.checkRole('admin'), async (req,
   }
 });
 
+// @route   PUT /api/users/:id/unlock
+// @desc    Lift a lockout after failed logins
+// @access  Private (Admin only)
+router.put('/:id/unlock', auth.verifyToken, auth.checkRole('admin'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    const wasLocked = user.locked_until > new Date();
+    loginThrottle.clearFailures(user);
+    await user.save();
+    
+    // Log activity
+    await auth.logActivity(req, 'update', 'user', user._id.toString(), 
+      `Unlocked user ${user.employee_id}${wasLocked ? '' : ' (was not locked)'}`);
+    
+    res.json({
+      success: true,
+      message: wasLocked ? 'User unlocked successfully' : 'User was not locked; failed login count reset'
+    });
+    
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 
 // @route   DELETE /api/users/:id/delete
 // @desc    Delete user (Delete permanently)
@@ -1,47 +1,46 @@
 // test-login.js
+// Signs in to a running API to check an account works. Seeded accounts
+// get a temporary password (printed by configs/migrate.js), so nothing
+// is hard-coded here:
+//   TEST_LOGIN_PASSWORD=... node testLogin.js
+// TEST_LOGIN_USERNAME defaults to the seeded admin and TEST_API_URL to
+// the local server.
 const axios = require('axios');
+require('dotenv').config();
 
 async function testLogin() {
-  const baseURL = 'https://hfa-internal-record-system.onrender.com/api';
+  const baseURL = process.env.TEST_API_URL || `http://localhost:${process.env.PORT || 5000}/api`;
+  const username = process.env.TEST_LOGIN_USERNAME || 'admin@hfa-uk.com';
+  const password = process.env.TEST_LOGIN_PASSWORD;
   
-  console.log('Testing admin login...\n');
-  
-  // Test 1: Try with username 'admin'
-  console.log('Test 1: Username = "admin", Password = "Admin@123"');
-  try {
-    const response1 = await axios.post(`${baseURL}/auth/login`, {
-      username: 'admin',
-      password: 'Admin@123'
-    });
-    console.log('✅ Success:', response1.data.message || 'Logged in');
-    console.log('User:', response1.data.data.user.name);
-  } catch (error) {
-    console.log('❌ Failed:', error.response?.data?.message || error.message);
+  if (!password) {
+    console.log('❌ Set TEST_LOGIN_PASSWORD to the password of the account to test');
+    process.exitCode = 1;
+    return;
   }
   
-  // Test 2: Try with email 'admin@hfa-uk.com'
-  console.log('\nTest 2: Username = "admin@hfa-uk.com", Password = "Admin@123"');
-  try {
-    const response2 = await axios.post(`${baseURL}/auth/login`, {
-      username: 'admin@hfa-uk.com',
-      password: 'Admin@123'
-    });
-    console.log('✅ Success:', response2.data.message || 'Logged in');
-    console.log('User:', response2.data.data.user.name);
-  } catch (error) {
-    console.log('❌ Failed:', error.response?.data?.message || error.message);
-  }
+  console.log(`Testing login for ${username} against ${baseURL}\n`);
   
-  // Test 3: Check what users exist
-  console.log('\nTest 3: Checking all users in database');
   try {
-    const response3 = await axios.get(`${baseURL}/auth/debug-users`);
-    console.log('Users found:');
-    response3.data.data.forEach(user => {
-      console.log(`  - ${user.employee_id} (${user.email}): ${user.name} - ${user.role}`);
-    });
+    const response = await axios.post(`${baseURL}/auth/login`, { username, password });
+    const data = response.data.data;
+    
+    if (data.two_factor_required) {
+      console.log('✅ Password accepted; a two-factor code is needed to finish signing in');
+      return;
+    }
+    
+    console.log('✅ Success:', response.data.message || 'Logged in');
+    console.log('User:', data.user.name, `(${data.user.role})`);
+    if (data.password_change_required) {
+      console.log('ℹ️  The password must be changed before the account can be used');
+    }
+    if (data.two_factor_setup_required) {
+      console.log('ℹ️  Two-factor authentication must be set up before the account can be used');
+    }
   } catch (error) {
-    console.log('❌ Failed to get users:', error.message);
+    console.log('❌ Failed:', error.response?.data?.message || error.message);
+    process.exitCode = 1;
   }
 }
 
@@ -0,0 +1,167 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.STORAGE_DRIVER = 'local';
+
+const AccountingPeriod = require('../models/accountingPeriod');
+const Claim = require('../models/claim');
+const ClaimCategory = require('../models/claimCategory');
+const User = require('../models/user');
+const Session = require('../models/session');
+const AuditLog = require('../models/auditLog');
+const memoryModel = require('./helpers/memoryModel');
+const signIn = require('./helpers/signIn');
+const periodRoutes = require('../routers/periods');
+const claimRoutes = require('../routers/claims');
+
+const app = express();
+app.use(express.json());
+app.use('/api/periods', periodRoutes);
+app.use('/api/claims', claimRoutes);
+
+let periods;
+let claims;
+let admin;
+let accountant;
+let worker;
+
+const createUser = (fields) => User.create({
+  password: 'Irrelevant-Passw0rd',
+  department: 'Finance',
+  ...fields
+});
+
+const close = async (period, fields = {}) => request(app)
+  .post(`/api/periods/${period}/close`)
+  .set('Authorization', await signIn(admin))
+  .send(fields);
+
+beforeEach(async () => {
+  jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+  memoryModel(User);
+  memoryModel(Session);
+  memoryModel(ClaimCategory);
+  periods = memoryModel(AccountingPeriod);
+  claims = memoryModel(Claim);
+
+  admin = await createUser({ employee_id: 'HFA-A-1', name: 'Admin', email: 'admin@example.com', role: 'admin' });
+  accountant = await createUser({ employee_id: 'HFA-A-2', name: 'Accountant', email: 'accounts@example.com', role: 'accountant' });
+  worker = await createUser({ employee_id: 'HFA-W-1', name: 'Worker', email: 'worker@example.com', role: 'worker', department: 'Operations' });
+  await ClaimCategory.create({ name: 'Meeting', nominal_code: '7402' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('AccountingPeriod.lockMessage', () => {
+  test('leaves months never closed open to everyone', async () => {
+    expect(await AccountingPeriod.lockMessage(new Date('2026-03-15'), 'worker')).toBeNull();
+  });
+
+  test('locks closed months for everyone and soft-closed months for all but finance', async () => {
+    await AccountingPeriod.create({ period: '2026-01', status: 'closed' });
+    await AccountingPeriod.create({ period: '2026-02', status: 'soft_closed' });
+
+    expect(await AccountingPeriod.lockMessage(new Date('2026-01-31'), 'admin')).toBe('Accounting period 2026-01 is closed');
+    expect(await AccountingPeriod.lockMessage(new Date('2026-02-10'), 'accountant')).toBeNull();
+    expect(await AccountingPeriod.lockMessage(new Date('2026-02-10'), 'manager'))
+      .toBe('Accounting period 2026-02 is closed for new entries. Please contact finance.');
+  });
+});
+
+describe('/api/periods', () => {
+  test('closes a month in stages, recording each change', async () => {
+    expect((await close('2026-02', { status: 'soft_closed', reason: 'Month end' })).status).toBe(200);
+    expect((await close('2026-02')).status).toBe(200);
+
+    expect(periods[0].status).toBe('closed');
+    expect(periods[0].history.map(change => [change.action, change.from_status, change.to_status])).toEqual([
+      ['close', 'open', 'soft_closed'],
+      ['close', 'soft_closed', 'closed']
+    ]);
+
+    const again = await close('2026-02', { status: 'soft_closed' });
+    expect(again.status).toBe(400);
+    expect(again.body.message).toBe('Period 2026-02 is already closed');
+  });
+
+  test('reopens a month only with a reason', async () => {
+    await close('2026-02');
+    const authorization = await signIn(admin);
+
+    const withoutReason = await request(app).post('/api/periods/2026-02/reopen').set('Authorization', authorization).send({});
+    expect(withoutReason.status).toBe(400);
+
+    const res = await request(app)
+      .post('/api/periods/2026-02/reopen')
+      .set('Authorization', authorization)
+      .send({ status: 'soft_closed', reason: 'Late supplier invoice' });
+    expect(res.status).toBe(200);
+    expect(periods[0].status).toBe('soft_closed');
+    expect(periods[0].history[1]).toMatchObject({ action: 'reopen', reason: 'Late supplier invoice' });
+  });
+
+  test('lets only admins close months', async () => {
+    const res = await request(app)
+      .post('/api/periods/2026-02/close')
+      .set('Authorization', await signIn(accountant))
+      .send({});
+
+    expect(res.status).toBe(403);
+    expect(periods).toHaveLength(0);
+  });
+
+  test('refuses malformed periods', async () => {
+    const res = await close('2026-2');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('Period must be YYYY-MM');
+  });
+});
+
+describe('claims in a locked period', () => {
+  beforeEach(async () => {
+    await AccountingPeriod.create({ period: '2026-01', status: 'closed' });
+    await AccountingPeriod.create({ period: '2026-02', status: 'soft_closed' });
+  });
+
+  test('refuses new claims dated in a closed or soft-closed month', async () => {
+    const authorization = await signIn(worker);
+    const submit = (date) => request(app)
+      .post('/api/claims')
+      .set('Authorization', authorization)
+      .send({ date, category: 'Meeting', currency: 'GBP', amount: 25, company_name: 'Cafe', contact_person: 'Till', contact_email: 'till@example.com' });
+
+    const closed = await submit('2026-01-20');
+    expect(closed.status).toBe(400);
+    expect(closed.body.message).toBe('Accounting period 2026-01 is closed');
+
+    const softClosed = await submit('2026-02-20');
+    expect(softClosed.status).toBe(400);
+    expect(softClosed.body.message).toBe('Accounting period 2026-02 is closed for new entries. Please contact finance.');
+    expect(claims).toHaveLength(0);
+  });
+
+  test('refuses status changes on claims dated in a closed month, even from finance', async () => {
+    await Claim.create({
+      claim_id: 'PER-1',
+      user_id: worker._id,
+      claimant_name: worker.name,
+      employee_id: worker.employee_id,
+      date: new Date('2026-01-20'),
+      claim_type: 'Meeting',
+      amount: 25
+    });
+
+    const res = await request(app)
+      .put(`/api/claims/${claims[0]._id}/status`)
+      .set('Authorization', await signIn(accountant))
+      .send({ status: 'rejected' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Accounting period 2026-01 is closed');
+    expect(claims[0].status).toBe('new');
+  });
+});
@@ -0,0 +1,147 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-access-secret';
+
+const Claim = require('../models/claim');
+const ClaimCategory = require('../models/claimCategory');
+const Account = require('../models/account');
+const Journal = require('../models/journal');
+const User = require('../models/user');
+const Session = require('../models/session');
+const AuditLog = require('../models/auditLog');
+const memoryModel = require('./helpers/memoryModel');
+const signIn = require('./helpers/signIn');
+const reportRoutes = require('../routers/reports');
+
+const app = express();
+app.use(express.json());
+app.use('/api/reports', reportRoutes);
+
+let accountant;
+let claimCount;
+
+// Status history from [status, 'YYYY-MM-DD'] pairs, starting from new
+const history = (...changes) => changes.map(([to_status, date], index) => ({
+  from_status: index === 0 ? 'new' : changes[index - 1][0],
+  to_status,
+  changed_at: new Date(`${date}T12:00:00Z`)
+}));
+
+const createClaim = (fields) => Claim.create({
+  claim_id: `ACR-${++claimCount}`,
+  user_id: accountant._id,
+  claimant_name: 'Claimant',
+  employee_id: 'HFA-W-1',
+  department: 'Operations',
+  date: new Date('2026-03-01'),
+  claim_type: 'Meeting',
+  category: 'Meeting',
+  amount: 120,
+  vat_amount: 20,
+  created_at: new Date('2026-03-01'),
+  ...fields
+});
+
+const accruals = async (query) => request(app)
+  .get(`/api/reports/accruals?${query}`)
+  .set('Authorization', await signIn(accountant));
+
+beforeEach(async () => {
+  jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+  memoryModel(User);
+  memoryModel(Session);
+  memoryModel(Claim);
+  memoryModel(ClaimCategory);
+  memoryModel(Account);
+  memoryModel(Journal);
+  claimCount = 0;
+
+  accountant = await User.create({
+    employee_id: 'HFA-A-1', name: 'Accountant', email: 'accounts@example.com',
+    password: 'Irrelevant-Passw0rd', department: 'Finance', role: 'accountant'
+  });
+  await ClaimCategory.create({ name: 'Meeting', nominal_code: '7402' });
+  await Account.create({ code: '7402', name: 'Meetings', type: 'expense' });
+  await Account.create({ code: '2201', name: 'VAT Input', type: 'asset' });
+  await Account.create({ code: '2109', name: 'Accruals', type: 'liability' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Claim#statusAt', () => {
+  test('reads the status at a date from the status history', () => {
+    const claim = new Claim({
+      created_at: new Date('2026-03-01'),
+      status: 'paid',
+      status_history: history(['verified', '2026-03-02'], ['approved', '2026-03-05'], ['paid', '2026-03-20'])
+    });
+
+    expect(claim.statusAt(new Date('2026-02-28'))).toBeNull();
+    expect(claim.statusAt(new Date('2026-03-01T18:00:00Z'))).toBe('new');
+    expect(claim.statusAt(new Date('2026-03-10'))).toBe('approved');
+    expect(claim.statusAt(new Date('2026-03-31'))).toBe('paid');
+  });
+
+  test('has nothing to go on for claims without history', () => {
+    expect(new Claim({ created_at: new Date('2026-03-01'), status: 'approved' }).statusAt(new Date('2026-03-31'))).toBeUndefined();
+  });
+});
+
+describe('GET /api/reports/accruals', () => {
+  test('accrues claims still approved but unpaid at the cut-off', async () => {
+    await createClaim({ status: 'approved', approved_at: new Date('2026-03-10T12:00:00Z'), status_history: history(['approved', '2026-03-10']) });
+    await createClaim({ status: 'paid', approved_at: new Date('2026-03-05T12:00:00Z'), status_history: history(['approved', '2026-03-05'], ['paid', '2026-03-20']) });
+    await createClaim({ status: 'approved', approved_at: new Date('2026-04-02T12:00:00Z'), status_history: history(['approved', '2026-04-02']) });
+    await createClaim({ status: 'rejected', approved_at: new Date('2026-03-06T12:00:00Z'), status_history: history(['approved', '2026-03-06'], ['rejected', '2026-03-07']) });
+
+    const endOfMarch = await accruals('asAt=2026-03-31');
+    expect(endOfMarch.status).toBe(200);
+    expect(endOfMarch.body.data.claims.map(claim => claim.claim_id)).toEqual(['ACR-1']);
+    expect(endOfMarch.body.data.totals).toEqual({ count: 1, amount: 120, vat_amount: 20, net_amount: 100 });
+
+    const midMarch = await accruals('asAt=2026-03-15');
+    expect(midMarch.body.data.claims.map(claim => claim.claim_id).sort()).toEqual(['ACR-1', 'ACR-2']);
+  });
+
+  test('includes older claims without history from their approval and payment dates', async () => {
+    await createClaim({ status: 'approved', approved_at: new Date('2026-03-10') });
+    await createClaim({ status: 'paid', approved_at: new Date('2026-03-10'), paid_at: new Date('2026-03-12') });
+
+    const res = await accruals('asAt=2026-03-31');
+
+    expect(res.body.data.claims.map(claim => claim.claim_id)).toEqual(['ACR-1']);
+  });
+
+  test('leaves claims already posted to payables out of the accrual journal', async () => {
+    const posted = await createClaim({ status: 'approved', approved_at: new Date('2026-03-10T12:00:00Z'), status_history: history(['approved', '2026-03-10']) });
+    await createClaim({ status: 'approved', amount: 60, vat_amount: 10, approved_at: new Date('2026-03-11T12:00:00Z'), status_history: history(['approved', '2026-03-11']) });
+    await Journal.create({
+      reference: 'JNL-100001',
+      date: new Date('2026-03-10T12:00:00Z'),
+      source: 'claim_approved',
+      claim: posted._id,
+      lines: [{ account_code: '7402', debit: 120 }, { account_code: '2110', credit: 120 }]
+    });
+
+    const res = await accruals('asAt=2026-03-31&journal=true');
+
+    expect(res.body.data.claims.map(claim => [claim.claim_id, claim.posted_to_ledger])).toEqual([['ACR-1', true], ['ACR-2', false]]);
+    expect(res.body.data.unposted).toEqual({ count: 1, amount: 60, vat_amount: 10, net_amount: 50 });
+    expect(res.body.data.journal.accrual.lines).toEqual([
+      { account_code: '7402', account_name: 'Meetings', debit: 50, credit: 0 },
+      { account_code: '2201', account_name: 'VAT Input', debit: 10, credit: 0 },
+      { account_code: '2109', account_name: 'Accruals', debit: 0, credit: 60 }
+    ]);
+    expect(res.body.data.journal.reversal.lines[2]).toMatchObject({ account_code: '2109', debit: 60, credit: 0 });
+    expect(new Date(res.body.data.journal.reversal.date).getDate()).toBe(1);
+  });
+
+  test('refuses a malformed cut-off date', async () => {
+    const res = await accruals('asAt=31/03/2026');
+
+    expect(res.status).toBe(400);
+  });
+});
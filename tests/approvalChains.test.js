@@ -0,0 +1,176 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.STORAGE_DRIVER = 'local';
+
+const ApprovalChain = require('../models/approvalChain');
+const Claim = require('../models/claim');
+const User = require('../models/user');
+const Session = require('../models/session');
+const AccountingPeriod = require('../models/accountingPeriod');
+const AuditLog = require('../models/auditLog');
+const ledger = require('../utils/ledger');
+const memoryModel = require('./helpers/memoryModel');
+const signIn = require('./helpers/signIn');
+const claimRoutes = require('../routers/claims');
+
+const app = express();
+app.use(express.json());
+app.use('/api/claims', claimRoutes);
+
+const createUser = (fields) => User.create({
+  password: 'Irrelevant-Passw0rd',
+  ...fields
+});
+
+beforeEach(async () => {
+  jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+  memoryModel(ApprovalChain);
+
+  await ApprovalChain.create({
+    name: 'Standard',
+    steps: [{ name: 'Line manager', roles: ['manager'], same_department: true }]
+  });
+  await ApprovalChain.create({
+    name: 'Operations',
+    department: 'Operations',
+    steps: [
+      { name: 'Line manager', roles: ['manager'], same_department: true },
+      { name: 'Finance sign-off', roles: ['financial officer'], min_amount: 500 }
+    ]
+  });
+  await ApprovalChain.create({
+    name: 'Operations large claims',
+    department: 'Operations',
+    min_amount: 5000,
+    steps: [{ name: 'Director', roles: ['admin'] }]
+  });
+  await ApprovalChain.create({
+    name: 'Retired',
+    department: 'Sales',
+    active: false,
+    steps: [{ name: 'Nobody', roles: ['admin'] }]
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ApprovalChain', () => {
+  test('prefers a department chain over the catch-all, then the narrowest amount band', async () => {
+    expect((await ApprovalChain.resolveFor('Operations', 100)).name).toBe('Operations');
+    expect((await ApprovalChain.resolveFor('Operations', 6000)).name).toBe('Operations large claims');
+    expect((await ApprovalChain.resolveFor('Finance', 100)).name).toBe('Standard');
+    expect((await ApprovalChain.resolveFor('Sales', 100)).name).toBe('Standard');
+  });
+
+  test('adds steps with a minimum amount only to claims above it', async () => {
+    const chain = await ApprovalChain.resolveFor('Operations', 100);
+
+    expect(chain.stepsFor(500).map(step => step.name)).toEqual(['Line manager']);
+    expect(chain.stepsFor(500.01).map(step => step.name)).toEqual(['Line manager', 'Finance sign-off']);
+  });
+
+  test('refuses a chain without steps', async () => {
+    await expect(new ApprovalChain({ name: 'Empty', steps: [] }).validate())
+      .rejects.toThrow('At least one approval step is required');
+  });
+});
+
+describe('PUT /api/claims/:id/approval', () => {
+  let claims;
+  let claimant;
+  let manager;
+  let officer;
+
+  const act = async (user, action = 'approve', notes) => request(app)
+    .put(`/api/claims/${claims[0]._id}/approval`)
+    .set('Authorization', await signIn(user))
+    .send({ action, notes });
+
+  beforeEach(async () => {
+    jest.spyOn(ledger, 'recordStatusChange').mockResolvedValue([]);
+    memoryModel(User);
+    memoryModel(Session);
+    memoryModel(AccountingPeriod);
+    claims = memoryModel(Claim);
+
+    claimant = await createUser({ employee_id: 'HFA-W-1', name: 'Claimant', email: 'claimant@example.com', role: 'manager', department: 'Operations' });
+    manager = await createUser({ employee_id: 'HFA-M-1', name: 'Ops Manager', email: 'ops@example.com', role: 'manager', department: 'Operations' });
+    officer = await createUser({ employee_id: 'HFA-F-1', name: 'Finance Officer', email: 'finance@example.com', role: 'financial officer', department: 'Finance' });
+
+    const claim = new Claim({
+      claim_id: 'APR-1',
+      user_id: claimant._id,
+      claimant_name: claimant.name,
+      employee_id: claimant.employee_id,
+      department: 'Operations',
+      date: new Date('2026-03-02'),
+      claim_type: 'Meeting',
+      amount: 800
+    });
+    claim.setApprovalSteps(await ApprovalChain.resolveFor('Operations', 800));
+    await claim.save();
+  });
+
+  test('takes a claim through each step in turn to approved', async () => {
+    expect(claims[0].awaiting_roles).toEqual(['manager']);
+    expect(claims[0].awaiting_department).toBe('Operations');
+
+    const first = await act(manager);
+    expect(first.status).toBe(200);
+    expect(claims[0].status).toBe('verified');
+    expect(claims[0].awaiting_roles).toEqual(['financial officer']);
+    expect(claims[0].awaiting_department).toBeNull();
+
+    const second = await act(officer, 'approve', 'Budget checked');
+    expect(second.status).toBe(200);
+    expect(claims[0].status).toBe('approved');
+    expect(claims[0].approval_steps.map(step => step.status)).toEqual(['approved', 'approved']);
+    expect(claims[0].status_history.map(change => change.to_status)).toEqual(['verified', 'approved']);
+    expect(ledger.recordStatusChange).toHaveBeenLastCalledWith(expect.anything(), 'verified', String(officer._id));
+  });
+
+  test('refuses approvers with the wrong role, from another department, or acting on their own claim', async () => {
+    const otherManager = await createUser({ employee_id: 'HFA-M-2', name: 'Sales Manager', email: 'sales@example.com', role: 'manager', department: 'Sales' });
+
+    expect((await act(officer)).status).toBe(403);
+    expect((await act(otherManager)).status).toBe(403);
+    const own = await act(claimant);
+    expect(own.status).toBe(403);
+    expect(own.body.message).toBe('You cannot act on the Line manager step of this claim');
+    expect(claims[0].status).toBe('new');
+  });
+
+  test('rejects the claim when a step is rejected, ending the chain', async () => {
+    const res = await act(manager, 'reject', 'Not a business expense');
+
+    expect(res.status).toBe(200);
+    expect(claims[0].status).toBe('rejected');
+    expect(claims[0].rejection_reason).toBe('Not a business expense');
+    expect(claims[0].awaiting_roles).toEqual([]);
+
+    const again = await act(officer);
+    expect(again.status).toBe(400);
+    expect(again.body.message).toBe('Claim has no approval step awaiting action');
+  });
+
+  test('restarts the chain from the first step when a rejected claim is reopened', async () => {
+    await act(manager, 'reject');
+
+    const res = await request(app)
+      .put(`/api/claims/${claims[0]._id}/status`)
+      .set('Authorization', await signIn(officer))
+      .send({ status: 'pending', notes: 'Receipt added' });
+
+    expect(res.status).toBe(200);
+    expect(claims[0].status).toBe('pending');
+    expect(claims[0].approval_steps.map(step => [step.name, step.status])).toEqual([
+      ['Line manager', 'pending'],
+      ['Finance sign-off', 'pending']
+    ]);
+    expect(claims[0].awaiting_roles).toEqual(['manager']);
+  });
+});
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claims-attachments-'));
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = storageDir;
+process.env.STORAGE_SIGNING_SECRET = 'test-signing-secret';
+
+const storage = require('../utils/storage');
+const Claim = require('../models/claim');
+const User = require('../models/user');
+const Session = require('../models/session');
+const ExpensePolicy = require('../models/expensePolicy');
+const AuditLog = require('../models/auditLog');
+const memoryModel = require('./helpers/memoryModel');
+const signIn = require('./helpers/signIn');
+const claimRoutes = require('../routers/claims');
+
+const app = express();
+app.use(express.json());
+app.use('/api/claims', claimRoutes);
+
+let claims;
+let claimant;
+
+const createUser = (fields) => User.create({
+  password: 'Irrelevant-Passw0rd',
+  ...fields
+});
+
+const stored = (key) => fs.existsSync(path.join(storageDir, key));
+
+// A receipt attachment with its previews written to storage
+const receipt = async (name) => {
+  const files = {
+    filename: `${claimant._id}/${name}.jpg`,
+    preview_filename: `${claimant._id}/${name}-web.jpg`,
+    thumbnail_filename: `${claimant._id}/${name}-thumb.jpg`
+  };
+  for (const key of Object.values(files)) {
+    await storage.put(key, Buffer.from(key));
+  }
+  return { label: 'receipt', original_name: `${name}.jpg`, mime_type: 'image/jpeg', ...files };
+};
+
+beforeEach(async () => {
+  jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+  memoryModel(User);
+  memoryModel(Session);
+  memoryModel(ExpensePolicy);
+  claims = memoryModel(Claim);
+
+  claimant = await createUser({ employee_id: 'HFA-W-1', name: 'Claimant', email: 'claimant@example.com', department: 'Operations' });
+  await ExpensePolicy.create({ name: 'Receipts over £25', type: 'receipt_required', amount_threshold: 25 });
+
+  const attachment = await receipt('taxi');
+  await Claim.create({
+    claim_id: 'ATT-1',
+    user_id: claimant._id,
+    claimant_name: claimant.name,
+    employee_id: claimant.employee_id,
+    department: 'Operations',
+    category: 'Meeting',
+    date: new Date('2026-03-02'),
+    claim_type: 'Meeting',
+    amount: 60,
+    status: 'new',
+    receipt_filename: attachment.filename,
+    receipt_preview_filename: attachment.preview_filename,
+    receipt_thumbnail_filename: attachment.thumbnail_filename,
+    attachments: [attachment],
+    approval_steps: [{ name: 'Line manager', roles: ['manager'], same_department: true }]
+  });
+  claims[0].refreshAwaiting();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+describe('GET /api/claims/:id/attachments', () => {
+  const list = async (user) => request(app)
+    .get(`/api/claims/${claims[0]._id}/attachments`)
+    .set('Authorization', await signIn(user));
+
+  test('lists attachments for an approver on the current step from the same department', async () => {
+    const manager = await createUser({ employee_id: 'HFA-M-1', name: 'Ops Manager', email: 'ops@example.com', role: 'manager', department: 'Operations' });
+
+    const res = await list(manager);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(attachment => attachment.original_name)).toEqual(['taxi.jpg']);
+  });
+
+  test('refuses an approver with the right role from another department', async () => {
+    const manager = await createUser({ employee_id: 'HFA-M-2', name: 'IT Manager', email: 'it@example.com', role: 'manager', department: 'IT' });
+
+    expect((await list(manager)).status).toBe(403);
+  });
+});
+
+describe('DELETE /api/claims/:id/attachments/:attachmentId', () => {
+  test('removes the files and applies receipt policies again once the last receipt goes', async () => {
+    const attachment = claims[0].attachments[0];
+
+    const res = await request(app)
+      .delete(`/api/claims/${claims[0]._id}/attachments/${attachment._id}`)
+      .set('Authorization', await signIn(claimant));
+
+    expect(res.status).toBe(200);
+    expect(claims[0].attachments).toHaveLength(0);
+    expect(claims[0].receipt_filename).toBeUndefined();
+    expect(claims[0].policy_violations.map(violation => violation.type)).toEqual(['receipt_required']);
+    expect(claims[0].awaiting_roles).toEqual(['manager']);
+    expect(claims[0].approval_steps.map(step => step.name)).toContain('Policy exception');
+    expect([attachment.filename, attachment.preview_filename, attachment.thumbnail_filename].map(stored))
+      .toEqual([false, false, false]);
+  });
+
+  test('keeps the claim compliant while another receipt remains', async () => {
+    claims[0].attachments.push(await receipt('hotel'));
+    const [first, second] = claims[0].attachments;
+
+    await request(app)
+      .delete(`/api/claims/${claims[0]._id}/attachments/${first._id}`)
+      .set('Authorization', await signIn(claimant));
+
+    expect(claims[0].receipt_filename).toBe(second.filename);
+    expect(claims[0].policy_violations).toHaveLength(0);
+    expect(stored(second.filename)).toBe(true);
+  });
+});
+
+describe('DELETE /api/claims/:id/delete', () => {
+  test('removes every stored attachment with the claim', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    claims[0].attachments.push(await receipt('hotel'));
+    const keys = claims[0].attachments.flatMap(attachment =>
+      [attachment.filename, attachment.preview_filename, attachment.thumbnail_filename]);
+
+    const res = await request(app)
+      .delete(`/api/claims/${claims[0]._id}/delete`)
+      .set('Authorization', await signIn(claimant));
+
+    expect(res.status).toBe(200);
+    expect(claims).toHaveLength(0);
+    expect(keys.map(stored)).toEqual(keys.map(() => false));
+  });
+});
@@ -0,0 +1,219 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.STORAGE_DRIVER = 'local';
+
+const Budget = require('../models/budget');
+const Claim = require('../models/claim');
+const ClaimCategory = require('../models/claimCategory');
+const Supplier = require('../models/supplier');
+const User = require('../models/user');
+const Session = require('../models/session');
+const ExpensePolicy = require('../models/expensePolicy');
+const ApprovalChain = require('../models/approvalChain');
+const AccountingPeriod = require('../models/accountingPeriod');
+const AuditLog = require('../models/auditLog');
+const memoryModel = require('./helpers/memoryModel');
+const signIn = require('./helpers/signIn');
+const budget = require('../utils/budget');
+const budgetRoutes = require('../routers/budgets');
+const claimRoutes = require('../routers/claims');
+
+const app = express();
+app.use(express.json());
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/claims', claimRoutes);
+
+let claims;
+let accountant;
+let worker;
+
+const createUser = (fields) => User.create({
+  password: 'Irrelevant-Passw0rd',
+  ...fields
+});
+
+// Spend already against a budget, as the consumption aggregate returns it
+const spent = (totals) => jest.spyOn(Claim, 'aggregate').mockResolvedValue(totals ? [totals] : []);
+
+beforeEach(async () => {
+  jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+  memoryModel(User);
+  memoryModel(Session);
+  memoryModel(ClaimCategory);
+  memoryModel(Supplier);
+  memoryModel(ExpensePolicy);
+  memoryModel(ApprovalChain);
+  memoryModel(AccountingPeriod);
+  memoryModel(Budget);
+  claims = memoryModel(Claim);
+
+  accountant = await createUser({ employee_id: 'HFA-A-1', name: 'Accountant', email: 'accounts@example.com', role: 'accountant', department: 'Finance' });
+  worker = await createUser({ employee_id: 'HFA-W-1', name: 'Worker', email: 'worker@example.com', role: 'worker', department: 'Operations' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Budget', () => {
+  test('covers a calendar month or year', () => {
+    const monthly = new Budget({ department: 'Operations', year: 2026, period: 'monthly', month: 2, amount: 500 });
+    expect(monthly.dateRange()).toEqual({
+      startDate: new Date(2026, 1, 1),
+      endDate: new Date(2026, 1, 28, 23, 59, 59, 999)
+    });
+
+    const annual = new Budget({ department: 'Operations', year: 2026, amount: 5000 });
+    expect(annual.dateRange()).toEqual({
+      startDate: new Date(2026, 0, 1),
+      endDate: new Date(2026, 11, 31, 23, 59, 59, 999)
+    });
+  });
+
+  test('requires a month for monthly budgets and drops it from annual ones', async () => {
+    const monthly = new Budget({ department: 'Operations', year: 2026, period: 'monthly', amount: 500 });
+    await expect(monthly.validate()).rejects.toThrow('Month is required for monthly budgets');
+
+    const annual = new Budget({ department: 'Operations', year: 2026, month: 4, amount: 5000 });
+    await annual.validate();
+    expect(annual.month).toBeUndefined();
+  });
+});
+
+describe('budget.consumptionFor', () => {
+  test('splits spend into committed, actual and pending', async () => {
+    spent({ committed: 300, actual: 450.5, pending: 120 });
+    const annual = new Budget({ department: 'Operations', year: 2026, amount: 1000 });
+
+    expect(await budget.consumptionFor(annual)).toEqual({
+      budget: 1000,
+      committed: 300,
+      actual: 450.5,
+      pending: 120,
+      remaining: 249.5,
+      used_percent: 75.05,
+      over_budget: false
+    });
+  });
+
+  test('reports budgets already overspent', async () => {
+    spent({ committed: 700, actual: 400, pending: 0 });
+    const annual = new Budget({ department: 'Operations', year: 2026, amount: 1000 });
+
+    expect(await budget.consumptionFor(annual)).toMatchObject({ remaining: -100, used_percent: 110, over_budget: true });
+  });
+
+  test('counts nothing when no claims match', async () => {
+    spent(null);
+    const annual = new Budget({ department: 'Operations', year: 2026, amount: 0 });
+
+    expect(await budget.consumptionFor(annual)).toMatchObject({ committed: 0, actual: 0, pending: 0, remaining: 0, used_percent: null });
+  });
+
+  test('matches the budget category and leaves out the claim being re-checked', async () => {
+    const aggregate = spent(null);
+    const monthly = new Budget({ department: 'Operations', category: 'Travel', year: 2026, period: 'monthly', month: 3, amount: 500 });
+    const excludeId = new Claim()._id;
+
+    await budget.consumptionFor(monthly, excludeId);
+
+    const [{ $match: match }] = aggregate.mock.calls[0][0];
+    expect(match).toMatchObject({
+      date: { $gte: new Date(2026, 2, 1), $lte: new Date(2026, 2, 31, 23, 59, 59, 999) },
+      _id: { $ne: excludeId },
+      $or: [{ category: 'Travel' }, { claim_type: 'Travel' }]
+    });
+    expect(aggregate.mock.calls[0][0]).toContainEqual({ $match: { claim_department: 'Operations' } });
+  });
+});
+
+describe('budget.checkClaim', () => {
+  beforeEach(async () => {
+    await Budget.create({ department: 'Operations', year: 2026, amount: 5000 });
+    await Budget.create({ department: 'Operations', category: 'Travel', year: 2026, period: 'monthly', month: 3, amount: 500, enforcement: 'block' });
+    await Budget.create({ department: 'Operations', category: 'Travel', year: 2026, period: 'monthly', month: 4, amount: 10 });
+    await Budget.create({ department: 'Finance', year: 2026, amount: 10 });
+  });
+
+  test('passes a claim that fits every budget covering it', async () => {
+    spent({ committed: 200, actual: 100, pending: 50 });
+
+    const result = await budget.checkClaim({ department: 'Operations', category: 'Travel', date: '2026-03-15', amount: 100 });
+    expect(result).toEqual({ warnings: [], blocked: false });
+  });
+
+  test('counts pending claims towards the limit and blocks on a "block" budget', async () => {
+    spent({ committed: 200, actual: 100, pending: 150 });
+
+    const result = await budget.checkClaim({ department: 'Operations', category: 'Travel', date: '2026-03-15', amount: 100 });
+    expect(result.blocked).toBe(true);
+    expect(result.warnings).toEqual([expect.objectContaining({
+      category: 'Travel',
+      period: '2026-03',
+      enforcement: 'block',
+      amount: 500,
+      projected: 550,
+      over_by: 50
+    })]);
+  });
+
+  test('only warns on "warn" budgets', async () => {
+    spent({ committed: 4900, actual: 0, pending: 0 });
+
+    const result = await budget.checkClaim({ department: 'Operations', category: 'Meeting', date: '2026-03-15', amount: 150 });
+    expect(result.blocked).toBe(false);
+    expect(result.warnings).toEqual([expect.objectContaining({ category: null, period: '2026', enforcement: 'warn', over_by: 50 })]);
+  });
+});
+
+describe('POST /api/claims against budgets', () => {
+  const submit = async (fields) => request(app)
+    .post('/api/claims')
+    .set('Authorization', await signIn(worker))
+    .send({
+      claim_id: 'HFA-C-4001', claimant_name: 'Worker', date: '2026-03-15', category: 'Travel', currency: 'GBP', amount: 120,
+      company_name: 'Rail Co', contact_person: 'Ann', contact_email: 'ann@rail.example', ...fields
+    });
+
+  beforeEach(async () => {
+    await ClaimCategory.create({ name: 'Travel', nominal_code: '7400' });
+  });
+
+  test('refuses a claim that would take a "block" budget over', async () => {
+    await Budget.create({ department: 'Operations', category: 'Travel', year: 2026, amount: 500, enforcement: 'block' });
+    spent({ committed: 400, actual: 0, pending: 0 });
+
+    const res = await submit();
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Claim would take the department over budget');
+    expect(res.body.warnings).toEqual([expect.objectContaining({ projected: 520, over_by: 20 })]);
+    expect(claims).toHaveLength(0);
+  });
+
+  test('accepts a claim over a "warn" budget and records the warning', async () => {
+    await Budget.create({ department: 'Operations', category: 'Travel', year: 2026, amount: 500 });
+    spent({ committed: 400, actual: 0, pending: 0 });
+
+    const res = await submit();
+    expect(res.status).toBe(201);
+    expect(res.body.message).toContain('Claim takes the department over budget');
+    expect(claims).toHaveLength(1);
+    expect(claims[0].budget_warnings).toEqual([expect.objectContaining({ category: 'Travel', period: '2026', over_by: 20 })]);
+  });
+});
+
+describe('GET /api/budgets/consumption', () => {
+  test('reports consumption per budget to finance', async () => {
+    await Budget.create({ department: 'Operations', year: 2026, amount: 1000 });
+    spent({ committed: 250, actual: 250, pending: 0 });
+
+    const res = await request(app).get('/api/budgets/consumption?year=2026').set('Authorization', await signIn(accountant));
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([expect.objectContaining({ department: 'Operations', remaining: 500, used_percent: 50 })]);
+
+    const denied = await request(app).get('/api/budgets/consumption?year=2026').set('Authorization', await signIn(worker));
+    expect(denied.status).toBe(403);
+  });
+});
@@ -0,0 +1,155 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-access-secret';
+
+const Account = require('../models/account');
+const ClaimCategory = require('../models/claimCategory');
+const User = require('../models/user');
+const Session = require('../models/session');
+const AuditLog = require('../models/auditLog');
+const memoryModel = require('./helpers/memoryModel');
+const signIn = require('./helpers/signIn');
+const accountRoutes = require('../routers/accounts');
+const categoryRoutes = require('../routers/categories');
+
+const app = express();
+app.use(express.json());
+app.use('/api/accounts', accountRoutes);
+app.use('/api/categories', categoryRoutes);
+
+let accounts;
+let categories;
+let accountant;
+let claimant;
+
+beforeEach(async () => {
+  jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+  memoryModel(User);
+  memoryModel(Session);
+  accounts = memoryModel(Account);
+  categories = memoryModel(ClaimCategory);
+
+  accountant = await User.create({
+    employee_id: 'HFA-A-1', name: 'Accountant', email: 'accounts@example.com',
+    password: 'Irrelevant-Passw0rd', department: 'Finance', role: 'accountant'
+  });
+  claimant = await User.create({
+    employee_id: 'HFA-W-1', name: 'Claimant', email: 'claimant@example.com',
+    password: 'Irrelevant-Passw0rd', department: 'Operations'
+  });
+
+  await Account.create({ code: '2201', name: 'VAT Input', type: 'asset' });
+  await Account.create({ code: '7400', name: 'Travel and Subsistence', type: 'expense' });
+  await Account.create({ code: '7402', name: 'Meetings', type: 'expense' });
+  await Account.create({ code: '7999', name: 'Old Expenses', type: 'expense', active: false });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('/api/accounts', () => {
+  test('creates accounts and refuses a code already in use', async () => {
+    const authorization = await signIn(accountant);
+    const account = { code: '7700', name: 'Staff Training', type: 'expense' };
+
+    const res = await request(app).post('/api/accounts').set('Authorization', authorization).send(account);
+    expect(res.status).toBe(201);
+    expect(accounts.map(a => a.code)).toContain('7700');
+
+    const again = await request(app).post('/api/accounts').set('Authorization', authorization).send(account);
+    expect(again.status).toBe(400);
+    expect(again.body.message).toBe('Account code already exists');
+  });
+
+  test('refuses unknown account types', async () => {
+    const res = await request(app)
+      .post('/api/accounts')
+      .set('Authorization', await signIn(accountant))
+      .send({ code: '9000', name: 'Suspense', type: 'equity' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('Type must be expense, asset or liability');
+  });
+
+  test('lists accounts filtered by type', async () => {
+    const res = await request(app)
+      .get('/api/accounts?type=asset')
+      .set('Authorization', await signIn(accountant));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(account => account.code)).toEqual(['2201']);
+  });
+
+  test('updates an account but not its code', async () => {
+    const res = await request(app)
+      .put('/api/accounts/7402')
+      .set('Authorization', await signIn(accountant))
+      .send({ code: '7403', name: 'Meetings and Events', active: false });
+
+    expect(res.status).toBe(200);
+    expect(accounts.find(account => account.code === '7402')).toMatchObject({ name: 'Meetings and Events', active: false });
+  });
+
+  test('is closed to claimants', async () => {
+    const res = await request(app)
+      .get('/api/accounts')
+      .set('Authorization', await signIn(claimant));
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('/api/categories', () => {
+  const createCategory = async (fields) => request(app)
+    .post('/api/categories')
+    .set('Authorization', await signIn(accountant))
+    .send({ name: 'Conference', ...fields });
+
+  test('maps a new category to an active expense account', async () => {
+    const res = await createCategory({ nominal_code: '7402', vat_treatment: 'exempt' });
+
+    expect(res.status).toBe(201);
+    expect(categories[0]).toMatchObject({ name: 'Conference', nominal_code: '7402', vat_treatment: 'exempt' });
+  });
+
+  test('refuses nominal codes that are not active expense accounts', async () => {
+    for (const code of ['2201', '7999', '1234']) {
+      const res = await createCategory({ nominal_code: code });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].msg).toBe(`Nominal code ${code} is not an active expense account`);
+    }
+    expect(categories).toHaveLength(0);
+  });
+
+  test('remaps an existing category to another expense account', async () => {
+    const category = await ClaimCategory.create({ name: 'Meeting', nominal_code: '7402' });
+    const authorization = await signIn(accountant);
+
+    const refused = await request(app)
+      .put(`/api/categories/${category._id}`)
+      .set('Authorization', authorization)
+      .send({ nominal_code: '2201' });
+    expect(refused.status).toBe(400);
+
+    const res = await request(app)
+      .put(`/api/categories/${category._id}`)
+      .set('Authorization', authorization)
+      .send({ nominal_code: '7400' });
+    expect(res.status).toBe(200);
+    expect(categories[0].nominal_code).toBe('7400');
+  });
+
+  test('lists only active categories unless finance asks for all', async () => {
+    await ClaimCategory.create({ name: 'Meeting', nominal_code: '7402' });
+    await ClaimCategory.create({ name: 'Retired', nominal_code: '7400', active: false });
+
+    const mine = await request(app).get('/api/categories').set('Authorization', await signIn(claimant));
+    expect(mine.body.data.map(category => category.name)).toEqual(['Meeting']);
+
+    const all = await request(app).get('/api/categories?all=true').set('Authorization', await signIn(accountant));
+    expect(all.body.data.map(category => category.name)).toEqual(['Meeting', 'Retired']);
+  });
+});
@@ -0,0 +1,173 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.STORAGE_DRIVER = 'local';
+
+const Claim = require('../models/claim');
+const User = require('../models/user');
+const Session = require('../models/session');
+const AccountingPeriod = require('../models/accountingPeriod');
+const AuditLog = require('../models/auditLog');
+const memoryModel = require('./helpers/memoryModel');
+const signIn = require('./helpers/signIn');
+const claimRoutes = require('../routers/claims');
+
+const claimFields = (fields = {}) => ({
+  claim_id: 'HFA-C-1',
+  user_id: new mongoose.Types.ObjectId(),
+  claimant_name: 'Claimant',
+  employee_id: 'HFA-W-1',
+  date: new Date('2026-03-02'),
+  claim_type: 'Meeting',
+  amount: 60,
+  ...fields
+});
+
+describe('claim status transitions', () => {
+  const officer = new mongoose.Types.ObjectId();
+
+  test('moves new -> verified -> approved -> paid, stamping each step and recording history', () => {
+    const claim = new Claim(claimFields());
+
+    claim.transitionTo('verified', officer);
+    claim.transitionTo('approved', officer, 'Within budget');
+    claim.transitionTo('paid', officer);
+
+    expect(claim.status).toBe('paid');
+    expect(claim.verified_by).toEqual(officer);
+    expect(claim.approved_at).toBeInstanceOf(Date);
+    expect(claim.paid_by).toEqual(officer);
+    expect(claim.status_history.map(change => [change.from_status, change.to_status])).toEqual([
+      ['new', 'verified'],
+      ['verified', 'approved'],
+      ['approved', 'paid']
+    ]);
+    expect(claim.status_history[1].note).toBe('Within budget');
+    expect(claim.status_history[1].changed_by).toEqual(officer);
+  });
+
+  test('refuses transitions the state machine does not allow, leaving the claim unchanged', () => {
+    const claim = new Claim(claimFields());
+
+    expect(() => claim.transitionTo('paid', officer)).toThrow(expect.objectContaining({
+      message: 'Cannot change claim from new to paid',
+      statusCode: 400
+    }));
+    expect(() => claim.transitionTo('approved', officer)).toThrow('Cannot change claim from new to approved');
+    expect(claim.status).toBe('new');
+    expect(claim.status_history).toHaveLength(0);
+
+    claim.transitionTo('verified', officer);
+    claim.transitionTo('approved', officer);
+    claim.transitionTo('paid', officer);
+    for (const status of ['new', 'pending', 'verified', 'approved', 'rejected']) {
+      expect(claim.canTransitionTo(status)).toBe(false);
+    }
+  });
+
+  test('keeps the rejection reason and allows a rejected claim only to be reopened', () => {
+    const claim = new Claim(claimFields());
+
+    claim.transitionTo('rejected', officer, 'No receipt');
+
+    expect(claim.rejection_reason).toBe('No receipt');
+    expect(claim.rejected_by).toEqual(officer);
+    expect(Claim.STATUS_TRANSITIONS.rejected).toEqual(['pending']);
+    expect(() => claim.transitionTo('approved', officer)).toThrow('Cannot change claim from rejected to approved');
+
+    claim.transitionTo('pending', officer, 'Receipt provided');
+    expect(claim.status).toBe('pending');
+    expect(claim.status_history).toHaveLength(2);
+  });
+});
+
+describe('PUT /api/claims/:id/status', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/claims', claimRoutes);
+
+  let claims;
+  let officer;
+
+  const changeStatus = async (fields) => request(app)
+    .put(`/api/claims/${claims[0]._id}/status`)
+    .set('Authorization', await signIn(officer))
+    .send(fields);
+
+  beforeEach(async () => {
+    jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+    memoryModel(User);
+    memoryModel(Session);
+    memoryModel(AccountingPeriod);
+    claims = memoryModel(Claim);
+
+    officer = await User.create({
+      employee_id: 'HFA-F-1',
+      name: 'Finance Officer',
+      email: 'finance@example.com',
+      password: 'Irrelevant-Passw0rd',
+      department: 'Finance',
+      role: 'financial officer'
+    });
+    await Claim.create(claimFields());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('refuses a transition the state machine does not allow and lists the allowed ones', async () => {
+    const res = await changeStatus({ status: 'paid' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({
+      success: false,
+      message: 'Cannot change claim from new to paid',
+      allowed: ['verified', 'pending', 'rejected']
+    });
+    expect(claims[0].status).toBe('new');
+    expect(claims[0].status_history).toHaveLength(0);
+  });
+
+  test('refuses to set the status the claim already has', async () => {
+    const res = await changeStatus({ status: 'rejected', notes: 'Duplicate' });
+    expect(res.status).toBe(200);
+
+    const again = await changeStatus({ status: 'rejected' });
+    expect(again.status).toBe(400);
+    expect(again.body.message).toBe('Claim is already rejected');
+  });
+
+  test('records who made an allowed change, and why, in the status history', async () => {
+    const res = await changeStatus({ status: 'rejected', notes: 'Outside policy' });
+
+    expect(res.status).toBe(200);
+    expect(claims[0].status).toBe('rejected');
+    expect(claims[0].status_history).toHaveLength(1);
+    expect(claims[0].status_history[0]).toMatchObject({
+      from_status: 'new',
+      to_status: 'rejected',
+      note: 'Outside policy'
+    });
+    expect(String(claims[0].status_history[0].changed_by)).toBe(String(officer._id));
+  });
+
+  test('refuses claimants', async () => {
+    const claimant = await User.create({
+      employee_id: 'HFA-W-2',
+      name: 'Claimant',
+      email: 'claimant@example.com',
+      password: 'Irrelevant-Passw0rd',
+      department: 'Operations'
+    });
+
+    const res = await request(app)
+      .put(`/api/claims/${claims[0]._id}/status`)
+      .set('Authorization', await signIn(claimant))
+      .send({ status: 'verified' });
+
+    expect(res.status).toBe(403);
+  });
+});
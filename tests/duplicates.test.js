@@ -0,0 +1,226 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.STORAGE_DRIVER = 'local';
+
+const Claim = require('../models/claim');
+const ClaimCategory = require('../models/claimCategory');
+const Supplier = require('../models/supplier');
+const Budget = require('../models/budget');
+const User = require('../models/user');
+const Session = require('../models/session');
+const ExpensePolicy = require('../models/expensePolicy');
+const ApprovalChain = require('../models/approvalChain');
+const AccountingPeriod = require('../models/accountingPeriod');
+const AuditLog = require('../models/auditLog');
+const memoryModel = require('./helpers/memoryModel');
+const signIn = require('./helpers/signIn');
+const duplicates = require('../utils/duplicates');
+const claimRoutes = require('../routers/claims');
+
+const app = express();
+app.use(express.json());
+app.use('/api/claims', claimRoutes);
+
+let claims;
+let accountant;
+let worker;
+let claimCount;
+
+const createUser = (fields) => User.create({
+  password: 'Irrelevant-Passw0rd',
+  ...fields
+});
+
+const createClaim = (fields) => Claim.create({
+  claim_id: `DUP-${++claimCount}`,
+  user_id: worker._id,
+  claimant_name: 'Worker',
+  employee_id: 'HFA-W-1',
+  department: 'Operations',
+  date: new Date('2026-03-10'),
+  claim_type: 'Meeting',
+  category: 'Meeting',
+  company_name: 'Cafe Nero',
+  amount: 48.5,
+  ...fields
+});
+
+beforeEach(async () => {
+  jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+  memoryModel(User);
+  memoryModel(Session);
+  memoryModel(ClaimCategory);
+  memoryModel(Supplier);
+  memoryModel(Budget);
+  memoryModel(ExpensePolicy);
+  memoryModel(ApprovalChain);
+  memoryModel(AccountingPeriod);
+  claims = memoryModel(Claim);
+  claimCount = 0;
+
+  accountant = await createUser({ employee_id: 'HFA-A-1', name: 'Accountant', email: 'accounts@example.com', role: 'accountant', department: 'Finance' });
+  worker = await createUser({ employee_id: 'HFA-W-1', name: 'Worker', email: 'worker@example.com', role: 'worker', department: 'Operations' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('duplicates.fingerprint', () => {
+  test('is the SHA-256 of the receipt bytes', () => {
+    expect(duplicates.fingerprint(Buffer.from('abc')))
+      .toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    expect(duplicates.fingerprint(Buffer.from('abc '))).not.toBe(duplicates.fingerprint(Buffer.from('abc')));
+  });
+});
+
+describe('duplicates.findDuplicates', () => {
+  const find = (fields) => duplicates.findDuplicates({ amount: 48.5, date: '2026-03-12', companyName: 'Cafe Nero', ...fields });
+
+  test('matches the same amount from the same company within the window', async () => {
+    const earlier = await createClaim();
+    await createClaim({ date: new Date('2026-03-01') });
+    await createClaim({ amount: 48.51 });
+    await createClaim({ company_name: 'Costa' });
+
+    expect(await find({ companyName: ' cafe NERO ' })).toEqual([
+      { claim: earlier._id, claim_id: 'DUP-1', reasons: ['same_amount_date_supplier'] }
+    ]);
+  });
+
+  test('matches on the supplier record when there is one', async () => {
+    const supplier = await Supplier.create({ name: 'Cafe Nero' });
+    const linked = await createClaim({ supplier: supplier._id });
+    await createClaim({ company_name: 'Cafe Nero' });
+
+    expect((await find({ supplier: supplier._id })).map(match => match.claim_id)).toEqual([linked.claim_id]);
+  });
+
+  test('treats the company name literally', async () => {
+    await createClaim({ company_name: 'AxB Ltd' });
+    const literal = await createClaim({ company_name: 'A.B Ltd' });
+
+    expect((await find({ companyName: 'A.B Ltd' })).map(match => match.claim_id)).toEqual([literal.claim_id]);
+  });
+
+  test('matches the same receipt whatever the amount and date', async () => {
+    const hash = duplicates.fingerprint(Buffer.from('receipt'));
+    const sameReceipt = await createClaim({ receipt_hash: hash, amount: 12, date: new Date('2025-11-01') });
+    const both = await createClaim({ receipt_hash: hash });
+
+    expect(await find({ receiptHash: hash })).toEqual([
+      { claim: sameReceipt._id, claim_id: sameReceipt.claim_id, reasons: ['same_receipt'] },
+      { claim: both._id, claim_id: both.claim_id, reasons: ['same_receipt', 'same_amount_date_supplier'] }
+    ]);
+  });
+
+  test('leaves out rejected claims and the claim being checked', async () => {
+    await createClaim({ status: 'rejected' });
+    const self = await createClaim();
+
+    expect(await find({ excludeId: self._id })).toEqual([]);
+  });
+
+  test('has nothing to compare without a receipt or a company', async () => {
+    await createClaim();
+    const query = jest.spyOn(Claim, 'find');
+
+    expect(await find({ companyName: undefined })).toEqual([]);
+    expect(query).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/claims duplicate check', () => {
+  const submit = async (fields) => request(app)
+    .post('/api/claims')
+    .set('Authorization', await signIn(worker))
+    .send({
+      claim_id: 'HFA-C-8001', claimant_name: 'Worker', date: '2026-03-12', category: 'Meeting', currency: 'GBP', amount: 48.5,
+      company_name: 'Cafe Nero', contact_person: 'Till', contact_email: 'till@nero.example', ...fields
+    });
+
+  beforeEach(async () => {
+    await ClaimCategory.create({ name: 'Meeting', nominal_code: '7402' });
+  });
+
+  test('flags a claim matching an earlier one for review', async () => {
+    const earlier = await createClaim();
+
+    const res = await submit();
+    expect(res.status).toBe(201);
+    expect(res.body.message).toContain('Claim flagged as a possible duplicate');
+
+    const claim = claims.find(other => other.claim_id === 'HFA-C-8001');
+    expect(claim.duplicate_status).toBe('flagged');
+    expect(claim.possible_duplicates.map(match => [String(match.claim), match.reasons.toObject()])).toEqual([
+      [String(earlier._id), ['same_amount_date_supplier']]
+    ]);
+  });
+
+  test('does not flag a claim with no match', async () => {
+    await createClaim({ amount: 12 });
+
+    const res = await submit();
+    expect(res.status).toBe(201);
+    expect(claims.find(other => other.claim_id === 'HFA-C-8001').duplicate_status).toBe('none');
+  });
+});
+
+describe('duplicate review', () => {
+  const review = async (claim, fields) => request(app)
+    .put(`/api/claims/${claim._id}/duplicates`)
+    .set('Authorization', await signIn(accountant))
+    .send(fields);
+
+  let original;
+  let flagged;
+
+  beforeEach(async () => {
+    original = await createClaim();
+    flagged = await createClaim({
+      duplicate_status: 'flagged',
+      possible_duplicates: [{ claim: original._id, claim_id: original.claim_id, reasons: ['same_amount_date_supplier'] }]
+    });
+  });
+
+  test('lists flagged claims to finance', async () => {
+    const res = await request(app).get('/api/claims/duplicates').set('Authorization', await signIn(accountant));
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(claim => claim.claim_id)).toEqual([flagged.claim_id]);
+    expect(res.body.pagination.total).toBe(1);
+
+    const denied = await request(app).get('/api/claims/duplicates').set('Authorization', await signIn(worker));
+    expect(denied.status).toBe(403);
+  });
+
+  test('clears a flag and leaves the claim open', async () => {
+    const res = await review(flagged, { resolution: 'cleared' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Duplicate flag cleared');
+    expect(claims[1]).toMatchObject({ duplicate_status: 'cleared', status: 'new' });
+    expect(claims[1].duplicate_reviewed_by.equals(accountant._id)).toBe(true);
+  });
+
+  test('rejects a confirmed duplicate', async () => {
+    const res = await review(flagged, { resolution: 'confirmed' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('Claim confirmed as a duplicate');
+    expect(claims[1]).toMatchObject({ duplicate_status: 'confirmed', status: 'rejected', rejection_reason: 'Duplicate claim' });
+    expect(claims[1].status_history.map(change => change.to_status)).toEqual(['rejected']);
+  });
+
+  test('refuses claims that were never flagged and unknown resolutions', async () => {
+    const unflagged = await review(original, { resolution: 'cleared' });
+    expect(unflagged.status).toBe(400);
+    expect(unflagged.body.message).toBe('Claim is not flagged as a possible duplicate');
+
+    const invalid = await review(flagged, { resolution: 'ignored' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors[0].msg).toBe('Resolution must be cleared or confirmed');
+    expect(claims[1].duplicate_status).toBe('flagged');
+  });
+});
@@ -0,0 +1,226 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.STORAGE_DRIVER = 'local';
+
+const ExchangeRate = require('../models/exchangeRate');
+const Claim = require('../models/claim');
+const ClaimCategory = require('../models/claimCategory');
+const Supplier = require('../models/supplier');
+const Budget = require('../models/budget');
+const User = require('../models/user');
+const Session = require('../models/session');
+const ExpensePolicy = require('../models/expensePolicy');
+const ApprovalChain = require('../models/approvalChain');
+const AccountingPeriod = require('../models/accountingPeriod');
+const AuditLog = require('../models/auditLog');
+const memoryModel = require('./helpers/memoryModel');
+const signIn = require('./helpers/signIn');
+const exchangeRateRoutes = require('../routers/exchangeRates');
+const claimRoutes = require('../routers/claims');
+
+const app = express();
+app.use(express.json());
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/claims', claimRoutes);
+
+let rates;
+let claims;
+let accountant;
+let worker;
+
+const createUser = (fields) => User.create({
+  password: 'Irrelevant-Passw0rd',
+  ...fields
+});
+
+const createRate = (currency, date, rate) => ExchangeRate.create({ currency, date: new Date(date), rate });
+
+beforeEach(async () => {
+  jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+  memoryModel(User);
+  memoryModel(Session);
+  memoryModel(ClaimCategory);
+  memoryModel(Supplier);
+  memoryModel(Budget);
+  memoryModel(ExpensePolicy);
+  memoryModel(ApprovalChain);
+  memoryModel(AccountingPeriod);
+  rates = memoryModel(ExchangeRate);
+  claims = memoryModel(Claim);
+
+  accountant = await createUser({ employee_id: 'HFA-A-1', name: 'Accountant', email: 'accounts@example.com', role: 'accountant', department: 'Finance' });
+  worker = await createUser({ employee_id: 'HFA-W-1', name: 'Worker', email: 'worker@example.com', role: 'worker', department: 'Operations' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ExchangeRate.normalizeCurrency', () => {
+  test('turns symbols and names from older claims into ISO codes', () => {
+    expect(ExchangeRate.normalizeCurrency('£')).toBe('GBP');
+    expect(ExchangeRate.normalizeCurrency(' pounds ')).toBe('GBP');
+    expect(ExchangeRate.normalizeCurrency('€')).toBe('EUR');
+    expect(ExchangeRate.normalizeCurrency('US$')).toBe('USD');
+    expect(ExchangeRate.normalizeCurrency('eur')).toBe('EUR');
+    expect(ExchangeRate.normalizeCurrency('Rupees')).toBe('RUPEES');
+    expect(ExchangeRate.normalizeCurrency('')).toBe('');
+  });
+});
+
+describe('ExchangeRate.rateFor', () => {
+  beforeEach(async () => {
+    await createRate('EUR', '2026-03-01', 0.86);
+    await createRate('EUR', '2026-03-10', 0.84);
+    await createRate('EUR', '2026-03-05', 0.85);
+    await createRate('USD', '2026-03-09', 0.79);
+  });
+
+  test('takes the latest rate on or before the date', async () => {
+    expect((await ExchangeRate.rateFor('EUR', '2026-03-07')).rate).toBe(0.85);
+    expect((await ExchangeRate.rateFor('€', '2026-03-10')).rate).toBe(0.84);
+    expect((await ExchangeRate.rateFor('EUR', '2026-06-30')).rate).toBe(0.84);
+  });
+
+  test('has no rate before the first one or for unknown currencies', async () => {
+    expect(await ExchangeRate.rateFor('EUR', '2026-02-28')).toBeNull();
+    expect(await ExchangeRate.rateFor('JPY', '2026-03-10')).toBeNull();
+  });
+
+  test('always converts GBP at 1', async () => {
+    expect(await ExchangeRate.rateFor('£', '2026-03-07')).toEqual({ currency: 'GBP', rate: 1, date: new Date('2026-03-07') });
+  });
+});
+
+describe('Claim exchange rates', () => {
+  test('stores currency symbols as ISO codes and GBP claims at face value', async () => {
+    const claim = new Claim({ currency: '£', amount: 42.5, exchange_rate: 0.5 });
+    await claim.validate(['currency', 'exchange_rate', 'base_amount']);
+
+    expect(claim.currency).toBe('GBP');
+    expect(claim.exchange_rate).toBe(1);
+    expect(claim.base_amount).toBe(42.5);
+  });
+
+  test('fixes the rate at the claim date and converts to GBP', async () => {
+    await createRate('EUR', '2026-03-05', 0.8567);
+    const claim = new Claim({ currency: 'EUR', amount: 99.99, date: new Date('2026-03-07') });
+
+    expect(await claim.applyExchangeRate()).toBe(true);
+    expect(claim.exchange_rate).toBe(0.8567);
+    expect(claim.exchange_rate_date).toEqual(new Date('2026-03-05'));
+    expect(claim.base_amount).toBe(85.66);
+    expect(claim.baseValue(10)).toBe(8.57);
+  });
+
+  test('reports a missing rate', async () => {
+    const claim = new Claim({ currency: 'EUR', amount: 100, date: new Date('2026-03-07') });
+    expect(await claim.applyExchangeRate()).toBe(false);
+  });
+});
+
+describe('POST /api/claims in another currency', () => {
+  const submit = async (fields) => request(app)
+    .post('/api/claims')
+    .set('Authorization', await signIn(worker))
+    .send({
+      claim_id: 'HFA-C-5001', claimant_name: 'Worker', date: '2026-03-07', category: 'Meeting', amount: 200,
+      company_name: 'Café Paris', contact_person: 'Luc', contact_email: 'luc@cafe.example', ...fields
+    });
+
+  beforeEach(async () => {
+    await ClaimCategory.create({ name: 'Meeting', nominal_code: '7402' });
+    await createRate('EUR', '2026-03-01', 0.86);
+    await createRate('EUR', '2026-03-05', 0.85);
+  });
+
+  test('records the rate at the claim date and the GBP amount', async () => {
+    const res = await submit({ currency: '€' });
+
+    expect(res.status).toBe(201);
+    expect(claims[0]).toMatchObject({ currency: 'EUR', amount: 200, exchange_rate: 0.85, base_amount: 170 });
+    expect(claims[0].exchange_rate_date).toEqual(new Date('2026-03-05'));
+  });
+
+  test('refuses a claim with no rate on or before its date', async () => {
+    const res = await submit({ currency: 'USD' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('No exchange rate for USD on or before the claim date');
+    expect(claims).toHaveLength(0);
+  });
+
+  test('refuses a currency that is not an ISO code', async () => {
+    const res = await submit({ currency: 'Shells' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.msg)).toContain('Currency must be an ISO 4217 code');
+  });
+});
+
+describe('/api/exchange-rates', () => {
+  test('saves a rate, replacing the one for the same currency and date', async () => {
+    const save = async (fields) => request(app)
+      .post('/api/exchange-rates')
+      .set('Authorization', await signIn(accountant))
+      .send({ currency: '€', date: '2026-03-05', ...fields });
+
+    expect((await save({ rate: 0.85 })).status).toBe(201);
+    expect((await save({ rate: 0.851 })).status).toBe(201);
+
+    expect(rates).toHaveLength(1);
+    expect(rates[0]).toMatchObject({ currency: 'EUR', rate: 0.851, source: 'manual' });
+
+    const invalid = await save({ rate: 0 });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors.map(error => error.msg)).toContain('Rate must be greater than zero');
+  });
+
+  test('looks up the rate that applies on a date', async () => {
+    await createRate('EUR', '2026-03-05', 0.85);
+    const lookup = async (query) => request(app)
+      .get(`/api/exchange-rates/lookup?${query}`)
+      .set('Authorization', await signIn(worker));
+
+    const found = await lookup('currency=EUR&date=2026-03-07');
+    expect(found.status).toBe(200);
+    expect(found.body.data.rate).toBe(0.85);
+
+    const missing = await lookup('currency=EUR&date=2026-03-01');
+    expect(missing.status).toBe(404);
+    expect(missing.body.message).toBe('No exchange rate for EUR on or before 2026-03-01');
+  });
+
+  test('imports rates, refusing the whole batch if a row is invalid', async () => {
+    const bulkWrite = jest.spyOn(ExchangeRate, 'bulkWrite').mockResolvedValue({ upsertedCount: 2, modifiedCount: 0 });
+    const importRates = async (rows) => request(app)
+      .post('/api/exchange-rates/import')
+      .set('Authorization', await signIn(accountant))
+      .send({ rates: rows });
+
+    const invalid = await importRates([
+      { date: '2026-03-05', currency: 'EUR', rate: '0.85' },
+      { date: '2026-03-05', currency: 'GBP', rate: '1' },
+      { date: 'soon', currency: 'USD', rate: '0.79' }
+    ]);
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors).toEqual([
+      { row: 2, message: 'Invalid currency GBP' },
+      { row: 3, message: 'Invalid date soon' }
+    ]);
+    expect(bulkWrite).not.toHaveBeenCalled();
+
+    const res = await importRates([
+      { date: '2026-03-05', currency: '€', rate: '0.85' },
+      { date: '2026-03-05', currency: 'usd', rate: '0.79' }
+    ]);
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ imported: 2, updated: 0 });
+    expect(bulkWrite.mock.calls[0][0].map(operation => operation.updateOne.filter)).toEqual([
+      { currency: 'EUR', date: new Date('2026-03-05') },
+      { currency: 'USD', date: new Date('2026-03-05') }
+    ]);
+  });
+});
@@ -0,0 +1,255 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.STORAGE_DRIVER = 'local';
+
+const ExpensePolicy = require('../models/expensePolicy');
+const Claim = require('../models/claim');
+const ClaimCategory = require('../models/claimCategory');
+const Supplier = require('../models/supplier');
+const Budget = require('../models/budget');
+const User = require('../models/user');
+const Session = require('../models/session');
+const ApprovalChain = require('../models/approvalChain');
+const AccountingPeriod = require('../models/accountingPeriod');
+const AuditLog = require('../models/auditLog');
+const memoryModel = require('./helpers/memoryModel');
+const signIn = require('./helpers/signIn');
+const policy = require('../utils/policy');
+const expensePolicyRoutes = require('../routers/expensePolicies');
+const claimRoutes = require('../routers/claims');
+
+const app = express();
+app.use(express.json());
+app.use('/api/expense-policies', expensePolicyRoutes);
+app.use('/api/claims', claimRoutes);
+
+let policies;
+let claims;
+let admin;
+let worker;
+
+const createUser = (fields) => User.create({
+  password: 'Irrelevant-Passw0rd',
+  ...fields
+});
+
+const createPolicy = (fields) => ExpensePolicy.create({ name: 'Policy', ...fields });
+
+// 7 March 2026 is a Saturday
+const SATURDAY = new Date(2026, 2, 7);
+const MONDAY = new Date(2026, 2, 9);
+
+beforeEach(async () => {
+  jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+  memoryModel(User);
+  memoryModel(Session);
+  memoryModel(ClaimCategory);
+  memoryModel(Supplier);
+  memoryModel(Budget);
+  memoryModel(ApprovalChain);
+  memoryModel(AccountingPeriod);
+  policies = memoryModel(ExpensePolicy);
+  claims = memoryModel(Claim);
+
+  admin = await createUser({ employee_id: 'HFA-AD-1', name: 'Admin', email: 'admin@example.com', role: 'admin', department: 'Finance' });
+  worker = await createUser({ employee_id: 'HFA-W-1', name: 'Worker', email: 'worker@example.com', role: 'worker', department: 'Operations' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ExpensePolicy', () => {
+  test('requires the setting each policy type depends on', async () => {
+    await expect(new ExpensePolicy({ name: 'Receipts', type: 'receipt_required' }).validate())
+      .rejects.toThrow('Amount threshold is required for receipt policies');
+    await expect(new ExpensePolicy({ name: 'Age', type: 'max_age' }).validate())
+      .rejects.toThrow('Maximum age in days is required for expense age policies');
+    await expect(new ExpensePolicy({ name: 'No gifts', type: 'disallowed_category' }).validate())
+      .rejects.toThrow('At least one category is required for disallowed category policies');
+  });
+
+  test('covers the categories and roles it lists, or all of them', () => {
+    const everyone = new ExpensePolicy({ name: 'Weekends', type: 'no_weekend' });
+    expect(everyone.appliesTo('Meeting', 'worker')).toBe(true);
+
+    const limited = new ExpensePolicy({ name: 'Weekends', type: 'no_weekend', categories: ['Meeting'], roles: ['worker'] });
+    expect(limited.appliesTo('Meeting', 'worker')).toBe(true);
+    expect(limited.appliesTo('Travel', 'worker')).toBe(false);
+    expect(limited.appliesTo('Meeting', 'accountant')).toBe(false);
+  });
+});
+
+describe('policy.checkPolicy', () => {
+  const claim = { category: 'Meeting', role: 'worker', date: MONDAY, amount: 30, has_receipt: false, submitted_at: MONDAY };
+
+  test('needs a receipt above the threshold', () => {
+    const receipts = new ExpensePolicy({ type: 'receipt_required', amount_threshold: 25 });
+    expect(policy.checkPolicy(receipts, { ...claim, amount: 25 })).toBeNull();
+    expect(policy.checkPolicy(receipts, { ...claim, has_receipt: true })).toBeNull();
+    expect(policy.checkPolicy(receipts, claim)).toBe('A receipt is required for claims over £25.00');
+  });
+
+  test('refuses weekend expenses', () => {
+    const weekends = new ExpensePolicy({ type: 'no_weekend' });
+    expect(policy.checkPolicy(weekends, claim)).toBeNull();
+    expect(policy.checkPolicy(weekends, { ...claim, date: SATURDAY })).toBe('Meeting expenses cannot be claimed for weekends');
+  });
+
+  test('measures the age of an expense at submission', () => {
+    const age = new ExpensePolicy({ type: 'max_age', max_age_days: 30 });
+    expect(policy.checkPolicy(age, { ...claim, submitted_at: new Date(2026, 3, 8) })).toBeNull();
+    expect(policy.checkPolicy(age, { ...claim, submitted_at: new Date(2026, 3, 9) }))
+      .toBe('Expense is 31 days old; claims must be made within 30 days');
+  });
+
+  test('refuses disallowed categories for the role', () => {
+    const gifts = new ExpensePolicy({ type: 'disallowed_category', categories: ['Gifts'] });
+    expect(policy.checkPolicy(gifts, { ...claim, category: 'Gifts' })).toBe('Gifts claims are not allowed for the worker role');
+  });
+});
+
+describe('policy.evaluate', () => {
+  const claim = { category: 'Meeting', role: 'worker', date: SATURDAY, amount: 60, has_receipt: false };
+
+  test('passes a claim that breaches nothing', async () => {
+    await createPolicy({ type: 'receipt_required', amount_threshold: 100 });
+
+    expect(await policy.evaluate(claim)).toEqual({ violations: [], blocked: false, exceptionRoles: [] });
+  });
+
+  test('collects the violations of active policies that cover the claim', async () => {
+    const receipts = await createPolicy({ name: 'Receipts', type: 'receipt_required', amount_threshold: 25, exception_roles: ['accountant', 'financial officer'] });
+    await createPolicy({ name: 'Weekends', type: 'no_weekend', message: 'Ask your manager about weekend work' });
+    await createPolicy({ name: 'Old weekends', type: 'no_weekend', active: false });
+    await createPolicy({ name: 'Managers', type: 'no_weekend', roles: ['manager'] });
+
+    const result = await policy.evaluate(claim);
+
+    expect(result.blocked).toBe(false);
+    expect(result.violations).toEqual([
+      {
+        policy: receipts._id,
+        policy_name: 'Receipts',
+        type: 'receipt_required',
+        severity: 'exception',
+        message: 'A receipt is required for claims over £25.00',
+        exception_roles: ['accountant', 'financial officer']
+      },
+      expect.objectContaining({ policy_name: 'Weekends', message: 'Ask your manager about weekend work', exception_roles: ['financial officer'] })
+    ]);
+    expect(result.exceptionRoles).toEqual(['accountant', 'financial officer']);
+  });
+
+  test('blocks on a "block" policy, which needs no sign-off', async () => {
+    await createPolicy({ name: 'Weekends', type: 'no_weekend', severity: 'block' });
+
+    const result = await policy.evaluate(claim);
+    expect(result.blocked).toBe(true);
+    expect(result.violations).toEqual([expect.objectContaining({ severity: 'block', exception_roles: [] })]);
+    expect(result.exceptionRoles).toEqual([]);
+  });
+});
+
+describe('Claim#syncPolicyExceptionStep', () => {
+  const violation = (fields) => ({ policy_name: 'Receipts', type: 'receipt_required', severity: 'exception', exception_roles: ['financial officer'], ...fields });
+
+  test('adds a sign-off step for exception violations only', () => {
+    const claim = new Claim({ status: 'new', policy_violations: [violation({ severity: 'block' })] });
+    claim.syncPolicyExceptionStep();
+    expect(claim.approval_steps).toHaveLength(0);
+
+    claim.policy_violations = [violation(), violation({ exception_roles: ['accountant', 'financial officer'] })];
+    claim.syncPolicyExceptionStep();
+    expect(claim.approval_steps.map(step => [step.name, step.roles.toObject()])).toEqual([
+      ['Policy exception', ['financial officer', 'accountant']]
+    ]);
+    expect(claim.awaiting_roles.toObject()).toEqual(['financial officer', 'accountant']);
+  });
+
+  test('drops a pending step once the violations are gone', () => {
+    const claim = new Claim({ status: 'new', policy_violations: [violation()] });
+    claim.syncPolicyExceptionStep();
+
+    claim.policy_violations = [];
+    claim.syncPolicyExceptionStep();
+    expect(claim.approval_steps).toHaveLength(0);
+    expect(claim.awaiting_roles.toObject()).toEqual([]);
+  });
+
+  test('leaves a step that has been decided', () => {
+    const claim = new Claim({ status: 'verified', policy_violations: [violation()] });
+    claim.syncPolicyExceptionStep();
+    claim.approval_steps[0].status = 'approved';
+
+    claim.policy_violations = [violation({ exception_roles: ['accountant'] })];
+    claim.syncPolicyExceptionStep();
+    expect(claim.approval_steps.map(step => [step.status, step.roles.toObject()])).toEqual([
+      ['approved', ['financial officer']]
+    ]);
+  });
+});
+
+describe('POST /api/claims against expense policies', () => {
+  const submit = async (fields) => request(app)
+    .post('/api/claims')
+    .set('Authorization', await signIn(worker))
+    .send({
+      claim_id: 'HFA-C-7001', claimant_name: 'Worker', date: '2026-03-07', category: 'Meeting', currency: 'GBP', amount: 60,
+      company_name: 'Cafe', contact_person: 'Till', contact_email: 'till@cafe.example', ...fields
+    });
+
+  beforeEach(async () => {
+    await ClaimCategory.create({ name: 'Meeting', nominal_code: '7402' });
+  });
+
+  test('refuses a claim breaching a "block" policy', async () => {
+    await createPolicy({ name: 'Weekends', type: 'no_weekend', severity: 'block' });
+
+    const res = await submit();
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Claim breaches expense policy');
+    expect(res.body.policy_violations).toEqual([expect.objectContaining({ policy_name: 'Weekends' })]);
+    expect(claims).toHaveLength(0);
+  });
+
+  test('routes an exception to its approvers', async () => {
+    await createPolicy({ name: 'Receipts', type: 'receipt_required', amount_threshold: 25 });
+
+    const res = await submit({ date: '2026-03-09' });
+    expect(res.status).toBe(201);
+    expect(res.body.message).toContain('Policy exceptions need sign-off');
+    expect(claims[0].policy_violations.map(violation => violation.policy_name)).toEqual(['Receipts']);
+    expect(claims[0].approval_steps.map(step => step.name)).toEqual(['Policy exception']);
+    expect(claims[0].awaiting_roles.toObject()).toEqual(['financial officer']);
+  });
+});
+
+describe('/api/expense-policies', () => {
+  const create = async (fields, user = admin) => request(app)
+    .post('/api/expense-policies')
+    .set('Authorization', await signIn(user))
+    .send(fields);
+
+  test('lets admins create policies', async () => {
+    const res = await create({ name: 'Receipts', type: 'receipt_required', amount_threshold: 25, severity: 'block' });
+    expect(res.status).toBe(201);
+    expect(policies[0]).toMatchObject({ name: 'Receipts', severity: 'block', active: true });
+    expect(policies[0].created_by.equals(admin._id)).toBe(true);
+
+    expect((await create({ name: 'Weekends', type: 'no_weekend' }, worker)).status).toBe(403);
+  });
+
+  test('reports settings missing for the policy type', async () => {
+    const res = await create({ name: 'Receipts', type: 'receipt_required' });
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Amount threshold is required for receipt policies');
+
+    const invalid = await create({ name: 'Holidays', type: 'no_holiday' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors[0].msg).toBe('Type must be one of receipt_required, no_weekend, max_age, disallowed_category');
+    expect(policies).toHaveLength(0);
+  });
+});
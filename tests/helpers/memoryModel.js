@@ -0,0 +1,209 @@
+// In-memory stand-in for a Mongoose model's persistence, for tests run
+// without MongoDB. Documents are real model instances, so defaults,
+// validation and pre('save') hooks still apply; only the queries the
+// routes and utilities use are supported.
+
+const isOperatorObject = (condition) => condition !== null && typeof condition === 'object' &&
+  !(condition instanceof Date) && !(condition instanceof RegExp) && !condition._bsontype;
+
+const compare = (value, condition) => {
+  if (condition === null || condition === undefined) return value === null || value === undefined;
+  if (condition instanceof RegExp) return value != null && condition.test(value);
+  // Mongoose casts a list given for a single-valued path to $in
+  if (Array.isArray(condition)) return condition.some(option => compare(value, option));
+  if (isOperatorObject(condition)) {
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$gt': return value != null && value > operand;
+        case '$gte': return value != null && value >= operand;
+        case '$lt': return value != null && value < operand;
+        case '$lte': return value != null && value <= operand;
+        case '$ne': return !compare(value, operand);
+        case '$in': return operand.some(option => compare(value, option));
+        case '$elemMatch': return Array.isArray(value) && value.some(item => matches(item, operand));
+        default: throw new Error(`Unsupported query operator ${operator}`);
+      }
+    });
+  }
+  // A plain value matches an array field holding it
+  if (Array.isArray(value)) return value.some(item => compare(item, condition));
+  if (condition instanceof Date) return value != null && new Date(value).getTime() === condition.getTime();
+  return value != null && String(value) === String(condition);
+};
+
+const matches = (doc, query = {}) => Object.entries(query).every(([field, condition]) => {
+  if (field === '$or') return condition.some(alternative => matches(doc, alternative));
+  return compare(doc.get(field), condition);
+});
+
+// Equality fields of a query, used as the starting point for upserts
+const equalities = (query) => Object.fromEntries(Object.entries(query)
+  .filter(([field, condition]) => !field.startsWith('$') && !isOperatorObject(condition)));
+
+// Resolve a positional path ('list.$.field') to the first array element
+// matched by the query's conditions on that array
+const positional = (doc, field, filter = {}) => {
+  if (!field.includes('.$.')) return field;
+  const [arrayPath, rest] = field.split('.$.');
+  const conditions = Object.entries(filter).filter(([path]) => path.startsWith(`${arrayPath}.`));
+  const index = (doc.get(arrayPath) || []).findIndex(element => conditions.every(([path, condition]) =>
+    compare(element.get(path.slice(arrayPath.length + 1)), condition)));
+  return `${arrayPath}.${index}.${rest}`;
+};
+
+const applyUpdate = (doc, update, inserting, filter) => {
+  // Like Mongoose, top-level fields without an operator are set
+  const fields = Object.fromEntries(Object.entries(update).filter(([field]) => !field.startsWith('$')));
+  for (const [field, value] of Object.entries({ ...fields, ...update.$set })) doc.set(positional(doc, field, filter), value);
+  for (const [field, value] of Object.entries(update.$unset || {})) doc.set(field, undefined);
+  for (const [path, amount] of Object.entries(update.$inc || {})) {
+    const field = positional(doc, path, filter);
+    doc.set(field, (doc.get(field) || 0) + amount);
+  }
+  for (const [field, value] of Object.entries(update.$max || {})) {
+    if (doc.get(field) == null || value > doc.get(field)) doc.set(field, value);
+  }
+  for (const [field, value] of Object.entries(update.$push || {})) {
+    doc.set(field, [...(doc.get(field) || []), value]);
+  }
+  for (const [field, value] of Object.entries(update.$pull || {})) {
+    doc.set(field, (doc.get(field) || []).filter(item => !compare(item, value)));
+  }
+  if (inserting) {
+    for (const [field, value] of Object.entries(update.$setOnInsert || {})) doc.set(field, value);
+  }
+};
+
+// Apply a select() projection string ('a b' or '-a -b') to a document
+const project = (Model, doc, fields) => {
+  if (!doc || typeof fields !== 'string') return doc;
+  const paths = fields.split(/\s+/).filter(Boolean);
+  const object = doc.toObject();
+  if (paths.every(path => path.startsWith('-'))) {
+    paths.forEach(path => delete object[path.slice(1)]);
+    return Model.hydrate(object);
+  }
+  const kept = { _id: object._id };
+  paths.forEach(path => {
+    const field = path.split('.')[0];
+    if (field in object) kept[field] = object[field];
+  });
+  return Model.hydrate(kept);
+};
+
+// Order documents by a sort() spec ({ a: 1, b: -1 } or 'a -b'); as in
+// MongoDB, missing values sort first
+const sortDocs = (docs, spec) => {
+  const keys = typeof spec === 'string'
+    ? spec.split(/\s+/).filter(Boolean).map(key => (key.startsWith('-') ? [key.slice(1), -1] : [key, 1]))
+    : Object.entries(spec || {});
+  const order = (a, b) => {
+    if (a == null || b == null) return (a == null ? -1 : 0) - (b == null ? -1 : 0);
+    return a < b ? -1 : a > b ? 1 : 0;
+  };
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of keys) {
+      const result = order(a.get(field), b.get(field));
+      if (result !== 0) return result * direction;
+    }
+    return 0;
+  });
+};
+
+// Query results are awaitable and accept the chained calls used in the
+// app; select() and sort() apply, the others pass results through.
+// findOne() passes every match so that sort() can pick the first.
+const query = (result, Model, candidates) => {
+  const promise = Promise.resolve(result);
+  promise.select = (fields) => query(Array.isArray(result)
+    ? result.map(doc => project(Model, doc, fields))
+    : project(Model, result, fields), Model);
+  promise.sort = (spec) => {
+    if (candidates) return query(sortDocs(candidates, spec)[0] || null, Model);
+    return Array.isArray(result) ? query(sortDocs(result, spec), Model) : promise;
+  };
+  promise.limit = () => promise;
+  promise.skip = () => promise;
+  promise.populate = () => promise;
+  return promise;
+};
+
+const runSaveHooks = (Model, doc) => new Promise((resolve, reject) => {
+  Model.schema.s.hooks.execPre('save', doc, [], (error) => (error ? reject(error) : resolve()));
+});
+
+const memoryModel = (Model) => {
+  const docs = [];
+  const stored = (filter) => docs.find(doc => matches(doc, filter)) || null;
+  // Reads hand out copies, as separate queries against MongoDB would, so
+  // concurrent requests only see each other's writes once saved
+  const copy = (doc) => doc && Model.hydrate(doc.toObject());
+  const first = (filter) => copy(stored(filter));
+
+  const store = async (doc) => {
+    await runSaveHooks(Model, doc);
+    const existing = docs.find(other => String(other._id) === String(doc._id));
+    if (!existing) {
+      docs.push(doc);
+    } else if (existing !== doc) {
+      // Like a real save, only the paths changed on this copy are written
+      for (const path of doc.modifiedPaths()) existing.set(path, doc.get(path));
+    }
+    doc.$__reset();
+    doc.isNew = false;
+    return doc;
+  };
+
+  jest.spyOn(Model.prototype, 'save').mockImplementation(function() {
+    return store(this);
+  });
+  jest.spyOn(Model.prototype, 'deleteOne').mockImplementation(function() {
+    const index = docs.findIndex(doc => String(doc._id) === String(this._id));
+    if (index !== -1) docs.splice(index, 1);
+    return Promise.resolve({ deletedCount: index === -1 ? 0 : 1 });
+  });
+  jest.spyOn(Model, 'findByIdAndDelete').mockImplementation(id => {
+    const index = docs.findIndex(doc => String(doc._id) === String(id));
+    return query(index === -1 ? null : docs.splice(index, 1)[0], Model);
+  });
+  jest.spyOn(Model, 'create').mockImplementation(data => store(new Model(data)));
+  jest.spyOn(Model, 'findOne').mockImplementation(filter => query(first(filter), Model,
+    docs.filter(doc => matches(doc, filter)).map(copy)));
+  jest.spyOn(Model, 'findById').mockImplementation(id => query(first({ _id: id }), Model));
+  jest.spyOn(Model, 'find').mockImplementation(filter => query(docs.filter(doc => matches(doc, filter)).map(copy), Model));
+  jest.spyOn(Model, 'exists').mockImplementation(filter => query(stored(filter) && { _id: stored(filter)._id }));
+  jest.spyOn(Model, 'countDocuments').mockImplementation(filter => query(docs.filter(doc => matches(doc, filter)).length));
+
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation((filter, update, options = {}) => {
+    let doc = stored(filter);
+    const before = copy(doc);
+    if (!doc && !options.upsert) return query(null);
+    if (!doc) {
+      doc = new Model(equalities(filter));
+      docs.push(doc);
+      applyUpdate(doc, update, true);
+    } else {
+      applyUpdate(doc, update, false, filter);
+    }
+    return query(options.new ? copy(doc) : before, Model);
+  });
+  jest.spyOn(Model, 'updateOne').mockImplementation((filter, update, options = {}) => {
+    const doc = stored(filter);
+    if (doc) applyUpdate(doc, update, false, filter);
+    else if (options.upsert) {
+      const inserted = new Model(equalities(filter));
+      applyUpdate(inserted, update, true);
+      docs.push(inserted);
+    }
+    return query({ matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 });
+  });
+  jest.spyOn(Model, 'updateMany').mockImplementation((filter, update) => {
+    const matched = docs.filter(doc => matches(doc, filter));
+    matched.forEach(doc => applyUpdate(doc, update, false, filter));
+    return query({ matchedCount: matched.length, modifiedCount: matched.length });
+  });
+
+  return docs;
+};
+
+module.exports = memoryModel;
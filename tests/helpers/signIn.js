@@ -0,0 +1,25 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../../models/session');
+
+// Bearer token for a user with a live session, as issued at login. The
+// Session model must be backed by memoryModel.
+const signIn = async (user) => {
+  const session = await Session.create({
+    user: user._id,
+    expires_at: new Date(Date.now() + 60 * 60 * 1000)
+  });
+  const token = jwt.sign(
+    {
+      userId: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      employee_id: user.employee_id,
+      sessionId: session._id
+    },
+    process.env.JWT_SECRET
+  );
+  return `Bearer ${token}`;
+};
+
+module.exports = signIn;
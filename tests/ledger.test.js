@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+const Journal = require('../models/journal');
+const Counter = require('../models/counter');
+const Account = require('../models/account');
+const Claim = require('../models/claim');
+const ClaimCategory = require('../models/claimCategory');
+const chart = require('../configs/chartOfAccounts');
+const memoryModel = require('./helpers/memoryModel');
+const ledger = require('../utils/ledger');
+
+const officer = new mongoose.Types.ObjectId();
+
+const newClaim = (fields = {}) => new Claim({
+  claim_id: 'LED-1',
+  user_id: new mongoose.Types.ObjectId(),
+  claimant_name: 'Claimant',
+  employee_id: 'HFA-W-1',
+  date: new Date('2026-03-02'),
+  claim_type: 'Meeting',
+  category: 'Meeting',
+  amount: 120,
+  vat_amount: 20,
+  ...fields
+});
+
+const postings = (journal) => journal.lines.map(line => [line.account_code, line.debit, line.credit]);
+
+let journals;
+
+beforeEach(async () => {
+  journals = memoryModel(Journal);
+  memoryModel(Counter);
+  memoryModel(Account);
+  memoryModel(ClaimCategory);
+  jest.spyOn(Journal, 'aggregate').mockResolvedValue([]);
+
+  for (const account of chart.accounts) {
+    await Account.create(account);
+  }
+  await ClaimCategory.create({ name: 'Meeting', nominal_code: '7402' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Journal', () => {
+  const journal = (lines) => new Journal({ reference: 'JNL-1', date: new Date(), source: 'manual', lines });
+
+  test('refuses journals whose debits and credits do not balance', async () => {
+    await expect(journal([
+      { account_code: '7402', debit: 100 },
+      { account_code: '2110', credit: 99.99 }
+    ]).validate()).rejects.toThrow('Journal does not balance (debit 100.00, credit 99.99)');
+  });
+
+  test('refuses journals with a single line', async () => {
+    await expect(journal([{ account_code: '7402', debit: 0, credit: 0 }]).validate())
+      .rejects.toThrow('Journal does not balance');
+  });
+
+  test('accepts balanced journals despite floating point sums', async () => {
+    await expect(journal([
+      { account_code: '7402', debit: 0.1 },
+      { account_code: '2201', debit: 0.2 },
+      { account_code: '2110', credit: 0.3 }
+    ]).validate()).resolves.toBeUndefined();
+  });
+
+  test('numbers references in sequence, carrying on from the highest issued before the counter', async () => {
+    Journal.aggregate.mockResolvedValue([{ _id: null, number: 100041 }]);
+
+    expect(await Journal.generateReference()).toBe('JNL-100042');
+    expect(await Journal.generateReference()).toBe('JNL-100043');
+    expect(Journal.aggregate).toHaveBeenCalledTimes(1);
+  });
+
+  test('never hands out the same reference twice to concurrent requests', async () => {
+    const references = await Promise.all([1, 2, 3, 4].map(() => Journal.generateReference()));
+
+    expect(new Set(references).size).toBe(4);
+    expect(references.sort()).toEqual(['JNL-100001', 'JNL-100002', 'JNL-100003', 'JNL-100004']);
+  });
+});
+
+describe('utils/ledger', () => {
+  test('posts approval as expense and VAT debits against employee payables', async () => {
+    const journal = await ledger.postClaimApproval(newClaim(), officer);
+
+    expect(journal.source).toBe('claim_approved');
+    expect(postings(journal)).toEqual([
+      ['7402', 100, 0],
+      ['2201', 20, 0],
+      ['2110', 0, 120]
+    ]);
+    expect(journal.lines[0].account_name).toBe('Meetings');
+  });
+
+  test('posts approval once, in GBP, leaving out zero lines', async () => {
+    const claim = newClaim({ vat_amount: 0, currency: 'EUR', exchange_rate: 0.85, base_amount: 102 });
+
+    const first = await ledger.postClaimApproval(claim, officer);
+    const second = await ledger.postClaimApproval(claim, officer);
+
+    expect(postings(first)).toEqual([['7402', 102, 0], ['2110', 0, 102]]);
+    expect(String(second._id)).toBe(String(first._id));
+    expect(journals).toHaveLength(1);
+  });
+
+  test('posts supplier claims to trade creditors and payment split between bank and cash', async () => {
+    const claim = newClaim({
+      claim_type: 'Payment Request Form',
+      category: undefined,
+      nominal_code: '8200',
+      bank_transfer_amount: 100,
+      status: 'paid'
+    });
+
+    const [approval, payment] = await ledger.recordStatusChange(claim, 'approved', officer);
+
+    expect(postings(approval)).toEqual([['8200', 100, 0], ['2201', 20, 0], ['2100', 0, 120]]);
+    expect(postings(payment)).toEqual([['2100', 120, 0], ['1200', 0, 100], ['1230', 0, 20]]);
+  });
+
+  test('reverses live journals when an approved claim is reopened', async () => {
+    const claim = newClaim({ status: 'approved' });
+    const [approval] = await ledger.recordStatusChange(claim, 'verified', officer);
+
+    claim.status = 'pending';
+    const [reversal] = await ledger.recordStatusChange(claim, 'approved', officer);
+
+    expect(reversal.source).toBe('claim_reversal');
+    expect(String(reversal.reverses)).toBe(String(approval._id));
+    expect(postings(reversal)).toEqual([['7402', 0, 100], ['2201', 0, 20], ['2110', 120, 0]]);
+    expect(journals.find(journal => journal.source === 'claim_approved').reversed).toBe(true);
+    expect(await ledger.recordStatusChange(claim, 'approved', officer)).toEqual([]);
+  });
+
+  test('posts nothing for moves between open statuses', async () => {
+    const claim = newClaim({ status: 'verified' });
+
+    expect(await ledger.recordStatusChange(claim, 'new', officer)).toEqual([]);
+    expect(journals).toHaveLength(0);
+  });
+});
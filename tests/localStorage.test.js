@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+// The driver reads its settings when first required
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claims-storage-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = storageDir;
+process.env.STORAGE_SIGNING_SECRET = 'test-signing-secret';
+
+const storage = require('../utils/storage');
+const local = require('../utils/storage/local');
+const storageRoutes = require('../routers/storage');
+
+const app = express();
+app.use('/api/storage', storageRoutes);
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// Split a signed link into the query the storage router expects
+const linkFor = async (key, expiresIn = 60) => {
+  const url = new URL(await storage.signedUrl(key, expiresIn), 'http://localhost');
+  return `${url.pathname}${url.search}`;
+};
+
+afterAll(() => {
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+describe('local storage driver', () => {
+  test('is selected by STORAGE_DRIVER', () => {
+    expect(storage.STORAGE_DRIVER).toBe('local');
+    expect(local.LOCAL_STORAGE_DIR).toBe(path.resolve(storageDir));
+  });
+
+  test('stores and reads back a file', async () => {
+    await storage.put('receipts/user-1/receipt.jpg', Buffer.from('receipt bytes'), { contentType: 'image/jpeg' });
+
+    const stream = await storage.getStream('receipts/user-1/receipt.jpg');
+    expect((await readStream(stream)).toString()).toBe('receipt bytes');
+  });
+
+  test('does not overwrite an existing file', async () => {
+    await storage.put('receipts/user-1/once.pdf', Buffer.from('first'));
+    await expect(storage.put('receipts/user-1/once.pdf', Buffer.from('second'))).rejects.toMatchObject({ code: 'EEXIST' });
+  });
+
+  test('deletes files, ignoring ones already gone', async () => {
+    await storage.put('receipts/user-1/delete-me.png', Buffer.from('x'));
+    await storage.delete('receipts/user-1/delete-me.png');
+
+    await expect(storage.getStream('receipts/user-1/delete-me.png')).rejects.toMatchObject({ code: 'ENOENT' });
+    await expect(storage.delete('receipts/user-1/delete-me.png')).resolves.toBeUndefined();
+  });
+
+  test('refuses keys outside the storage directory', async () => {
+    await expect(storage.put('../outside.txt', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    await expect(storage.getStream('receipts/../../outside.txt')).rejects.toThrow('Invalid storage key');
+  });
+
+  test('verifies signed links and rejects altered or expired ones', async () => {
+    const url = new URL(await storage.signedUrl('receipts/user-1/receipt.jpg', 60), 'http://localhost');
+    const { key, expires, signature } = Object.fromEntries(url.searchParams);
+
+    expect(local.verifySignature(key, expires, signature)).toBe(true);
+    expect(local.verifySignature('receipts/user-2/receipt.jpg', expires, signature)).toBe(false);
+    expect(local.verifySignature(key, String(parseInt(expires) + 60), signature)).toBe(false);
+    expect(local.verifySignature(key, expires, undefined)).toBe(false);
+
+    const expired = new URL(await storage.signedUrl(key, -1), 'http://localhost');
+    expect(local.verifySignature(key, expired.searchParams.get('expires'), expired.searchParams.get('signature'))).toBe(false);
+  });
+});
+
+describe('GET /api/storage/local', () => {
+  test('downloads a file through a signed link', async () => {
+    const res = await request(app).get(await linkFor('receipts/user-1/receipt.jpg'));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^image\/jpeg/);
+    expect(res.headers['cache-control']).toBe('private, no-store');
+    expect(res.headers['x-content-type-options']).toBe('nosniff');
+    expect(res.headers['content-disposition']).toBeUndefined();
+    expect(res.body.toString()).toBe('receipt bytes');
+  });
+
+  test('serves email attachments as downloads', async () => {
+    await storage.put('receipts/user-1/booking.eml', Buffer.from('Subject: Hotel booking'));
+    const res = await request(app).get(await linkFor('receipts/user-1/booking.eml'));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^message\/rfc822/);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="booking.eml"');
+  });
+
+  test('never serves a stored file as HTML', async () => {
+    await storage.put('receipts/user-1/old-upload.html', Buffer.from('<script>alert(1)</script>'));
+    const res = await request(app).get(await linkFor('receipts/user-1/old-upload.html'));
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^application\/octet-stream/);
+    expect(res.headers['x-content-type-options']).toBe('nosniff');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="old-upload.html"');
+  });
+
+  test('refuses a link with a bad signature', async () => {
+    const link = (await linkFor('receipts/user-1/receipt.jpg')).replace(/signature=[^&]+/, 'signature=forged');
+    const res = await request(app).get(link);
+
+    expect(res.status).toBe(403);
+    expect(res.body.success).toBe(false);
+  });
+
+  test('returns 404 for a signed link to a missing file', async () => {
+    const res = await request(app).get(await linkFor('receipts/user-1/missing.jpg'));
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,139 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const loginThrottle = require('../utils/loginThrottle');
+const User = require('../models/user');
+const Session = require('../models/session');
+const LoginThrottle = require('../models/loginThrottle');
+const SecuritySettings = require('../models/securitySettings');
+const AuditLog = require('../models/auditLog');
+const memoryModel = require('./helpers/memoryModel');
+const authRoutes = require('../routers/auth');
+
+const START = new Date('2026-03-02T09:00:00Z');
+
+let users;
+let throttles;
+
+const advance = (seconds) => jest.setSystemTime(Date.now() + seconds * 1000);
+
+beforeEach(async () => {
+  // Only the clock is faked; the HTTP requests still need real timers
+  jest.useFakeTimers({
+    now: START,
+    doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout',
+      'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance']
+  });
+  jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+  jest.spyOn(SecuritySettings, 'current').mockResolvedValue(new SecuritySettings());
+  users = memoryModel(User);
+  throttles = memoryModel(LoginThrottle);
+  memoryModel(Session);
+
+  await User.create({
+    employee_id: 'HFA-W-2001',
+    name: 'Jane Doe',
+    email: 'jane.doe@example.com',
+    password: 'Original-Passw0rd',
+    department: 'Finance'
+  });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('utils/loginThrottle', () => {
+  test('waits longer after each failure, up to the maximum', () => {
+    expect([0, 1, 2, 3, 4, 5, 10].map(loginThrottle.delaySeconds)).toEqual([0, 0, 1, 2, 4, 8, 30]);
+  });
+
+  test('counts simultaneous failures against one account', async () => {
+    // Each request loads its own copy of the user
+    const copies = await Promise.all(Array.from({ length: 4 }, () => User.findById(users[0]._id)));
+
+    const locked = await Promise.all(copies.map(user => loginThrottle.recordFailure('203.0.113.5', user)));
+
+    expect(locked).toEqual([false, false, false, false]);
+    expect(users[0].failed_login_attempts).toBe(4);
+    expect(throttles).toHaveLength(1);
+    expect(throttles[0].failures).toBe(4);
+  });
+
+  test('locks the account at the limit and starts the count over', async () => {
+    const user = await User.findById(users[0]._id);
+    for (let i = 1; i < loginThrottle.LOGIN_MAX_ATTEMPTS; i++) {
+      expect(await loginThrottle.recordFailure('203.0.113.5', user)).toBe(false);
+    }
+
+    expect(await loginThrottle.recordFailure('203.0.113.5', user)).toBe(true);
+    expect(users[0].failed_login_attempts).toBe(0);
+    expect(users[0].locked_until).toEqual(new Date(START.getTime() + loginThrottle.LOGIN_LOCKOUT_MINUTES * 60 * 1000));
+    expect(loginThrottle.accountWait(users[0])).toBe(loginThrottle.LOGIN_LOCKOUT_MINUTES * 60);
+  });
+
+  test('forgets failures older than the window', async () => {
+    const user = await User.findById(users[0]._id);
+    await loginThrottle.recordFailure('203.0.113.5', user);
+    await loginThrottle.recordFailure('203.0.113.5', user);
+
+    advance(16 * 60);
+    await loginThrottle.recordFailure('203.0.113.5', user);
+
+    expect(users[0].failed_login_attempts).toBe(1);
+    expect(throttles[0].failures).toBe(1);
+  });
+
+  test('blocks an address after failures across many accounts', async () => {
+    await Promise.all(Array.from({ length: 20 }, () => loginThrottle.recordFailure('198.51.100.7', null)));
+
+    expect(throttles).toHaveLength(1);
+    expect(throttles[0].blocked_until).toEqual(new Date(START.getTime() + 15 * 60 * 1000));
+    expect(throttles[0].expires_at).toEqual(throttles[0].blocked_until);
+    expect(await loginThrottle.ipWait('198.51.100.7')).toBe(15 * 60);
+    expect(await loginThrottle.ipWait('198.51.100.8')).toBe(0);
+  });
+});
+
+describe('POST /api/auth/login throttling', () => {
+  const app = express();
+  app.set('trust proxy', true);
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+
+  const login = (password) => request(app)
+    .post('/api/auth/login')
+    .set('X-Forwarded-For', '192.0.2.10')
+    .send({ username: 'jane.doe@example.com', password });
+
+  test('asks the caller to wait between failed attempts', async () => {
+    expect((await login('wrong-1')).status).toBe(401);
+    expect((await login('wrong-2')).status).toBe(401);
+
+    const early = await login('Original-Passw0rd');
+    expect(early.status).toBe(429);
+    expect(early.headers['retry-after']).toBe('1');
+
+    advance(1);
+    expect((await login('Original-Passw0rd')).status).toBe(200);
+    expect(users[0].failed_login_attempts).toBe(0);
+  });
+
+  test('locks the account after repeated failures, even for the right password', async () => {
+    for (let i = 0; i < loginThrottle.LOGIN_MAX_ATTEMPTS; i++) {
+      expect((await login(`wrong-${i}`)).status).toBe(401);
+      advance(60);
+    }
+
+    const res = await login('Original-Passw0rd');
+    expect(res.status).toBe(423);
+    expect(Number(res.headers['retry-after'])).toBe(loginThrottle.LOGIN_LOCKOUT_MINUTES * 60 - 60);
+
+    advance(loginThrottle.LOGIN_LOCKOUT_MINUTES * 60);
+    expect((await login('Original-Passw0rd')).status).toBe(200);
+  });
+});
@@ -0,0 +1,93 @@
+const User = require('../models/user');
+const memoryModel = require('./helpers/memoryModel');
+const mileage = require('../utils/mileage');
+
+describe('utils/mileage', () => {
+  test('puts dates in the UK tax year starting 6 April', () => {
+    expect(mileage.taxYearFor(new Date('2025-04-05T00:00:00Z'))).toBe('2024-25');
+    expect(mileage.taxYearFor(new Date('2025-04-05T23:59:59Z'))).toBe('2024-25');
+    expect(mileage.taxYearFor(new Date('2025-04-06T00:00:00Z'))).toBe('2025-26');
+    expect(mileage.taxYearFor('2026-01-31')).toBe('2025-26');
+    expect(mileage.taxYearFor('2099-12-31')).toBe('2099-00');
+  });
+
+  test('pays car miles at 45p up to 10,000 miles a tax year and 25p after', () => {
+    expect(mileage.calculate({ miles: 100, vehicle_type: 'car' }, 0)).toEqual({
+      breakdown: [{ miles: 100, rate: 0.45, amount: 45 }],
+      passenger_amount: 0,
+      amount: 45
+    });
+    expect(mileage.calculate({ miles: 200, vehicle_type: 'van', passengers: 2 }, 9900)).toEqual({
+      breakdown: [
+        { miles: 100, rate: 0.45, amount: 45 },
+        { miles: 100, rate: 0.25, amount: 25 }
+      ],
+      passenger_amount: 20,
+      amount: 90
+    });
+    expect(mileage.calculate({ miles: 50, vehicle_type: 'car' }, 12000).breakdown)
+      .toEqual([{ miles: 50, rate: 0.25, amount: 12.5 }]);
+  });
+
+  test('pays motorcycles and bicycles a flat rate with no passenger allowance', () => {
+    expect(mileage.calculate({ miles: 10, vehicle_type: 'motorcycle', passengers: 1 }, 20000).amount).toBe(2.4);
+    expect(mileage.calculate({ miles: 10, vehicle_type: 'bicycle' }).amount).toBe(2);
+    expect(() => mileage.calculate({ miles: 10, vehicle_type: 'horse' })).toThrow('Unknown vehicle type: horse');
+  });
+
+  describe('tax year totals', () => {
+    let user;
+
+    beforeEach(async () => {
+      memoryModel(User);
+      user = await User.create({
+        employee_id: 'HFA-W-1',
+        name: 'Driver',
+        email: 'driver@example.com',
+        password: 'Irrelevant-Passw0rd',
+        department: 'Operations'
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('starts a total for a new tax year and adds to it', async () => {
+      await mileage.recordMiles(user._id, '2025-26', 'car', 120);
+      await mileage.recordMiles(user._id, '2025-26', 'van', 30);
+      await mileage.recordMiles(user._id, '2025-26', 'bicycle', 5);
+      await mileage.recordMiles(user._id, '2026-27', 'car', 10);
+
+      expect(user.toObject().mileage_totals).toEqual([
+        { tax_year: '2025-26', car_van_miles: 150, other_miles: 5 },
+        { tax_year: '2026-27', car_van_miles: 10, other_miles: 0 }
+      ]);
+      expect(await mileage.milesClaimed(user._id, '2025-26')).toBe(150);
+      expect(await mileage.milesClaimed(user._id, '2024-25')).toBe(0);
+    });
+
+    test('counts concurrent journeys in one total when the tax year is new', async () => {
+      await Promise.all([
+        mileage.recordMiles(user._id, '2025-26', 'car', 100),
+        mileage.recordMiles(user._id, '2025-26', 'car', 40)
+      ]);
+
+      expect(user.toObject().mileage_totals).toEqual([
+        { tax_year: '2025-26', car_van_miles: 140, other_miles: 0 }
+      ]);
+    });
+
+    test('releases miles when a claim is rejected and takes them back when it is reopened', async () => {
+      await mileage.recordMiles(user._id, '2025-26', 'car', 100);
+      const claim = { user_id: user._id, status: 'rejected', mileage: { miles: 60, tax_year: '2025-26', vehicle_type: 'car' } };
+
+      await mileage.syncForStatusChange(claim, 'pending');
+      expect(await mileage.milesClaimed(user._id, '2025-26')).toBe(40);
+
+      claim.status = 'pending';
+      await mileage.syncForStatusChange(claim, 'rejected');
+      expect(await mileage.milesClaimed(user._id, '2025-26')).toBe(100);
+    });
+  });
+});
@@ -0,0 +1,33 @@
+const { parseReceiptText } = require('../utils/ocr');
+
+describe('parseReceiptText', () => {
+  test('reads total, VAT, date and merchant from receipt text', () => {
+    const text = [
+      'Hotel Metropole',
+      '12 King Street',
+      'Tel: 0113 496 0000',
+      'VAT Reg 123 4567 89',
+      'Date 14/03/2024',
+      'VAT 20% 8.00',
+      'TOTAL £48.00'
+    ].join('\n');
+
+    expect(parseReceiptText(text)).toEqual({
+      total: 48,
+      vat_amount: 8,
+      date: '2024-03-14',
+      merchant: 'Hotel Metropole'
+    });
+  });
+
+  test('keeps merchants whose name contains "tel"', () => {
+    expect(parseReceiptText('Telford Hotel\nTOTAL 12.50').merchant).toBe('Telford Hotel');
+    expect(parseReceiptText('Hotel Costel\nTOTAL 12.50').merchant).toBe('Hotel Costel');
+  });
+
+  test('skips telephone, receipt and numeric lines when picking the merchant', () => {
+    const text = 'RECEIPT\nTel 01234 567890\n42 High Street\nCorner Cafe\nTOTAL 3.20';
+
+    expect(parseReceiptText(text).merchant).toBe('Corner Cafe');
+  });
+});
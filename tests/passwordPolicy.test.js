@@ -0,0 +1,192 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const passwordPolicy = require('../utils/passwordPolicy');
+const User = require('../models/user');
+const Session = require('../models/session');
+const LoginThrottle = require('../models/loginThrottle');
+const SecuritySettings = require('../models/securitySettings');
+const AuditLog = require('../models/auditLog');
+const memoryModel = require('./helpers/memoryModel');
+const authRoutes = require('../routers/auth');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let users;
+let settings;
+
+const defaultPolicy = () => new SecuritySettings().password_policy;
+
+beforeEach(async () => {
+  settings = new SecuritySettings();
+  jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+  jest.spyOn(SecuritySettings, 'current').mockImplementation(async () => settings);
+  users = memoryModel(User);
+  memoryModel(LoginThrottle);
+  memoryModel(Session);
+
+  await User.create({
+    employee_id: 'HFA-W-2001',
+    name: 'Jane Doe',
+    email: 'jane.doe@example.com',
+    password: 'Temporary-Passw0rd',
+    department: 'Finance',
+    must_change_password: true
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('passwordPolicy.check', () => {
+  test('accepts a password meeting the default policy', async () => {
+    expect(await passwordPolicy.check('Correct-Horse-7', defaultPolicy())).toEqual([]);
+  });
+
+  test('lists every rule a password breaks', async () => {
+    expect(await passwordPolicy.check('short', defaultPolicy())).toEqual([
+      'Password must be at least 10 characters',
+      'Password must contain an uppercase letter',
+      'Password must contain a number'
+    ]);
+    expect(await passwordPolicy.check('Correct-Horse-Battery', { ...defaultPolicy(), require_symbol: true, require_number: false }))
+      .toEqual([]);
+    expect(await passwordPolicy.check('CorrectHorse7', { ...defaultPolicy(), require_symbol: true }))
+      .toEqual(['Password must contain a symbol']);
+  });
+
+  test('refuses common passwords, including with digits or symbols added', async () => {
+    expect(passwordPolicy.isCommon('password')).toBe(true);
+    expect(passwordPolicy.isCommon('Password123!')).toBe(true);
+    expect(passwordPolicy.isCommon('Correct-Horse-7')).toBe(false);
+    expect(await passwordPolicy.check('Password123!', defaultPolicy()))
+      .toEqual(['Password is too common; choose something harder to guess']);
+    expect(await passwordPolicy.check('Password123!', { ...defaultPolicy(), block_common: false })).toEqual([]);
+  });
+
+  test('generates temporary passwords that meet the default policy', async () => {
+    const password = passwordPolicy.generateTemporaryPassword();
+
+    expect(await passwordPolicy.check(password, { ...defaultPolicy(), require_symbol: true })).toEqual([]);
+    expect(passwordPolicy.generateTemporaryPassword()).not.toBe(password);
+  });
+});
+
+describe('password history', () => {
+  const changeTo = async (user, password) => {
+    user.password = password;
+    await user.save();
+  };
+
+  test('keeps the hash of each new password', async () => {
+    const user = users[0];
+    await changeTo(user, 'Second-Passw0rd');
+
+    expect(user.password_history).toHaveLength(2);
+    expect(user.password_history[0]).toBe(user.password);
+    expect(user.password_changed_at).toBeInstanceOf(Date);
+    expect(user.toJSON().password_history).toBeUndefined();
+  });
+
+  test('refuses the last history_count passwords only', async () => {
+    const user = users[0];
+    await changeTo(user, 'Second-Passw0rd');
+    await changeTo(user, 'Third-Passw0rd');
+    const policy = { ...defaultPolicy(), history_count: 2 };
+
+    expect(await passwordPolicy.check('Third-Passw0rd', policy, user))
+      .toEqual(['Password must not match any of your last 2 passwords']);
+    expect(await passwordPolicy.check('Second-Passw0rd', policy, user)).toHaveLength(1);
+    expect(await passwordPolicy.check('Temporary-Passw0rd', policy, user)).toEqual([]);
+    expect(await passwordPolicy.check('Temporary-Passw0rd', { ...policy, history_count: 3 }, user)).toHaveLength(1);
+    expect(await passwordPolicy.check('Temporary-Passw0rd', { ...policy, history_count: 0 }, user)).toEqual([]);
+  });
+
+  test('holds at most PASSWORD_HISTORY_LIMIT hashes', async () => {
+    const user = users[0];
+    user.password_history = Array.from({ length: User.PASSWORD_HISTORY_LIMIT }, (_, i) => `old-hash-${i}`);
+    await changeTo(user, 'Second-Passw0rd');
+
+    expect(user.password_history).toHaveLength(User.PASSWORD_HISTORY_LIMIT);
+    expect(user.password_history[0]).toBe(user.password);
+    expect(user.password_history).not.toContain(`old-hash-${User.PASSWORD_HISTORY_LIMIT - 1}`);
+  });
+});
+
+describe('passwordPolicy.isExpired', () => {
+  test('measures age from the last change, or account creation', () => {
+    const policy = { ...defaultPolicy(), expiry_days: 90 };
+
+    expect(passwordPolicy.isExpired({ password_changed_at: new Date(Date.now() - 91 * DAY) }, policy)).toBe(true);
+    expect(passwordPolicy.isExpired({ password_changed_at: new Date(Date.now() - 89 * DAY) }, policy)).toBe(false);
+    expect(passwordPolicy.isExpired({ created_at: new Date(Date.now() - 91 * DAY) }, policy)).toBe(true);
+    expect(passwordPolicy.isExpired({ password_changed_at: new Date(Date.now() - 365 * DAY) }, defaultPolicy())).toBe(false);
+  });
+});
+
+describe('required password change', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+
+  const login = async (password = 'Temporary-Passw0rd') => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'jane.doe@example.com', password });
+    expect(res.status).toBe(200);
+    return res.body.data;
+  };
+
+  const changePassword = (token, newPassword) => request(app)
+    .post('/api/auth/change-password')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ currentPassword: 'Temporary-Passw0rd', newPassword });
+
+  test('limits a temporary password to changing it', async () => {
+    const { token, password_change_required } = await login();
+    expect(password_change_required).toBe(true);
+
+    const sessions = await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${token}`);
+    expect(sessions.status).toBe(403);
+    expect(sessions.body.password_change_required).toBe(true);
+    expect((await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`)).status).toBe(200);
+  });
+
+  test('checks the new password against the policy and history', async () => {
+    const { token } = await login();
+
+    const weak = await changePassword(token, 'password1');
+    expect(weak.status).toBe(400);
+    expect(weak.body.message).toContain('Password must be at least 10 characters');
+
+    const reused = await changePassword(token, 'Temporary-Passw0rd');
+    expect(reused.status).toBe(400);
+    expect(reused.body.message).toBe('Password must not match any of your last 5 passwords');
+  });
+
+  test('lifts the restriction once the password is changed', async () => {
+    const { token } = await login();
+
+    const res = await changePassword(token, 'Correct-Horse-7');
+    expect(res.status).toBe(200);
+    expect(users[0].must_change_password).toBe(false);
+
+    const sessions = await request(app).get('/api/auth/sessions').set('Authorization', `Bearer ${res.body.data.token}`);
+    expect(sessions.status).toBe(200);
+  });
+
+  test('asks for a new password once the current one expires', async () => {
+    users[0].must_change_password = false;
+    users[0].password_changed_at = new Date(Date.now() - 40 * DAY);
+    settings.password_policy.expiry_days = 30;
+
+    expect((await login()).password_change_required).toBe(true);
+
+    settings.password_policy.expiry_days = 0;
+    expect((await login()).password_change_required).toBe(false);
+  });
+});
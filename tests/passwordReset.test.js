@@ -0,0 +1,180 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const mailer = require('../utils/mailer');
+const User = require('../models/user');
+const PasswordResetToken = require('../models/passwordResetToken');
+const Session = require('../models/session');
+const SecuritySettings = require('../models/securitySettings');
+const AuditLog = require('../models/auditLog');
+const memoryModel = require('./helpers/memoryModel');
+const authRoutes = require('../routers/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const GENERIC_RESPONSE = {
+  success: true,
+  message: 'If an account exists for that email, a password reset link has been sent'
+};
+
+let sent;
+let tokens;
+let user;
+
+// Plain token from the link in the most recent email
+const emailedToken = () => sent[sent.length - 1].text.match(/token=([0-9a-f]+)/)[1];
+
+const requestReset = (email = 'jane.doe@example.com') =>
+  request(app).post('/api/auth/forgot-password').send({ email });
+
+const resetPassword = (token, newPassword = 'Brand-new-Passw0rd') =>
+  request(app).post('/api/auth/reset-password').send({ token, newPassword });
+
+beforeEach(async () => {
+  sent = [];
+  jest.spyOn(mailer.transporter, 'sendMail').mockImplementation(async (message) => {
+    sent.push(message);
+    return { messageId: `test-${sent.length}` };
+  });
+  jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+  jest.spyOn(SecuritySettings, 'current').mockResolvedValue(new SecuritySettings());
+  jest.spyOn(Session, 'revokeAll').mockResolvedValue({ modifiedCount: 1 });
+
+  memoryModel(User);
+  tokens = memoryModel(PasswordResetToken);
+
+  user = await User.create({
+    employee_id: 'HFA-W-2001',
+    name: 'Jane Doe',
+    email: 'jane.doe@example.com',
+    password: 'Original-Passw0rd',
+    department: 'Finance',
+    failed_login_attempts: 4,
+    locked_until: new Date(Date.now() + 60 * 1000)
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/auth/forgot-password', () => {
+  test('emails a reset link and stores only the token hash', async () => {
+    const res = await requestReset('Jane.Doe@example.com');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(GENERIC_RESPONSE);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe('jane.doe@example.com');
+
+    const token = emailedToken();
+    expect(tokens).toHaveLength(1);
+    expect(tokens[0].token_hash).toBe(PasswordResetToken.hashToken(token));
+    expect(tokens[0].token_hash).not.toBe(token);
+  });
+
+  test('escapes the account name in the HTML email', async () => {
+    user.name = '<img src=x onerror=alert(1)>';
+    await user.save();
+
+    await requestReset();
+
+    expect(sent[0].html).toContain('Hi &lt;img src=x onerror=alert(1)&gt;,');
+    expect(sent[0].html).not.toContain('<img');
+  });
+
+  test('answers without waiting for the mail server, logging failures', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    mailer.transporter.sendMail.mockRejectedValue(new Error('SMTP unavailable'));
+
+    const res = await requestReset();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(GENERIC_RESPONSE);
+    expect(error).toHaveBeenCalledWith('Password reset email error:', expect.any(Error));
+  });
+
+  test('gives the same answer for unknown accounts without sending mail', async () => {
+    const res = await requestReset('nobody@example.com');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(GENERIC_RESPONSE);
+    expect(sent).toHaveLength(0);
+  });
+
+  test('gives the same answer once the hourly limit is reached, without sending mail', async () => {
+    for (let i = 0; i < 3; i++) {
+      await requestReset();
+    }
+    const res = await requestReset();
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(GENERIC_RESPONSE);
+    expect(sent).toHaveLength(3);
+  });
+});
+
+describe('POST /api/auth/reset-password', () => {
+  test('sets the new password, spends outstanding tokens and signs out sessions', async () => {
+    await requestReset();
+    await requestReset();
+    const res = await resetPassword(emailedToken());
+
+    expect(res.status).toBe(200);
+    expect(await user.comparePassword('Brand-new-Passw0rd')).toBe(true);
+    expect(user.failed_login_attempts).toBe(0);
+    expect(user.locked_until).toBeUndefined();
+    expect(tokens.every(token => token.used_at)).toBe(true);
+    expect(Session.revokeAll).toHaveBeenCalledWith(user._id, 'password_reset');
+  });
+
+  test('accepts a link only once', async () => {
+    await requestReset();
+    const token = emailedToken();
+
+    expect((await resetPassword(token)).status).toBe(200);
+    const again = await resetPassword(token, 'Another-Passw0rd');
+
+    expect(again.status).toBe(400);
+    expect(await user.comparePassword('Brand-new-Passw0rd')).toBe(true);
+  });
+
+  test('lets only one of two simultaneous requests use a link', async () => {
+    await requestReset();
+    const token = emailedToken();
+
+    const results = await Promise.all([
+      resetPassword(token, 'First-Passw0rd-here'),
+      resetPassword(token, 'Second-Passw0rd-here')
+    ]);
+
+    expect(results.map(res => res.status).sort()).toEqual([200, 400]);
+  });
+
+  test('refuses expired links', async () => {
+    await requestReset();
+    tokens[0].expires_at = new Date(Date.now() - 1000);
+
+    const res = await resetPassword(emailedToken());
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Reset link is invalid or has expired');
+  });
+
+  test('keeps the link usable when the new password breaks the policy', async () => {
+    await requestReset();
+    const token = emailedToken();
+
+    const weak = await resetPassword(token, 'short');
+    expect(weak.status).toBe(400);
+    expect(tokens[0].used_at).toBeUndefined();
+
+    expect((await resetPassword(token)).status).toBe(200);
+  });
+});
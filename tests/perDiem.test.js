@@ -0,0 +1,198 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.STORAGE_DRIVER = 'local';
+
+const PerDiemRule = require('../models/perDiemRule');
+const Claim = require('../models/claim');
+const ClaimCategory = require('../models/claimCategory');
+const Supplier = require('../models/supplier');
+const Budget = require('../models/budget');
+const User = require('../models/user');
+const Session = require('../models/session');
+const ExpensePolicy = require('../models/expensePolicy');
+const ApprovalChain = require('../models/approvalChain');
+const AccountingPeriod = require('../models/accountingPeriod');
+const AuditLog = require('../models/auditLog');
+const memoryModel = require('./helpers/memoryModel');
+const signIn = require('./helpers/signIn');
+const perDiem = require('../utils/perDiem');
+const claimRoutes = require('../routers/claims');
+
+const app = express();
+app.use(express.json());
+app.use('/api/claims', claimRoutes);
+
+let claims;
+let worker;
+
+const rule = (fields) => new PerDiemRule({ name: 'London day rate', location_band: 'london', daily_cap: 50, ...fields });
+
+beforeEach(async () => {
+  jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+  memoryModel(User);
+  memoryModel(Session);
+  memoryModel(ClaimCategory);
+  memoryModel(Supplier);
+  memoryModel(Budget);
+  memoryModel(ExpensePolicy);
+  memoryModel(ApprovalChain);
+  memoryModel(AccountingPeriod);
+  memoryModel(PerDiemRule);
+  claims = memoryModel(Claim);
+
+  worker = await User.create({
+    employee_id: 'HFA-W-1', name: 'Worker', email: 'worker@example.com',
+    password: 'Irrelevant-Passw0rd', role: 'worker', department: 'Operations'
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('perDiem.tripDays', () => {
+  test('counts every started 24 hours, and at least one day', () => {
+    expect(perDiem.tripDays(0.5)).toBe(1);
+    expect(perDiem.tripDays(24)).toBe(1);
+    expect(perDiem.tripDays(25)).toBe(2);
+    expect(perDiem.tripDays(72)).toBe(3);
+  });
+});
+
+describe('perDiem.evaluate', () => {
+  test('allows a claim within the daily cap', () => {
+    expect(perDiem.evaluate(rule(), { trip_hours: 8 }, 42.5)).toMatchObject({
+      days: 1,
+      total_cap: 50,
+      claimed: 42.5,
+      allowed: 42.5,
+      excess: 0,
+      action: 'none'
+    });
+  });
+
+  test('holds the total to the daily cap for each day of the trip', () => {
+    expect(perDiem.evaluate(rule(), { trip_hours: 30 }, 130)).toMatchObject({
+      rule_name: 'London day rate',
+      days: 2,
+      total_cap: 100,
+      allowed: 100,
+      excess: 30,
+      action: 'cap'
+    });
+  });
+
+  test('holds each meal to its own cap', () => {
+    const result = perDiem.evaluate(
+      rule({ daily_cap: 60, meal_caps: { breakfast: 10, dinner: 30 } }),
+      { trip_hours: 10, meals: { breakfast: 14, lunch: 12.5, dinner: 25 } },
+      51.5
+    );
+
+    expect(result.breakdown).toEqual([
+      { meal: 'breakfast', claimed: 14, cap: 10, allowed: 10 },
+      { meal: 'lunch', claimed: 12.5, cap: null, allowed: 12.5 },
+      { meal: 'dinner', claimed: 25, cap: 30, allowed: 25 }
+    ]);
+    expect(result).toMatchObject({ allowed: 47.5, excess: 4, action: 'cap' });
+  });
+
+  test('keeps the amount and flags the excess under a "flag" rule', () => {
+    expect(perDiem.evaluate(rule({ action: 'flag' }), { trip_hours: 8 }, 65)).toMatchObject({
+      allowed: 50,
+      excess: 15,
+      action: 'flag'
+    });
+  });
+});
+
+describe('PerDiemRule.resolveFor', () => {
+  beforeEach(async () => {
+    await PerDiemRule.create({ name: 'London day rate', location_band: 'london', daily_cap: 30 });
+    await PerDiemRule.create({ name: 'London overnight', location_band: 'london', min_trip_hours: 10, daily_cap: 80 });
+    await PerDiemRule.create({ name: 'London old rate', location_band: 'london', min_trip_hours: 5, daily_cap: 20, active: false });
+    await PerDiemRule.create({ name: 'UK day rate', location_band: 'uk', min_trip_hours: 5, daily_cap: 25 });
+  });
+
+  test('picks the active rule with the longest threshold the trip meets', async () => {
+    expect((await PerDiemRule.resolveFor('London', 12)).name).toBe('London overnight');
+    expect((await PerDiemRule.resolveFor('london', 6)).name).toBe('London day rate');
+  });
+
+  test('finds nothing for trips too short or bands without rules', async () => {
+    expect(await PerDiemRule.resolveFor('uk', 4)).toBeNull();
+    expect(await PerDiemRule.resolveFor('overseas', 12)).toBeNull();
+  });
+});
+
+describe('POST /api/claims for subsistence', () => {
+  const submit = async (fields) => request(app)
+    .post('/api/claims')
+    .set('Authorization', await signIn(worker))
+    .send({
+      claim_id: 'HFA-C-6001', claimant_name: 'Worker', date: '2026-03-07', category: 'Subsistence', currency: 'GBP',
+      company_name: 'Pret', contact_person: 'Till', contact_email: 'till@pret.example', ...fields
+    });
+
+  beforeEach(async () => {
+    await ClaimCategory.create({ name: 'Subsistence', nominal_code: '7403', calculation: 'per_diem' });
+  });
+
+  test('caps the amount and VAT to the allowance', async () => {
+    await PerDiemRule.create({ name: 'London day rate', location_band: 'london', daily_cap: 50 });
+
+    const res = await submit({ amount: 80, vat_amount: 16, subsistence: { location_band: 'London', trip_hours: 9 } });
+
+    expect(res.status).toBe(201);
+    expect(res.body.message).toContain('Amount capped to 50 by London day rate');
+    expect(claims[0]).toMatchObject({ amount: 50, vat_amount: 10, base_amount: 50 });
+    expect(claims[0].per_diem).toMatchObject({
+      location_band: 'london',
+      action: 'cap',
+      claimed: 80,
+      allowed: 50,
+      excess: 30,
+      original_amount: 80
+    });
+  });
+
+  test('keeps the amount and flags the excess under a "flag" rule', async () => {
+    await PerDiemRule.create({ name: 'London day rate', location_band: 'london', daily_cap: 50, action: 'flag' });
+
+    const res = await submit({ amount: 80, subsistence: { location_band: 'london', trip_hours: 9 } });
+
+    expect(res.status).toBe(201);
+    expect(res.body.message).toContain('30 above London day rate flagged for approval');
+    expect(claims[0].amount).toBe(80);
+    expect(claims[0].per_diem).toMatchObject({ action: 'flag', excess: 30 });
+  });
+
+  test('applies meal caps to the meals recorded', async () => {
+    await PerDiemRule.create({ name: 'London day rate', location_band: 'london', daily_cap: 100, meal_caps: { breakfast: 10 } });
+
+    const res = await submit({ amount: 35, subsistence: { location_band: 'london', trip_hours: 9, meals: { breakfast: 15, lunch: 20 } } });
+
+    expect(res.status).toBe(201);
+    expect(claims[0].amount).toBe(30);
+    expect(claims[0].per_diem.meals.toObject()).toEqual({ breakfast: 15, lunch: 20 });
+    expect(claims[0].per_diem.breakdown.map(line => line.allowed)).toEqual([10, 20]);
+  });
+
+  test('records trips no rule covers without changing the amount', async () => {
+    const res = await submit({ amount: 80, subsistence: { location_band: 'overseas', trip_hours: 9 } });
+
+    expect(res.status).toBe(201);
+    expect(claims[0].amount).toBe(80);
+    expect(claims[0].per_diem).toMatchObject({ action: 'no_rule', location_band: 'overseas', allowed: 80, excess: 0 });
+  });
+
+  test('requires the location band and trip length', async () => {
+    const res = await submit({ amount: 80 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Location band and trip length are required for subsistence claims');
+    expect(claims).toHaveLength(0);
+  });
+});
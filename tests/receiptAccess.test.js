@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claims-receipt-access-'));
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = storageDir;
+process.env.STORAGE_SIGNING_SECRET = 'test-signing-secret';
+
+const Claim = require('../models/claim');
+const User = require('../models/user');
+const Session = require('../models/session');
+const AuditLog = require('../models/auditLog');
+const memoryModel = require('./helpers/memoryModel');
+const signIn = require('./helpers/signIn');
+const claimRoutes = require('../routers/claims');
+
+const app = express();
+app.use(express.json());
+app.use('/api/claims', claimRoutes);
+
+let claim;
+
+const createUser = (fields) => User.create({
+  password: 'Irrelevant-Passw0rd',
+  ...fields
+});
+
+beforeEach(async () => {
+  jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+  memoryModel(User);
+  memoryModel(Session);
+  memoryModel(Claim);
+
+  const claimant = await createUser({ employee_id: 'HFA-W-1', name: 'Claimant', email: 'claimant@example.com', department: 'Operations' });
+  claim = await Claim.create({
+    claim_id: 'RCPT-1',
+    user_id: claimant._id,
+    claimant_name: claimant.name,
+    employee_id: claimant.employee_id,
+    department: 'Operations',
+    date: new Date('2026-03-01'),
+    claim_type: 'Meeting',
+    amount: 42,
+    status: 'pending',
+    receipt_filename: `${claimant._id}/receipt.jpg`,
+    // Line manager step, limited to the claimant's department
+    awaiting_roles: ['manager'],
+    awaiting_department: 'Operations'
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+describe('GET /api/claims/:id/receipt', () => {
+  const getReceipt = async (user) => request(app)
+    .get(`/api/claims/${claim._id}/receipt`)
+    .set('Authorization', await signIn(user));
+
+  test('signs a link for an approver on the current step from the same department', async () => {
+    const manager = await createUser({ employee_id: 'HFA-M-1', name: 'Ops Manager', email: 'ops@example.com', role: 'manager', department: 'Operations' });
+
+    const res = await getReceipt(manager);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.url).toContain(encodeURIComponent(claim.receipt_filename));
+  });
+
+  test('refuses an approver with the right role from another department', async () => {
+    const manager = await createUser({ employee_id: 'HFA-M-2', name: 'IT Manager', email: 'it@example.com', role: 'manager', department: 'IT' });
+
+    const res = await getReceipt(manager);
+
+    expect(res.status).toBe(403);
+  });
+
+  test('refuses users with no role on the current step', async () => {
+    const worker = await createUser({ employee_id: 'HFA-W-2', name: 'Colleague', email: 'colleague@example.com', department: 'Operations' });
+
+    expect((await getReceipt(worker)).status).toBe(403);
+  });
+});
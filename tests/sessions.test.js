@@ -0,0 +1,110 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const User = require('../models/user');
+const Session = require('../models/session');
+const LoginThrottle = require('../models/loginThrottle');
+const SecuritySettings = require('../models/securitySettings');
+const AuditLog = require('../models/auditLog');
+const memoryModel = require('./helpers/memoryModel');
+const authRoutes = require('../routers/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+let sessions;
+
+const login = async () => {
+  const res = await request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0')
+    .send({ username: 'jane.doe@example.com', password: 'Original-Passw0rd' });
+  expect(res.status).toBe(200);
+  return res.body.data;
+};
+
+const refresh = (refreshToken) => request(app)
+  .post('/api/auth/refresh')
+  .send({ refresh_token: refreshToken });
+
+beforeEach(async () => {
+  jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+  jest.spyOn(SecuritySettings, 'current').mockResolvedValue(new SecuritySettings());
+
+  memoryModel(User);
+  memoryModel(LoginThrottle);
+  sessions = memoryModel(Session);
+
+  await User.create({
+    employee_id: 'HFA-W-2001',
+    name: 'Jane Doe',
+    email: 'jane.doe@example.com',
+    password: 'Original-Passw0rd',
+    department: 'Finance'
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/auth/refresh', () => {
+  test('rotates the refresh token, keeping only its hash', async () => {
+    const { refresh_token } = await login();
+
+    const res = await refresh(refresh_token);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toEqual(expect.any(String));
+    expect(res.body.data.refresh_token).not.toBe(refresh_token);
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0].refresh_token_hash).toBe(Session.hashToken(res.body.data.refresh_token));
+  });
+
+  test('revokes the session when a rotated refresh token is replayed', async () => {
+    const { refresh_token } = await login();
+    const rotated = await refresh(refresh_token);
+
+    const replay = await refresh(refresh_token);
+
+    expect(replay.status).toBe(401);
+    expect(replay.body.message).toBe('Refresh token has already been used. Please log in again.');
+    expect(sessions[0].revoked_reason).toBe('token_reuse');
+    expect((await refresh(rotated.body.data.refresh_token)).status).toBe(401);
+  });
+
+  test('gives a new token to only one of two simultaneous refreshes', async () => {
+    const { refresh_token } = await login();
+    // Hold each request after it reads the session, so both have read it
+    // before either rotates the token
+    const findSession = Session.findById.getMockImplementation();
+    Session.findById.mockImplementation(async (id) => {
+      const session = await findSession(id);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      return session;
+    });
+
+    const results = await Promise.all([refresh(refresh_token), refresh(refresh_token)]);
+
+    expect(results.map(res => res.status).sort()).toEqual([200, 401]);
+    expect(sessions[0].revoked_reason).toBe('token_reuse');
+  });
+
+  test('refuses refresh tokens of a logged-out session', async () => {
+    const { token, refresh_token } = await login();
+
+    const logout = await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${token}`);
+    expect(logout.status).toBe(200);
+
+    const res = await refresh(refresh_token);
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Invalid refresh token');
+    expect(sessions[0].revoked_reason).toBe('logout');
+  });
+});
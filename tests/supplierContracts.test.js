@@ -0,0 +1,212 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-access-secret';
+
+const SupplierContract = require('../models/supplierContract');
+const Supplier = require('../models/supplier');
+const Claim = require('../models/claim');
+const User = require('../models/user');
+const Session = require('../models/session');
+const AuditLog = require('../models/auditLog');
+const memoryModel = require('./helpers/memoryModel');
+const signIn = require('./helpers/signIn');
+const contractRoutes = require('../routers/contracts');
+const reportRoutes = require('../routers/reports');
+
+const app = express();
+app.use(express.json());
+app.use('/api/contracts', contractRoutes);
+app.use('/api/reports', reportRoutes);
+
+let contracts;
+let accountant;
+let admin;
+let worker;
+let claimCount;
+
+const createUser = (fields) => User.create({
+  password: 'Irrelevant-Passw0rd',
+  ...fields
+});
+
+const createClaim = (fields) => Claim.create({
+  claim_id: `SPD-${++claimCount}`,
+  user_id: worker._id,
+  claimant_name: 'Worker',
+  employee_id: 'HFA-W-1',
+  department: 'Operations',
+  claim_type: 'IT',
+  category: 'IT',
+  company_name: 'Acme Ltd',
+  status: 'approved',
+  ...fields
+});
+
+beforeEach(async () => {
+  jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+  memoryModel(User);
+  memoryModel(Session);
+  memoryModel(Supplier);
+  memoryModel(Claim);
+  contracts = memoryModel(SupplierContract);
+  claimCount = 0;
+
+  accountant = await createUser({ employee_id: 'HFA-A-1', name: 'Accountant', email: 'accounts@example.com', role: 'accountant', department: 'Finance' });
+  admin = await createUser({ employee_id: 'HFA-AD-1', name: 'Admin', email: 'admin@example.com', role: 'admin', department: 'Finance' });
+  worker = await createUser({ employee_id: 'HFA-W-1', name: 'Worker', email: 'worker@example.com', role: 'worker', department: 'Operations' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('/api/contracts', () => {
+  const create = async (fields, user = accountant) => request(app)
+    .post('/api/contracts')
+    .set('Authorization', await signIn(user))
+    .send({ frequency: 'monthly', expected_amount: 100, start_date: '2026-01-01', ...fields });
+
+  test('creates a contract under the name of the matching supplier record', async () => {
+    const supplier = await Supplier.create({ name: 'Acme Ltd' });
+
+    const res = await create({ supplier_name: 'ACME Limited', category: 'IT', tolerance_percent: 10 });
+    expect(res.status).toBe(201);
+    expect(contracts).toHaveLength(1);
+    expect(contracts[0]).toMatchObject({
+      supplier_name: 'Acme Ltd',
+      normalized_name: 'acme',
+      frequency: 'monthly',
+      expected_amount: 100,
+      tolerance_percent: 10,
+      active: true
+    });
+    expect(contracts[0].supplier.equals(supplier._id)).toBe(true);
+    expect(contracts[0].created_by.equals(accountant._id)).toBe(true);
+  });
+
+  test('keeps the given name when no supplier record matches', async () => {
+    const res = await create({ supplier_name: 'Widgets plc' });
+    expect(res.status).toBe(201);
+    expect(contracts[0].supplier).toBeUndefined();
+    expect(contracts[0]).toMatchObject({ supplier_name: 'Widgets plc', normalized_name: 'widgets' });
+  });
+
+  test('validates the frequency, amount and supplier', async () => {
+    const invalid = await create({ supplier_name: 'Acme Ltd', frequency: 'weekly', expected_amount: -5 });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors.map(error => error.msg)).toEqual(expect.arrayContaining([
+      'Frequency must be monthly or yearly',
+      'Expected amount must be a positive number'
+    ]));
+
+    const nameless = await create({});
+    expect(nameless.status).toBe(400);
+    expect(nameless.body.errors.map(error => error.msg)).toContain('Supplier name is required');
+
+    const unknown = await create({ supplier: '64b7f0c2a1b2c3d4e5f60718' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.message).toBe('Supplier not found');
+    expect(contracts).toHaveLength(0);
+  });
+
+  test('is limited to finance roles', async () => {
+    const res = await create({ supplier_name: 'Acme Ltd' }, worker);
+    expect(res.status).toBe(403);
+
+    const list = await request(app).get('/api/contracts').set('Authorization', await signIn(worker));
+    expect(list.status).toBe(403);
+    expect(contracts).toHaveLength(0);
+  });
+
+  test('lists, updates and deletes contracts', async () => {
+    await create({ supplier_name: 'Acme Ltd' });
+    await create({ supplier_name: 'Widgets plc', active: false });
+    const id = contracts[0]._id;
+
+    const active = await request(app).get('/api/contracts?active=true').set('Authorization', await signIn(accountant));
+    expect(active.status).toBe(200);
+    expect(active.body.data.map(contract => contract.supplier_name)).toEqual(['Acme Ltd']);
+
+    const updated = await request(app)
+      .put(`/api/contracts/${id}`)
+      .set('Authorization', await signIn(accountant))
+      .send({ supplier_name: 'Acme Ltd', frequency: 'yearly', expected_amount: 1200, start_date: '2026-01-01' });
+    expect(updated.status).toBe(200);
+    expect(contracts[0]).toMatchObject({ frequency: 'yearly', expected_amount: 1200 });
+
+    const notAdmin = await request(app).delete(`/api/contracts/${id}`).set('Authorization', await signIn(accountant));
+    expect(notAdmin.status).toBe(403);
+
+    const deleted = await request(app).delete(`/api/contracts/${id}`).set('Authorization', await signIn(admin));
+    expect(deleted.status).toBe(200);
+    expect(contracts.map(contract => contract.supplier_name)).toEqual(['Widgets plc']);
+
+    const missing = await request(app).delete(`/api/contracts/${id}`).set('Authorization', await signIn(admin));
+    expect(missing.status).toBe(404);
+  });
+});
+
+describe('GET /api/reports/supplier-spend', () => {
+  const spend = async (query) => request(app)
+    .get(`/api/reports/supplier-spend?${query}`)
+    .set('Authorization', await signIn(accountant));
+
+  beforeEach(async () => {
+    await SupplierContract.create({
+      supplier_name: 'Acme Ltd',
+      category: 'IT',
+      frequency: 'monthly',
+      expected_amount: 100,
+      tolerance_percent: 10,
+      start_date: new Date('2026-01-01')
+    });
+  });
+
+  test('flags missed, duplicate and over-budget monthly payments', async () => {
+    await createClaim({ date: new Date('2026-01-15'), amount: 105 });
+    await createClaim({ date: new Date('2026-02-03'), amount: 60, company_name: 'ACME Limited' });
+    await createClaim({ date: new Date('2026-02-20'), amount: 60 });
+    // Other categories and rejected claims are not contract payments
+    await createClaim({ date: new Date('2026-03-10'), amount: 40, category: 'Stationery', claim_type: 'Stationery' });
+    await createClaim({ date: new Date('2026-03-12'), amount: 100, status: 'rejected' });
+
+    const res = await spend('startDate=2026-01-01&endDate=2026-03-31');
+    expect(res.status).toBe(200);
+
+    const [result] = res.body.data.contracts;
+    expect(result.periods.map(period => [period.period, period.actual, period.flags])).toEqual([
+      ['2026-01', 105, []],
+      ['2026-02', 120, ['duplicate', 'over_budget']],
+      ['2026-03', 0, ['missed']]
+    ]);
+    expect(result).toMatchObject({ expected_total: 300, actual_total: 225, variance: -75 });
+    expect(result.flagged.map(period => period.period)).toEqual(['2026-02', '2026-03']);
+    expect(res.body.data.flagCounts).toEqual({ missed: 1, duplicate: 1, over_budget: 1 });
+
+    // Spend by supplier groups the spellings of the name together
+    expect(res.body.data.suppliers).toEqual([
+      expect.objectContaining({ count: 4, amount: 265 })
+    ]);
+  });
+
+  test('reports spend in the base currency', async () => {
+    await createClaim({ date: new Date('2026-01-15'), amount: 100, currency: 'EUR', exchange_rate: 0.85 });
+
+    const res = await spend('startDate=2026-01-01&endDate=2026-01-31');
+    expect(res.body.data.contracts[0].periods[0]).toMatchObject({ actual: 85, variance: -15, flags: [] });
+  });
+
+  test('leaves out contracts that have ended before the window', async () => {
+    contracts[0].set({ end_date: new Date('2025-12-31') });
+
+    const res = await spend('startDate=2026-01-01&endDate=2026-03-31');
+    expect(res.body.data.contracts).toEqual([]);
+  });
+
+  test('rejects an inverted date range', async () => {
+    const res = await spend('startDate=2026-03-31&endDate=2026-01-01');
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid date range');
+  });
+});
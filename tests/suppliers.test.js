@@ -0,0 +1,171 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.STORAGE_DRIVER = 'local';
+
+const Supplier = require('../models/supplier');
+const Claim = require('../models/claim');
+const ClaimCategory = require('../models/claimCategory');
+const User = require('../models/user');
+const Session = require('../models/session');
+const Budget = require('../models/budget');
+const ExpensePolicy = require('../models/expensePolicy');
+const ApprovalChain = require('../models/approvalChain');
+const AccountingPeriod = require('../models/accountingPeriod');
+const AuditLog = require('../models/auditLog');
+const memoryModel = require('./helpers/memoryModel');
+const signIn = require('./helpers/signIn');
+const supplierRoutes = require('../routers/suppliers');
+const claimRoutes = require('../routers/claims');
+
+const app = express();
+app.use(express.json());
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/claims', claimRoutes);
+
+let suppliers;
+let claims;
+let accountant;
+let worker;
+
+const createUser = (fields) => User.create({
+  password: 'Irrelevant-Passw0rd',
+  ...fields
+});
+
+beforeEach(async () => {
+  jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+  memoryModel(User);
+  memoryModel(Session);
+  memoryModel(ClaimCategory);
+  memoryModel(Budget);
+  memoryModel(ExpensePolicy);
+  memoryModel(ApprovalChain);
+  memoryModel(AccountingPeriod);
+  suppliers = memoryModel(Supplier);
+  claims = memoryModel(Claim);
+
+  accountant = await createUser({ employee_id: 'HFA-A-1', name: 'Accountant', email: 'accounts@example.com', role: 'accountant', department: 'Finance' });
+  worker = await createUser({ employee_id: 'HFA-W-1', name: 'Worker', email: 'worker@example.com', role: 'worker', department: 'Operations' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('Supplier.normalizeName', () => {
+  test('treats spellings of the same company as one name', () => {
+    expect(Supplier.normalizeName('ACME Ltd.')).toBe('acme');
+    expect(Supplier.normalizeName('Acme Limited')).toBe('acme');
+    expect(Supplier.normalizeName('  acme  UK ')).toBe('acme');
+    expect(Supplier.normalizeName('Smith & Sons plc')).toBe('smith and sons');
+  });
+});
+
+describe('/api/suppliers', () => {
+  const create = async (fields) => request(app)
+    .post('/api/suppliers')
+    .set('Authorization', await signIn(accountant))
+    .send(fields);
+
+  test('creates a supplier and refuses another spelling of the same name', async () => {
+    const res = await create({ name: 'Acme Ltd.', vat_number: 'GB123456789', bank_details: { sort_code: '12-34-56', account_number: '12345678' } });
+    expect(res.status).toBe(201);
+    expect(suppliers[0]).toMatchObject({ normalized_name: 'acme', status: 'pending', vat_number: 'GB123456789' });
+
+    const again = await create({ name: 'ACME Limited' });
+    expect(again.status).toBe(400);
+    expect(again.body.message).toBe('Supplier already exists as Acme Ltd.');
+    expect(suppliers).toHaveLength(1);
+  });
+
+  test('checks VAT numbers and bank details', async () => {
+    const res = await create({ name: 'Acme', vat_number: 'GB12345', bank_details: { sort_code: '1234', account_number: '123' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.msg)).toEqual([
+      'Invalid UK VAT number',
+      'Sort code must be 6 digits',
+      'Account number must be 8 digits'
+    ]);
+  });
+
+  test('searches by any spelling and shows bank details to finance only', async () => {
+    await Supplier.create({ name: 'Acme Ltd', bank_details: { account_number: '12345678' } });
+    await Supplier.create({ name: 'Globex' });
+
+    const mine = await request(app).get('/api/suppliers?q=ACME%20Limited').set('Authorization', await signIn(worker));
+    expect(mine.body.data.map(supplier => supplier.name)).toEqual(['Acme Ltd']);
+    expect(mine.body.data[0].bank_details).toBeUndefined();
+
+    const finance = await request(app).get('/api/suppliers?q=acme').set('Authorization', await signIn(accountant));
+    expect(finance.body.data[0].bank_details.account_number).toBe('12345678');
+  });
+
+  test('refuses to delete a supplier with claims against it', async () => {
+    const admin = await createUser({ employee_id: 'HFA-A-2', name: 'Admin', email: 'admin@example.com', role: 'admin', department: 'Finance' });
+    const supplier = await Supplier.create({ name: 'Acme' });
+    await Claim.create({
+      claim_id: 'SUP-1', user_id: worker._id, claimant_name: worker.name, employee_id: worker.employee_id,
+      date: new Date('2026-03-02'), claim_type: 'Meeting', amount: 10, supplier: supplier._id
+    });
+
+    const res = await request(app).delete(`/api/suppliers/${supplier._id}`).set('Authorization', await signIn(admin));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Supplier has 1 claims. Block it instead of deleting.');
+    expect(suppliers).toHaveLength(1);
+  });
+});
+
+describe('claims against suppliers', () => {
+  const submit = async (fields) => request(app)
+    .post('/api/claims')
+    .set('Authorization', await signIn(worker))
+    .send({ claim_id: 'HFA-C-3001', claimant_name: 'Worker', date: '2026-03-02', currency: 'GBP', amount: 120, ...fields });
+
+  beforeEach(async () => {
+    await ClaimCategory.create({ name: 'Meeting', nominal_code: '7402' });
+    await ClaimCategory.create({ name: 'Approved Supplier IT (Monthly)', nominal_code: '7600', requires_approved_supplier: true });
+  });
+
+  test('takes company details from the supplier record', async () => {
+    const supplier = await Supplier.create({ name: 'Acme Ltd', status: 'approved', contact_person: 'Ann', contact_email: 'ann@acme.example' });
+
+    const res = await submit({ category: 'Meeting', supplier: supplier._id.toString() });
+
+    expect(res.status).toBe(201);
+    expect(claims[0]).toMatchObject({ company_name: 'Acme Ltd', contact_person: 'Ann', contact_email: 'ann@acme.example' });
+    expect(String(claims[0].supplier)).toBe(String(supplier._id));
+  });
+
+  test('links a typed company name to the matching supplier', async () => {
+    const supplier = await Supplier.create({ name: 'Acme Ltd' });
+
+    const res = await submit({ category: 'Meeting', company_name: 'ACME Limited', contact_person: 'Ann', contact_email: 'ann@acme.example' });
+
+    expect(res.status).toBe(201);
+    expect(String(claims[0].supplier)).toBe(String(supplier._id));
+    expect(claims[0].company_name).toBe('Acme Ltd');
+  });
+
+  test('refuses claims against blocked suppliers', async () => {
+    const supplier = await Supplier.create({ name: 'Acme Ltd', status: 'blocked' });
+
+    const res = await submit({ category: 'Meeting', supplier: supplier._id.toString() });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Supplier Acme Ltd is blocked');
+    expect(claims).toHaveLength(0);
+  });
+
+  test('requires an approved supplier where the category says so', async () => {
+    const supplier = await Supplier.create({ name: 'Acme Ltd' });
+
+    const res = await submit({ category: 'Approved Supplier IT (Monthly)', supplier: supplier._id.toString() });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Approved Supplier IT (Monthly) claims must be made against an approved supplier');
+  });
+});
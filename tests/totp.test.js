@@ -0,0 +1,286 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+process.env.TOTP_ENCRYPTION_KEY = 'test-totp-key';
+
+const totp = require('../utils/totp');
+const User = require('../models/user');
+const Session = require('../models/session');
+const LoginThrottle = require('../models/loginThrottle');
+const SecuritySettings = require('../models/securitySettings');
+const AuditLog = require('../models/auditLog');
+const memoryModel = require('./helpers/memoryModel');
+const signIn = require('./helpers/signIn');
+const authRoutes = require('../routers/auth');
+
+// Secret of the RFC 6238 SHA-1 test vectors ("12345678901234567890")
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('utils/totp', () => {
+  test('matches the RFC 6238 test vectors', () => {
+    expect(totp.generate(RFC_SECRET, 59 * 1000)).toBe('287082');
+    expect(totp.generate(RFC_SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(totp.generate(RFC_SECRET, 1111111111 * 1000)).toBe('050471');
+    expect(totp.generate(RFC_SECRET, 1234567890 * 1000)).toBe('005924');
+  });
+
+  test('round-trips base32 secrets', () => {
+    const secret = totp.generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(totp.base32Encode(totp.base32Decode(secret))).toBe(secret);
+    expect(() => totp.base32Decode('not base32!')).toThrow('Invalid base32 secret');
+  });
+
+  test('accepts codes one step either side of now and returns their step', () => {
+    const time = 1111111109 * 1000;
+    const step = Math.floor(1111111109 / totp.STEP_SECONDS);
+
+    expect(totp.verify(RFC_SECRET, '081804', { time })).toBe(step);
+    expect(totp.verify(RFC_SECRET, '081804', { time: time + 30 * 1000 })).toBe(step);
+    expect(totp.verify(RFC_SECRET, '081804', { time: time + 60 * 1000 })).toBeNull();
+    expect(totp.verify(RFC_SECRET, '081 804', { time })).toBe(step);
+  });
+
+  test('refuses codes at or before the last step used', () => {
+    const time = 1111111109 * 1000;
+    const step = totp.verify(RFC_SECRET, '081804', { time });
+
+    expect(totp.verify(RFC_SECRET, '081804', { time, afterStep: step })).toBeNull();
+    expect(totp.verify(RFC_SECRET, '081804', { time, afterStep: step - 1 })).toBe(step);
+  });
+
+  test('refuses malformed codes', () => {
+    expect(totp.verify(RFC_SECRET, '')).toBeNull();
+    expect(totp.verify(RFC_SECRET, '12345')).toBeNull();
+    expect(totp.verify(RFC_SECRET, '12345a')).toBeNull();
+    expect(totp.verify(RFC_SECRET, undefined)).toBeNull();
+  });
+
+  test('encrypts secrets at rest', () => {
+    const secret = totp.generateSecret();
+    const stored = totp.encryptSecret(secret);
+
+    expect(stored).not.toContain(secret);
+    expect(totp.encryptSecret(secret)).not.toBe(stored);
+    expect(totp.decryptSecret(stored)).toBe(secret);
+
+    const [iv, tag, encrypted] = stored.split('.');
+    const tampered = Buffer.from(encrypted, 'base64');
+    tampered[0] ^= 1;
+    expect(() => totp.decryptSecret([iv, tag, tampered.toString('base64')].join('.'))).toThrow();
+  });
+
+  test('hashes recovery codes ignoring case and separators', () => {
+    const [code] = totp.generateRecoveryCodes(1);
+
+    expect(code).toMatch(/^[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}$/);
+    expect(totp.hashRecoveryCode(code)).toBe(totp.hashRecoveryCode(code.toUpperCase().replace(/-/g, ' ')));
+    expect(totp.hashRecoveryCode(code)).not.toContain(code.replace(/-/g, ''));
+  });
+});
+
+describe('POST /api/auth/login/2fa', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+
+  const secret = totp.generateSecret();
+  const recoveryCodes = ['1a2b-3c4d-5e6f', '0f0f-1e1e-2d2d'];
+  let users;
+
+  const challenge = async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'jane.doe@example.com', password: 'Original-Passw0rd' });
+    expect(res.body.data).toEqual({ two_factor_required: true, challenge_token: expect.any(String) });
+    return res.body.data.challenge_token;
+  };
+
+  const answer = async (fields) => request(app)
+    .post('/api/auth/login/2fa')
+    .send({ challenge_token: await challenge(), ...fields });
+
+  beforeEach(async () => {
+    jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+    jest.spyOn(SecuritySettings, 'current').mockResolvedValue(new SecuritySettings());
+    users = memoryModel(User);
+    memoryModel(LoginThrottle);
+    memoryModel(Session);
+
+    await User.create({
+      employee_id: 'HFA-W-2001',
+      name: 'Jane Doe',
+      email: 'jane.doe@example.com',
+      password: 'Original-Passw0rd',
+      department: 'Finance',
+      two_factor: {
+        enabled: true,
+        secret: totp.encryptSecret(secret),
+        recovery_codes: recoveryCodes.map(totp.hashRecoveryCode)
+      }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('signs in with a current code, which cannot then be replayed', async () => {
+    const code = totp.generate(secret);
+
+    const res = await answer({ code });
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toEqual(expect.any(String));
+    expect(users[0].two_factor.last_used_step).toBeGreaterThan(0);
+
+    const replay = await answer({ code });
+    expect(replay.status).toBe(401);
+    expect(replay.body.message).toBe('Invalid authentication code');
+  });
+
+  test('refuses a wrong code', async () => {
+    const wrong = String((parseInt(totp.generate(secret)) + 1) % 10 ** totp.DIGITS).padStart(totp.DIGITS, '0');
+
+    const res = await answer({ code: wrong });
+
+    expect(res.status).toBe(401);
+  });
+
+  test('accepts each recovery code once', async () => {
+    const res = await answer({ recovery_code: recoveryCodes[0].toUpperCase() });
+    expect(res.status).toBe(200);
+    expect(users[0].two_factor.recovery_codes).toEqual([totp.hashRecoveryCode(recoveryCodes[1])]);
+
+    const again = await answer({ recovery_code: recoveryCodes[0] });
+    expect(again.status).toBe(401);
+    expect(again.body.message).toBe('Invalid recovery code');
+  });
+
+  // Both requests read the user before either spends the code
+  const delayUserReads = () => {
+    const findUser = User.findById.getMockImplementation();
+    User.findById.mockImplementation(async (id) => {
+      const user = await findUser(id);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      return user;
+    });
+  };
+
+  test('lets only one of two concurrent requests use a code', async () => {
+    const code = totp.generate(secret);
+    const tokens = [await challenge(), await challenge()];
+    delayUserReads();
+
+    const results = await Promise.all(tokens.map(challenge_token => request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challenge_token, code })));
+
+    expect(results.map(res => res.status).sort()).toEqual([200, 401]);
+  });
+
+  test('lets only one of two concurrent requests use a recovery code', async () => {
+    const tokens = [await challenge(), await challenge()];
+    delayUserReads();
+
+    const results = await Promise.all(tokens.map(challenge_token => request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challenge_token, recovery_code: recoveryCodes[0] })));
+
+    expect(results.map(res => res.status).sort()).toEqual([200, 401]);
+    expect(users[0].two_factor.recovery_codes).toEqual([totp.hashRecoveryCode(recoveryCodes[1])]);
+  });
+
+  test('refuses tokens that are not login challenges', async () => {
+    const res = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challenge_token: 'not-a-token', code: totp.generate(secret) });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Login challenge is invalid or has expired. Please log in again.');
+  });
+});
+
+describe('2FA code checks while signed in', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+
+  const secret = totp.generateSecret();
+  let user;
+  let throttles;
+
+  const wrongCode = () => String((parseInt(totp.generate(secret)) + 1) % 10 ** totp.DIGITS).padStart(totp.DIGITS, '0');
+
+  beforeEach(async () => {
+    jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+    jest.spyOn(SecuritySettings, 'current').mockResolvedValue(new SecuritySettings());
+    memoryModel(User);
+    throttles = memoryModel(LoginThrottle);
+    memoryModel(Session);
+
+    user = await User.create({
+      employee_id: 'HFA-W-2002',
+      name: 'John Roe',
+      email: 'john.roe@example.com',
+      password: 'Original-Passw0rd',
+      department: 'Finance',
+      two_factor: {
+        enabled: true,
+        secret: totp.encryptSecret(secret),
+        recovery_codes: [totp.hashRecoveryCode('1a2b-3c4d-5e6f')]
+      }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('counts wrong codes when disabling 2FA and then makes the caller wait', async () => {
+    const authorization = await signIn(user);
+    const disable = (code) => request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', authorization)
+      .send({ password: 'Original-Passw0rd', code });
+
+    expect((await disable(wrongCode())).status).toBe(400);
+    expect((await disable(wrongCode())).status).toBe(400);
+    expect(user.failed_login_attempts).toBe(2);
+    expect(throttles[0].failures).toBe(2);
+
+    const res = await disable(totp.generate(secret));
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBe('1');
+    expect(user.two_factor.enabled).toBe(true);
+  });
+
+  test('counts wrong codes when replacing recovery codes and then makes the caller wait', async () => {
+    const authorization = await signIn(user);
+    const replace = (code) => request(app)
+      .post('/api/auth/2fa/recovery-codes')
+      .set('Authorization', authorization)
+      .send({ code });
+
+    expect((await replace(wrongCode())).status).toBe(400);
+    expect((await replace(wrongCode())).status).toBe(400);
+    expect(user.failed_login_attempts).toBe(2);
+
+    const res = await replace(totp.generate(secret));
+    expect(res.status).toBe(429);
+    expect(user.two_factor.recovery_codes).toEqual([totp.hashRecoveryCode('1a2b-3c4d-5e6f')]);
+  });
+
+  test('replaces recovery codes with a current code', async () => {
+    const res = await request(app)
+      .post('/api/auth/2fa/recovery-codes')
+      .set('Authorization', await signIn(user))
+      .send({ code: totp.generate(secret) });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.recovery_codes).toHaveLength(user.two_factor.recovery_codes.length);
+    expect(user.two_factor.recovery_codes).not.toContain(totp.hashRecoveryCode('1a2b-3c4d-5e6f'));
+  });
+});
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'claims-receipts-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_DIR = storageDir;
+process.env.STORAGE_SIGNING_SECRET = 'test-signing-secret';
+process.env.PDFTOPPM_PATH = path.join(storageDir, 'missing-pdftoppm');
+
+const uploadReceipt = require('../utils/uploadReceipt');
+
+const UUID = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+
+const stored = (key) => fs.readFileSync(path.join(storageDir, key));
+
+// A small JPEG carrying camera and GPS EXIF tags
+const photoWithLocation = () => sharp({
+  create: { width: 40, height: 30, channels: 3, background: '#c0c0c0' }
+})
+  .jpeg()
+  .withMetadata({
+    exif: {
+      IFD0: { Make: 'TestCam', Model: 'Receipt Phone' },
+      IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1' }
+    }
+  })
+  .toBuffer();
+
+afterAll(() => {
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('uploadReceipt', () => {
+  test('stores images without EXIF, with a web preview and thumbnail', async () => {
+    const buffer = await photoWithLocation();
+    expect((await sharp(buffer).metadata()).exif).toBeDefined();
+
+    const receipt = await uploadReceipt({ originalname: 'lunch.jpg', mimetype: 'image/jpeg', buffer }, 'user-1');
+
+    expect(receipt.filename).toMatch(new RegExp(`^user-1/${UUID}\\.jpg$`));
+    expect((await sharp(stored(receipt.filename)).metadata()).exif).toBeUndefined();
+    expect((await sharp(stored(receipt.preview_filename)).metadata()).format).toBe('jpeg');
+    expect((await sharp(stored(receipt.thumbnail_filename)).metadata()).exif).toBeUndefined();
+  });
+
+  test('keeps the stripped original when previews cannot be made', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    let isolated;
+    jest.isolateModules(() => {
+      jest.doMock('../utils/receiptImages', () => ({
+        ...jest.requireActual('../utils/receiptImages'),
+        createPreviews: jest.fn().mockRejectedValue(new Error('resize failed'))
+      }));
+      isolated = require('../utils/uploadReceipt');
+    });
+    jest.dontMock('../utils/receiptImages');
+
+    const buffer = await photoWithLocation();
+    const receipt = await isolated({ originalname: 'taxi.jpg', mimetype: 'image/jpeg', buffer }, 'user-2');
+
+    expect(receipt.preview_filename).toBeUndefined();
+    expect((await sharp(stored(receipt.filename)).metadata()).exif).toBeUndefined();
+  });
+
+  test('refuses images that cannot be re-encoded', async () => {
+    const file = { originalname: 'broken.jpg', mimetype: 'image/jpeg', buffer: Buffer.from('not an image') };
+
+    await expect(uploadReceipt(file, 'user-3')).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'Could not read image broken.jpg'
+    });
+    expect(fs.existsSync(path.join(storageDir, 'user-3'))).toBe(false);
+  });
+
+  test('stores PDFs as uploaded when no preview can be rendered', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const buffer = Buffer.from('%PDF-1.4 test receipt');
+
+    const receipt = await uploadReceipt({ originalname: 'hotel.pdf', mimetype: 'application/pdf', buffer }, 'user-4');
+
+    expect(receipt).toEqual({ filename: expect.stringMatching(new RegExp(`^user-4/${UUID}\\.pdf$`)) });
+    expect(stored(receipt.filename)).toEqual(buffer);
+  });
+
+  test('names stored files from the mimetype, not the uploaded name', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const file = { originalname: 'invoice.html', mimetype: 'application/pdf', buffer: Buffer.from('%PDF-1.4 test') };
+
+    const first = await uploadReceipt(file, 'user-5');
+    const second = await uploadReceipt(file, 'user-5');
+
+    expect(first.filename).toMatch(new RegExp(`^user-5/${UUID}\\.pdf$`));
+    expect(second.filename).not.toBe(first.filename);
+  });
+});
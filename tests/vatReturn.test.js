@@ -0,0 +1,191 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-access-secret';
+
+const Claim = require('../models/claim');
+const ClaimCategory = require('../models/claimCategory');
+const User = require('../models/user');
+const Session = require('../models/session');
+const AuditLog = require('../models/auditLog');
+const vat = require('../utils/vat');
+const memoryModel = require('./helpers/memoryModel');
+const signIn = require('./helpers/signIn');
+const reportRoutes = require('../routers/reports');
+
+const app = express();
+app.use(express.json());
+app.use('/api/reports', reportRoutes);
+
+let accountant;
+let claimant;
+let claimCount;
+
+const createClaim = (fields) => Claim.create({
+  claim_id: `VAT-${++claimCount}`,
+  user_id: claimant._id,
+  claimant_name: claimant.name,
+  employee_id: claimant.employee_id,
+  date: new Date('2026-02-10'),
+  status: 'approved',
+  ...fields,
+  claim_type: fields.category
+});
+
+const vatReturn = async (query = 'period=2026-Q1') => request(app)
+  .get(`/api/reports/vat-return?${query}`)
+  .set('Authorization', await signIn(accountant));
+
+beforeEach(async () => {
+  jest.spyOn(AuditLog.prototype, 'save').mockResolvedValue();
+  memoryModel(User);
+  memoryModel(Session);
+  memoryModel(Claim);
+  memoryModel(ClaimCategory);
+  claimCount = 0;
+
+  accountant = await User.create({
+    employee_id: 'HFA-A-1', name: 'Accountant', email: 'accounts@example.com',
+    password: 'Irrelevant-Passw0rd', department: 'Finance', role: 'accountant'
+  });
+  claimant = await User.create({
+    employee_id: 'HFA-W-1', name: 'Claimant', email: 'claimant@example.com',
+    password: 'Irrelevant-Passw0rd', department: 'Operations'
+  });
+
+  await ClaimCategory.create({ name: 'Meals', nominal_code: '7400', vat_treatment: 'standard' });
+  await ClaimCategory.create({ name: 'Energy', nominal_code: '7200', vat_treatment: 'reduced' });
+  await ClaimCategory.create({ name: 'Books', nominal_code: '7500', vat_treatment: 'zero' });
+  await ClaimCategory.create({ name: 'Parking', nominal_code: '7300', vat_treatment: 'outside_scope' });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('utils/vat', () => {
+  test('reads calendar and stagger quarters', () => {
+    const quarter = vat.parseVatPeriod('2026-q1');
+    expect(quarter.label).toBe('2026-q1');
+    expect(quarter.startDate).toEqual(new Date(2026, 0, 1));
+    expect(quarter.endDate).toEqual(new Date(2026, 2, 31, 23, 59, 59, 999));
+
+    const stagger = vat.parseVatPeriod('2026-05');
+    expect(stagger.startDate).toEqual(new Date(2026, 2, 1));
+    expect(stagger.endDate).toEqual(new Date(2026, 4, 31, 23, 59, 59, 999));
+
+    expect(vat.parseVatPeriod('2026-13')).toBeNull();
+    expect(vat.parseVatPeriod('Q1-2026')).toBeNull();
+  });
+
+  test('works out VAT within a gross amount', () => {
+    expect(vat.vatFromGross(120, 20)).toBe(20);
+    expect(vat.vatFromGross(105, 5)).toBe(5);
+    expect(vat.vatFromGross(10, 20)).toBe(1.67);
+    expect(vat.vatFromGross(50, 0)).toBe(0);
+  });
+
+  test('flags VAT that does not match the category rate', () => {
+    expect(vat.checkVatConsistency({ amount: 120, vat_amount: 20 }, 20)).toBeNull();
+    expect(vat.checkVatConsistency({ amount: 120, vat_amount: 20.02 }, 20)).toBeNull();
+    expect(vat.checkVatConsistency({ amount: 120, vat_amount: 0 }, 20)).toBeNull();
+    expect(vat.checkVatConsistency({ amount: 120, vat_amount: 15 }, 20)).toEqual({
+      declared: 15, expected: 20, issue: 'VAT differs from 20% of the claim amount'
+    });
+    expect(vat.checkVatConsistency({ amount: 120, vat_amount: 25 }, 20).issue).toBe('VAT exceeds 20% of the claim amount');
+    expect(vat.checkVatConsistency({ amount: 50, vat_amount: 1 }, 0).issue)
+      .toBe('VAT claimed on a zero-rated, exempt or out-of-scope category');
+  });
+
+  test('takes the rate from the claim, then its category, then the standard rate', async () => {
+    const categories = [new ClaimCategory({ name: 'Books', nominal_code: '7500', vat_treatment: 'zero' })];
+
+    expect(await vat.vatRateFor({ vat_treatment: 'reduced', category: 'Books' }, categories)).toEqual({ treatment: 'reduced', rate: 5 });
+    expect(await vat.vatRateFor({ category: 'Books' }, categories)).toEqual({ treatment: 'zero', rate: 0 });
+    expect(await vat.vatRateFor({ category: 'Unknown' }, categories)).toEqual({ treatment: 'standard', rate: 20 });
+  });
+});
+
+describe('GET /api/reports/vat-return', () => {
+  test('fills boxes 1 to 9 from approved and paid claims in the quarter', async () => {
+    await createClaim({ category: 'Meals', amount: 120, vat_amount: 20 });
+    await createClaim({ category: 'Energy', amount: 105, vat_amount: 5, status: 'paid' });
+    await createClaim({ category: 'Parking', amount: 30, vat_amount: 0 });
+    await createClaim({ category: 'Meals', amount: 60, vat_amount: 10, status: 'new' });
+    await createClaim({ category: 'Meals', amount: 60, vat_amount: 10, date: new Date('2026-04-01') });
+
+    const res = await vatReturn();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.boxes).toEqual({
+      box1: 0,
+      box2: 0,
+      box3: 0,
+      box4: 25,
+      box5: 25,
+      box6: 0,
+      box7: 200,
+      box8: 0,
+      box9: 0
+    });
+    expect(res.body.data.net_position).toBe('repayable');
+    expect(res.body.data.claims.map(claim => claim.claim_id)).toEqual(['VAT-1', 'VAT-2', 'VAT-3']);
+    expect(res.body.data.flagged).toEqual([]);
+    expect(res.body.data.disallowed_vat).toBe(0);
+  });
+
+  test('reclaims nothing on zero-rated claims and reports the VAT declared on them', async () => {
+    await createClaim({ category: 'Meals', amount: 120, vat_amount: 20 });
+    await createClaim({ category: 'Books', amount: 50, vat_amount: 8.33 });
+
+    const res = await vatReturn();
+
+    expect(res.body.data.boxes.box4).toBe(20);
+    expect(res.body.data.boxes.box7).toBe(150);
+    expect(res.body.data.disallowed_vat).toBe(8.33);
+    expect(res.body.data.flagged).toEqual([expect.objectContaining({
+      claim_id: 'VAT-2',
+      vat_amount: 8.33,
+      reclaimable_vat: 0,
+      issue: 'VAT claimed on a zero-rated, exempt or out-of-scope category'
+    })]);
+  });
+
+  test('caps the VAT reclaimed at the category rate', async () => {
+    await createClaim({ category: 'Meals', amount: 120, vat_amount: 30 });
+
+    const res = await vatReturn();
+
+    expect(res.body.data.boxes.box4).toBe(20);
+    expect(res.body.data.boxes.box7).toBe(100);
+    expect(res.body.data.disallowed_vat).toBe(10);
+    expect(res.body.data.flagged[0]).toMatchObject({ expected_vat: 20, issue: 'VAT exceeds 20% of the claim amount' });
+  });
+
+  test('rounds boxes 6 to 9 down to whole pounds', async () => {
+    await createClaim({ category: 'Meals', amount: 100.99, vat_amount: 16.83 });
+
+    const res = await vatReturn();
+
+    expect(res.body.data.boxes.box4).toBe(16.83);
+    expect(res.body.data.boxes.box7).toBe(84);
+  });
+
+  test('exports the boxes and claims as CSV', async () => {
+    await createClaim({ category: 'Books', amount: 50, vat_amount: 8.33 });
+
+    const res = await vatReturn('period=2026-03&format=csv');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="vat_return_2026-03.csv"');
+    expect(res.text).toContain('"Box 4","VAT reclaimed on purchases and other inputs","0.00"');
+    expect(res.text).toContain('"","VAT declared on claims but not reclaimable (see flags)","8.33"');
+    expect(res.text).toContain('"VAT-1","10/02/2026","Claimant","Books"');
+  });
+
+  test('refuses malformed periods', async () => {
+    const res = await vatReturn('period=2026-Q5');
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,103 @@
+const Claim = require('../models/claim');
+const Budget = require('../models/budget');
+const round2 = require('./round2');
+
+const { BASE_AMOUNT } = Claim;
+
+// Committed (approved, unpaid), actual (paid) and pending (submitted,
+// not yet approved) spend against a budget, optionally leaving one claim out
+const consumptionFor = async (budget, excludeId) => {
+  const { startDate, endDate } = budget.dateRange();
+
+  const match = {
+    date: { $gte: startDate, $lte: endDate },
+    status: { $in: ['approved', 'paid', 'new', 'pending', 'verified'] }
+  };
+  if (excludeId) match._id = { $ne: excludeId };
+  if (budget.category) {
+    match.$or = [{ category: budget.category }, { claim_type: budget.category }];
+  }
+
+  const [totals] = await Claim.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: 'users',
+        localField: 'user_id',
+        foreignField: '_id',
+        as: 'user'
+      }
+    },
+    { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+    { $addFields: { claim_department: { $ifNull: ['$department', '$user.department'] } } },
+    { $match: { claim_department: budget.department } },
+    {
+      $group: {
+        _id: null,
+        committed: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, BASE_AMOUNT, 0] } },
+        actual: { $sum: { $cond: [{ $eq: ['$status', 'paid'] }, BASE_AMOUNT, 0] } },
+        pending: { $sum: { $cond: [{ $in: ['$status', ['new', 'pending', 'verified']] }, BASE_AMOUNT, 0] } }
+      }
+    }
+  ]);
+
+  const committed = round2(totals?.committed);
+  const actual = round2(totals?.actual);
+  const remaining = round2(budget.amount - committed - actual);
+
+  return {
+    budget: budget.amount,
+    committed,
+    actual,
+    pending: round2(totals?.pending),
+    remaining,
+    used_percent: budget.amount > 0 ? round2(((committed + actual) / budget.amount) * 100) : null,
+    over_budget: remaining < 0
+  };
+};
+
+// Check a claim (amount in GBP) against every budget covering its
+// department, category and date. Claims still awaiting approval count
+// too, so several submitted together cannot each slip under the limit.
+// Pass excludeId when re-checking an edited claim. Returns the budgets it
+// would take over.
+const checkClaim = async ({ department, category, date, amount, excludeId }) => {
+  const claimDate = new Date(date);
+  const year = claimDate.getFullYear();
+  const month = claimDate.getMonth() + 1;
+
+  const budgets = await Budget.find({
+    department,
+    category: { $in: [category, null] },
+    year,
+    $or: [{ period: 'annual' }, { period: 'monthly', month }]
+  });
+
+  const breaches = [];
+  for (const budget of budgets) {
+    const consumption = await consumptionFor(budget, excludeId);
+    const projected = round2(consumption.committed + consumption.actual + consumption.pending + Number(amount));
+    if (projected > budget.amount) {
+      breaches.push({
+        budget: budget._id,
+        department: budget.department,
+        category: budget.category,
+        period: budget.period === 'monthly' ? `${year}-${String(month).padStart(2, '0')}` : String(year),
+        enforcement: budget.enforcement,
+        amount: budget.amount,
+        projected,
+        over_by: round2(projected - budget.amount)
+      });
+    }
+  }
+
+  return {
+    warnings: breaches,
+    blocked: breaches.some(breach => breach.enforcement === 'block')
+  };
+};
+
+module.exports = {
+  consumptionFor,
+  checkClaim
+};
@@ -0,0 +1,8 @@
+const storage = require('./storage');
+
+// Remove a receipt and any previews made from it
+module.exports = async function deleteReceipt(...fileNames) {
+  for (const fileName of new Set(fileNames.filter(Boolean))) {
+    await storage.delete(fileName);
+  }
+};
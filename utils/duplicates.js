@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const Claim = require('../models/claim');
+const escapeRegex = require('./escapeRegex');
+
+// Days either side of the claim date to look for matching claims
+const DUPLICATE_WINDOW_DAYS = parseInt(process.env.DUPLICATE_WINDOW_DAYS) || 7;
+
+// SHA-256 of the receipt bytes as uploaded, before they leave the server
+const fingerprint = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Earlier claims that may be the same expense: the same receipt file, or
+// the same GBP amount from the same supplier within the date window.
+// Returns entries for the claim's possible_duplicates.
+const findDuplicates = async ({ receiptHash, amount, date, supplier, companyName, excludeId }) => {
+  const conditions = [];
+
+  if (receiptHash) {
+    conditions.push({ receipt_hash: receiptHash });
+  }
+
+  let amountCondition = null;
+  let start;
+  let end;
+  let companyPattern;
+  if (amount != null && (supplier || companyName)) {
+    start = moment(date).subtract(DUPLICATE_WINDOW_DAYS, 'days').startOf('day').toDate();
+    end = moment(date).add(DUPLICATE_WINDOW_DAYS, 'days').endOf('day').toDate();
+    if (!supplier) companyPattern = new RegExp(`^${escapeRegex(companyName.trim())}$`, 'i');
+    amountCondition = {
+      base_amount: amount,
+      date: { $gte: start, $lte: end },
+      ...(supplier ? { supplier } : { company_name: companyPattern })
+    };
+    conditions.push(amountCondition);
+  }
+
+  // Whether a match meets the amount, date and supplier criteria itself,
+  // rather than only sharing the receipt
+  const matchesAmountCondition = (match) => !!amountCondition &&
+    match.base_amount === amount &&
+    match.date >= start && match.date <= end &&
+    (supplier
+      ? match.supplier?.toString() === supplier.toString()
+      : companyPattern.test(match.company_name || ''));
+
+  if (conditions.length === 0) return [];
+
+  const query = { $or: conditions, status: { $ne: 'rejected' } };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const matches = await Claim.find(query)
+    .select('claim_id receipt_hash base_amount date supplier company_name')
+    .sort({ created_at: 1 })
+    .limit(20);
+
+  return matches.map(match => {
+    const reasons = [];
+    if (receiptHash && match.receipt_hash === receiptHash) reasons.push('same_receipt');
+    if (matchesAmountCondition(match)) reasons.push('same_amount_date_supplier');
+    return {
+      claim: match._id,
+      claim_id: match.claim_id,
+      reasons
+    };
+  });
+};
+
+module.exports = {
+  DUPLICATE_WINDOW_DAYS,
+  fingerprint,
+  findDuplicates
+};
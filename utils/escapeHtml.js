@@ -0,0 +1,6 @@
+// Escape text for use inside HTML markup or a quoted attribute
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (character) => HTML_ENTITIES[character]);
+
+module.exports = escapeHtml;
@@ -0,0 +1,152 @@
+const Journal = require('../models/journal');
+const Account = require('../models/account');
+const ClaimCategory = require('../models/claimCategory');
+const chart = require('../configs/chartOfAccounts');
+const round2 = require('./round2');
+
+const line = (code, debit, credit, description) => ({
+  account_code: code,
+  debit: round2(debit),
+  credit: round2(credit),
+  description
+});
+
+const expenseAccountFor = async (claim) => {
+  if (claim.nominal_code) return claim.nominal_code;
+
+  const category = await ClaimCategory.findOne({
+    name: { $in: [claim.category, claim.claim_type].filter(Boolean) }
+  });
+  return category ? category.nominal_code : chart.defaultExpenseAccount;
+};
+
+// Supplier claims are owed to the supplier, everything else to the employee
+const payablesAccountFor = (claim) => {
+  const type = claim.claim_type || claim.category || '';
+  return type.startsWith('Approved Supplier') || type === 'Payment Request Form'
+    ? chart.supplierPayablesAccount
+    : chart.employeePayablesAccount;
+};
+
+const saveJournal = async (data) => {
+  const lines = data.lines.filter(l => l.debit > 0 || l.credit > 0);
+  const accounts = await Account.find({ code: { $in: lines.map(l => l.account_code) } });
+
+  lines.forEach(l => {
+    const account = accounts.find(a => a.code === l.account_code);
+    l.account_name = account ? account.name : l.account_code;
+  });
+
+  const journal = new Journal({
+    ...data,
+    reference: await Journal.generateReference(),
+    lines
+  });
+  await journal.save();
+  return journal;
+};
+
+const ledger = {
+  round2,
+  expenseAccountFor,
+  payablesAccountFor,
+
+  // Approval: Dr expense (net), Dr VAT input, Cr payables (gross), in GBP
+  postClaimApproval: async (claim, userId) => {
+    const existing = await Journal.findOne({ claim: claim._id, source: 'claim_approved', reversed: false });
+    if (existing) return existing;
+
+    const gross = claim.baseValue(claim.amount);
+    const vat = claim.baseValue(claim.vat_amount);
+    const net = round2(gross - vat);
+    const description = `Claim ${claim.claim_id} approved`;
+
+    return saveJournal({
+      date: claim.approved_at || new Date(),
+      description,
+      source: 'claim_approved',
+      claim: claim._id,
+      posted_by: userId,
+      lines: [
+        line(await expenseAccountFor(claim), net, 0, description),
+        line(chart.vatInputAccount, vat, 0, description),
+        line(payablesAccountFor(claim), 0, gross, description)
+      ]
+    });
+  },
+
+  // Payment: Dr payables, Cr bank and/or cash. Bank is the recorded bank
+  // transfer amount and cash the rest; claims without a bank transfer
+  // amount are split the other way round from the cash amount.
+  postClaimPayment: async (claim, userId) => {
+    const existing = await Journal.findOne({ claim: claim._id, source: 'claim_paid', reversed: false });
+    if (existing) return existing;
+
+    const gross = claim.baseValue(claim.amount);
+    let bank;
+    let cash;
+    if (claim.bank_transfer_amount != null) {
+      bank = Math.min(claim.baseValue(claim.bank_transfer_amount), gross);
+      cash = round2(gross - bank);
+    } else {
+      cash = Math.min(claim.baseValue(claim.cash_amount), gross);
+      bank = round2(gross - cash);
+    }
+    const description = `Claim ${claim.claim_id} paid${claim.payment_reference ? ` (${claim.payment_reference})` : ''}`;
+
+    return saveJournal({
+      date: claim.paid_at || new Date(),
+      description,
+      source: 'claim_paid',
+      claim: claim._id,
+      posted_by: userId,
+      lines: [
+        line(payablesAccountFor(claim), gross, 0, description),
+        line(chart.bankAccount, 0, bank, description),
+        line(chart.cashAccount, 0, cash, description)
+      ]
+    });
+  },
+
+  // Post the mirror image of every live journal for a claim
+  reverseClaimJournals: async (claim, userId, reason) => {
+    const journals = await Journal.find({ claim: claim._id, reversed: false, source: { $ne: 'claim_reversal' } });
+    const reversals = [];
+
+    for (const journal of journals) {
+      const reversal = await saveJournal({
+        date: new Date(),
+        description: `Reversal of ${journal.reference}${reason ? `: ${reason}` : ''}`,
+        source: 'claim_reversal',
+        claim: claim._id,
+        reverses: journal._id,
+        posted_by: userId,
+        lines: journal.lines.map(l => line(l.account_code, l.credit, l.debit, l.description))
+      });
+      journal.reversed = true;
+      await journal.save();
+      reversals.push(reversal);
+    }
+
+    return reversals;
+  },
+
+  // Post whatever the move from one claim status to another requires
+  recordStatusChange: async (claim, fromStatus, userId) => {
+    if (claim.status === 'approved') {
+      return [await ledger.postClaimApproval(claim, userId)];
+    }
+    if (claim.status === 'paid') {
+      return [
+        await ledger.postClaimApproval(claim, userId),
+        await ledger.postClaimPayment(claim, userId)
+      ];
+    }
+    if (['approved', 'paid'].includes(fromStatus)) {
+      return ledger.reverseClaimJournals(claim, userId, `claim moved to ${claim.status}`);
+    }
+    return [];
+  }
+};
+
+module.exports = ledger;
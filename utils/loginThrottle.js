@@ -0,0 +1,130 @@
+const LoginThrottle = require('../models/loginThrottle');
+const User = require('../models/user');
+
+// Failed attempts on one account before it is locked, and for how long
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// Failed attempts from one IP address before it is blocked for the lockout period
+const LOGIN_IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+// Failures older than this no longer count
+const LOGIN_ATTEMPT_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+// Longest wait imposed between attempts
+const LOGIN_MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 30;
+
+const minutes = (count) => count * 60 * 1000;
+
+// Wait required before the next attempt after this many failures:
+// none after the first, then 1s, 2s, 4s... up to the maximum
+const delaySeconds = (failures) => (
+  failures < 2 ? 0 : Math.min(2 ** (failures - 2), LOGIN_MAX_DELAY_SECONDS)
+);
+
+// Seconds until a counter allows another attempt, or 0
+const waitFor = ({ failures, last_failed_at, locked_until }, now = new Date()) => {
+  if (locked_until && locked_until > now) {
+    return Math.ceil((locked_until - now) / 1000);
+  }
+  if (!last_failed_at || now - last_failed_at > minutes(LOGIN_ATTEMPT_WINDOW_MINUTES)) {
+    return 0;
+  }
+  const readyAt = last_failed_at.getTime() + delaySeconds(failures) * 1000;
+  return Math.max(0, Math.ceil((readyAt - now) / 1000));
+};
+
+const windowStart = (now) => new Date(now.getTime() - minutes(LOGIN_ATTEMPT_WINDOW_MINUTES));
+
+// Count a failure from an IP address. Each attempt is one $inc on the
+// stored counter, so concurrent attempts are all counted; reaching the
+// limit blocks the address and starts the count over.
+const recordIpFailure = async (ip, now) => {
+  // Failures from before the window no longer count
+  await LoginThrottle.updateOne(
+    { ip_address: ip, last_failed_at: { $lt: windowStart(now) } },
+    { $set: { failures: 0 } }
+  );
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { ip_address: ip },
+    {
+      $inc: { failures: 1 },
+      $set: { last_failed_at: now },
+      $max: { expires_at: new Date(now.getTime() + minutes(LOGIN_ATTEMPT_WINDOW_MINUTES)) }
+    },
+    { new: true, upsert: true }
+  );
+  if (throttle.failures < LOGIN_IP_MAX_ATTEMPTS) return null;
+
+  // The counter is kept until the block ends
+  const blockedUntil = new Date(now.getTime() + minutes(LOGIN_LOCKOUT_MINUTES));
+  await LoginThrottle.updateOne(
+    { ip_address: ip, failures: { $gte: LOGIN_IP_MAX_ATTEMPTS } },
+    { $set: { failures: 0, blocked_until: blockedUntil }, $max: { expires_at: blockedUntil } }
+  );
+  return blockedUntil;
+};
+
+// Count a failure against an account in the same way, locking it at the
+// limit. Returns the lock end or null.
+const recordAccountFailure = async (user, now) => {
+  await User.updateOne(
+    { _id: user._id, last_failed_login_at: { $lt: windowStart(now) } },
+    { $set: { failed_login_attempts: 0 } }
+  );
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failed_login_attempts: 1 }, $set: { last_failed_login_at: now } },
+    { new: true }
+  );
+  if (!updated || updated.failed_login_attempts < LOGIN_MAX_ATTEMPTS) return null;
+
+  const lockedUntil = new Date(now.getTime() + minutes(LOGIN_LOCKOUT_MINUTES));
+  await User.updateOne(
+    { _id: user._id, failed_login_attempts: { $gte: LOGIN_MAX_ATTEMPTS } },
+    { $set: { failed_login_attempts: 0, locked_until: lockedUntil } }
+  );
+  return lockedUntil;
+};
+
+// Seconds the IP address must wait before trying again, or 0
+const ipWait = async (ip) => {
+  const throttle = await LoginThrottle.findOne({ ip_address: ip });
+  if (!throttle) return 0;
+  return waitFor({
+    failures: throttle.failures,
+    last_failed_at: throttle.last_failed_at,
+    locked_until: throttle.blocked_until
+  });
+};
+
+// Seconds the account must wait before trying again, or 0
+const accountWait = (user) => waitFor({
+  failures: user.failed_login_attempts,
+  last_failed_at: user.last_failed_login_at,
+  locked_until: user.locked_until
+});
+
+// Record a failed attempt against the IP address and, when known, the
+// account. Returns whether the account was locked by this attempt.
+const recordFailure = async (ip, user) => {
+  const now = new Date();
+  await recordIpFailure(ip, now);
+  if (!user) return false;
+  return !!(await recordAccountFailure(user, now));
+};
+
+// Clear the account's counter after a successful sign-in. The IP counter
+// is left to expire so one valid login cannot reset it.
+const clearFailures = (user) => {
+  user.failed_login_attempts = 0;
+  user.last_failed_login_at = undefined;
+  user.locked_until = undefined;
+};
+
+module.exports = {
+  LOGIN_MAX_ATTEMPTS,
+  LOGIN_LOCKOUT_MINUTES,
+  delaySeconds,
+  ipWait,
+  accountWait,
+  recordFailure,
+  clearFailures
+};
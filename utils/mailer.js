@@ -0,0 +1,61 @@
+const nodemailer = require('nodemailer');
+const escapeHtml = require('./escapeHtml');
+require("dotenv").config()
+
+// SMTP_HOST points the mailer at any SMTP server, including a local
+// stand-in such as MailHog or smtp4dev (e.g. SMTP_HOST=localhost,
+// SMTP_PORT=1025, no SMTP_USER). Without it, mail goes through the Gmail
+// account used by Services/Nodemailer/transporter.js.
+const transporter = process.env.SMTP_HOST
+  ? nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  })
+  : nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      user: process.env.Nodemailer_User,
+      pass: process.env.Nodemailer_Pass
+    }
+  });
+
+const MAIL_FROM = process.env.MAIL_FROM || `HFA UK Claims <${process.env.SMTP_USER || process.env.Nodemailer_User || 'no-reply@localhost'}>`;
+
+const sendMail = (options) => transporter.sendMail({ from: MAIL_FROM, ...options });
+
+const sendPasswordResetEmail = (user, token, ttlMinutes) => {
+  const link = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your HFA UK Claims password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'We received a request to reset the password for your claims account.',
+      `Use the link below within ${ttlMinutes} minutes to choose a new password:`,
+      '',
+      link,
+      '',
+      'If you did not ask for this, you can ignore this email; your password will not change.'
+    ].join('\n'),
+    html: `
+      <div style="font-family: Arial, sans-serif; font-size: 16px; color: #333; line-height: 1.6;">
+        <p>Hi ${escapeHtml(user.name)},</p>
+        <p>We received a request to reset the password for your claims account.
+           Use the button below within ${ttlMinutes} minutes to choose a new password.</p>
+        <p><a href="${escapeHtml(link)}" style="display: inline-block; padding: 12px 24px; background-color: #003366; color: white; text-decoration: none; border-radius: 5px;">Reset password</a></p>
+        <p>If you did not ask for this, you can ignore this email; your password will not change.</p>
+      </div>
+    `
+  });
+};
+
+module.exports = {
+  transporter,
+  sendMail,
+  sendPasswordResetEmail
+};
@@ -0,0 +1,96 @@
+const User = require('../models/user');
+const rates = require('../configs/mileageRates');
+const round2 = require('./round2');
+
+// Vehicles that count towards the 10,000 mile threshold
+const usesThreshold = (vehicleType) => Boolean(rates.vehicles[vehicleType]?.threshold);
+
+// UK tax year (6 April - 5 April) a date falls in, e.g. "2024-25".
+// Claim dates are stored as UTC midnight, so the date is read in UTC
+// whatever the server's time zone.
+const taxYearFor = (date) => {
+  const d = new Date(date);
+  const year = d.getUTCFullYear();
+  const startYear = d < new Date(Date.UTC(year, 3, 6)) ? year - 1 : year;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+// Car/van miles already claimed by the user in a tax year
+const milesClaimed = async (userId, taxYear) => {
+  const user = await User.findById(userId).select('mileage_totals');
+  const totals = user?.mileage_totals?.find(t => t.tax_year === taxYear);
+  return totals ? totals.car_van_miles : 0;
+};
+
+// Work out the allowance for a journey given the miles already claimed
+// this tax year. Miles above the threshold are paid at the reduced rate.
+const calculate = ({ miles, vehicle_type, passengers = 0 }, priorMiles = 0) => {
+  const vehicle = rates.vehicles[vehicle_type];
+  if (!vehicle) {
+    throw new Error(`Unknown vehicle type: ${vehicle_type}`);
+  }
+
+  const breakdown = [];
+  if (vehicle.threshold) {
+    const atFullRate = Math.max(0, Math.min(miles, vehicle.threshold - priorMiles));
+    const atReducedRate = miles - atFullRate;
+    if (atFullRate > 0) {
+      breakdown.push({ miles: atFullRate, rate: vehicle.rate, amount: round2(atFullRate * vehicle.rate) });
+    }
+    if (atReducedRate > 0) {
+      breakdown.push({ miles: atReducedRate, rate: vehicle.reduced_rate, amount: round2(atReducedRate * vehicle.reduced_rate) });
+    }
+  } else {
+    breakdown.push({ miles, rate: vehicle.rate, amount: round2(miles * vehicle.rate) });
+  }
+
+  const passengerAmount = vehicle.threshold ? round2(miles * passengers * rates.passenger_rate) : 0;
+  const mileageAmount = round2(breakdown.reduce((sum, band) => sum + band.amount, 0));
+
+  return {
+    breakdown,
+    passenger_amount: passengerAmount,
+    amount: round2(mileageAmount + passengerAmount)
+  };
+};
+
+// Add (or with negative miles, remove) miles from the user's tax year total
+const recordMiles = async (userId, taxYear, vehicleType, miles) => {
+  const field = usesThreshold(vehicleType) ? 'car_van_miles' : 'other_miles';
+
+  const addMiles = () => User.updateOne(
+    { _id: userId, 'mileage_totals.tax_year': taxYear },
+    { $inc: { [`mileage_totals.$.${field}`]: miles } }
+  );
+
+  const result = await addMiles();
+  if (result.matchedCount === 0) {
+    // Start the year's total only if no concurrent request has just
+    // done so, then add the miles to whichever entry is there
+    await User.updateOne(
+      { _id: userId, 'mileage_totals.tax_year': { $ne: taxYear } },
+      { $push: { mileage_totals: { tax_year: taxYear } } }
+    );
+    await addMiles();
+  }
+};
+
+// Release a mileage claim's miles when it is rejected and take them
+// back if it is reopened
+const syncForStatusChange = async (claim, fromStatus) => {
+  if (!claim.mileage?.miles) return;
+
+  if (claim.status === 'rejected' && fromStatus !== 'rejected') {
+    await recordMiles(claim.user_id, claim.mileage.tax_year, claim.mileage.vehicle_type, -claim.mileage.miles);
+  } else if (fromStatus === 'rejected' && claim.status !== 'rejected') {
+    await recordMiles(claim.user_id, claim.mileage.tax_year, claim.mileage.vehicle_type, claim.mileage.miles);
+  }
+};
+
+module.exports = {
+  taxYearFor,
+  milesClaimed,
+  calculate,
+  recordMiles,
+  syncForStatusChange
+};
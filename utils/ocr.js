@@ -0,0 +1,135 @@
+const { spawn } = require('child_process');
+const moment = require('moment');
+const { renderFirstPage } = require('./pdf');
+require("dotenv").config()
+
+// Any Tesseract-compatible command line engine reading an image on stdin
+const TESSERACT_PATH = process.env.TESSERACT_PATH || 'tesseract';
+const OCR_TIMEOUT_MS = parseInt(process.env.OCR_TIMEOUT_MS) || 30000;
+
+// Declared and receipt amounts may differ by this much before flagging
+const OCR_TOLERANCE = 0.02;
+
+const AMOUNT_PATTERN = /(?:£|\$|€)?\s*(\d{1,3}(?:,\d{3})*|\d+)\.(\d{2})\b/g;
+const DATE_FORMATS = ['DD/MM/YYYY', 'DD/MM/YY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'YYYY-MM-DD', 'D MMM YYYY', 'D MMMM YYYY'];
+
+// Run the OCR engine over an image buffer and return the recognised text
+const recognise = (buffer) => new Promise((resolve, reject) => {
+  const engine = spawn(TESSERACT_PATH, ['stdin', 'stdout'], { timeout: OCR_TIMEOUT_MS });
+  let text = '';
+  let stderr = '';
+
+  engine.stdout.on('data', chunk => { text += chunk; });
+  engine.stderr.on('data', chunk => { stderr += chunk; });
+  engine.on('error', reject);
+  engine.on('close', (code) => {
+    if (code === 0) return resolve(text);
+    reject(new Error(`OCR engine exited with code ${code}: ${stderr.trim()}`));
+  });
+
+  engine.stdin.on('error', reject);
+  engine.stdin.end(buffer);
+});
+
+const amountsIn = (line) => [...line.matchAll(AMOUNT_PATTERN)]
+  .map(match => parseFloat(`${match[1].replace(/,/g, '')}.${match[2]}`));
+
+// Pull total, VAT, date and merchant out of receipt text
+const parseReceiptText = (text) => {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+
+  // Total: the largest amount on a total line, or on the receipt
+  const totalLines = lines.filter(line => /total|amount due|balance due|to pay/i.test(line) && !/sub\s*-?\s*total/i.test(line));
+  const totalAmounts = totalLines.flatMap(amountsIn);
+  const allAmounts = lines.flatMap(amountsIn);
+  const total = totalAmounts.length > 0
+    ? Math.max(...totalAmounts)
+    : (allAmounts.length > 0 ? Math.max(...allAmounts) : null);
+
+  // VAT: the last amount on the first VAT line that is not the rate
+  let vat = null;
+  const vatLine = lines.find(line => /\bvat\b|\btax\b/i.test(line) && amountsIn(line).length > 0 && !/vat\s*(reg|no|number)/i.test(line));
+  if (vatLine) {
+    const amounts = amountsIn(vatLine.replace(/\d+(\.\d+)?\s*%/g, ''));
+    vat = amounts.length > 0 ? amounts[amounts.length - 1] : null;
+  }
+
+  let date = null;
+  for (const line of lines) {
+    const match = line.match(/\b(\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}|\d{4}-\d{2}-\d{2}|\d{1,2}\s+[A-Za-z]{3,9}\s+\d{4})\b/);
+    if (!match) continue;
+    const parsed = moment(match[1], DATE_FORMATS, true);
+    if (parsed.isValid()) {
+      date = parsed.format('YYYY-MM-DD');
+      break;
+    }
+  }
+
+  // Merchant: the first line with letters that is not an address or number
+  const merchant = lines.find(line => /[A-Za-z]{3,}/.test(line) && !/receipt|invoice|\btel\b|www\.|vat\s*(reg|no)|^\d/i.test(line)) || null;
+
+  return {
+    total,
+    vat_amount: vat,
+    date,
+    merchant
+  };
+};
+
+// OCR a JPEG/PNG/PDF receipt (multer file) into the extracted fields
+const scanReceipt = async (file) => {
+  const image = file.mimetype === 'application/pdf'
+    ? await renderFirstPage(file.buffer, { resolution: 300 })
+    : file.buffer;
+  const text = await recognise(image);
+  return {
+    ...parseReceiptText(text),
+    text
+  };
+};
+
+// Compare declared amounts with what the receipt says. Fields the
+// receipt did not show are not compared.
+const compareWithClaim = (scan, { amount, vat_amount }) => {
+  const mismatches = [];
+  if (scan.total != null && amount != null && Math.abs(scan.total - parseFloat(amount)) > OCR_TOLERANCE) {
+    mismatches.push('amount');
+  }
+  if (scan.vat_amount != null && vat_amount != null && vat_amount !== '' &&
+      Math.abs(scan.vat_amount - parseFloat(vat_amount)) > OCR_TOLERANCE) {
+    mismatches.push('vat_amount');
+  }
+  return mismatches;
+};
+
+// Receipt check stored on a claim; OCR failures never block submission
+const checkReceipt = async (file, declared) => {
+  try {
+    const scan = await scanReceipt(file);
+    if (scan.total == null && scan.vat_amount == null) {
+      return { status: 'unreadable', scanned_at: new Date() };
+    }
+    const mismatches = compareWithClaim(scan, declared);
+    return {
+      status: mismatches.length > 0 ? 'mismatch' : 'matched',
+      total: scan.total,
+      vat_amount: scan.vat_amount,
+      date: scan.date,
+      merchant: scan.merchant,
+      mismatches,
+      scanned_at: new Date()
+    };
+  } catch (error) {
+    console.error('Receipt OCR error:', error.message);
+    return { status: 'unavailable', scanned_at: new Date() };
+  }
+};
+
+module.exports = {
+  OCR_TOLERANCE,
+  recognise,
+  parseReceiptText,
+  scanReceipt,
+  compareWithClaim,
+  checkReceipt
+};
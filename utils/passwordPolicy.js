@@ -0,0 +1,88 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const commonPasswords = require('../configs/commonPasswords');
+
+const loadCommonPasswords = () => {
+  const list = new Set(commonPasswords);
+  if (process.env.COMMON_PASSWORDS_FILE) {
+    fs.readFileSync(process.env.COMMON_PASSWORDS_FILE, 'utf8')
+      .split(/\r?\n/)
+      .forEach(line => line.trim() && list.add(line.trim().toLowerCase()));
+  }
+  return list;
+};
+
+const COMMON_PASSWORDS = loadCommonPasswords();
+
+// A common password with digits or symbols added at either end
+// ("Password123!") is still a common password
+const isCommon = (password) => {
+  const lower = password.toLowerCase();
+  return COMMON_PASSWORDS.has(lower) ||
+    COMMON_PASSWORDS.has(lower.replace(/^[^a-z]+|[^a-z]+$/g, ''));
+};
+
+// Whether the password matches the current one or one of the previous
+// (policy.history_count - 1), all held as bcrypt hashes
+const isReused = async (user, password, historyCount) => {
+  const hashes = [...new Set([user.password, ...(user.password_history || [])])]
+    .filter(Boolean)
+    .slice(0, historyCount);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+};
+
+// Problems with a proposed password under the policy (see
+// models/securitySettings.js); empty when it is acceptable. Pass the
+// user when changing an existing password so reuse is checked.
+const check = async (password, policy, user) => {
+  const problems = [];
+
+  if (password.length < policy.min_length) {
+    problems.push(`Password must be at least ${policy.min_length} characters`);
+  }
+  if (policy.require_uppercase && !/[A-Z]/.test(password)) {
+    problems.push('Password must contain an uppercase letter');
+  }
+  if (policy.require_lowercase && !/[a-z]/.test(password)) {
+    problems.push('Password must contain a lowercase letter');
+  }
+  if (policy.require_number && !/[0-9]/.test(password)) {
+    problems.push('Password must contain a number');
+  }
+  if (policy.require_symbol && !/[^A-Za-z0-9]/.test(password)) {
+    problems.push('Password must contain a symbol');
+  }
+  if (policy.block_common && isCommon(password)) {
+    problems.push('Password is too common; choose something harder to guess');
+  }
+  if (user?.password && policy.history_count > 0 && await isReused(user, password, policy.history_count)) {
+    problems.push(`Password must not match any of your last ${policy.history_count} passwords`);
+  }
+
+  return problems;
+};
+
+// Whether the user's password is older than the policy allows
+const isExpired = (user, policy) => {
+  if (!policy.expiry_days) return false;
+  const changedAt = user.password_changed_at || user.created_at;
+  return !!changedAt && Date.now() - changedAt.getTime() > policy.expiry_days * 24 * 60 * 60 * 1000;
+};
+
+// Random password with every character class, for accounts that must
+// change it on first login
+const generateTemporaryPassword = () => {
+  const random = crypto.randomBytes(12).toString('base64url');
+  return `${random}Aa1!`;
+};
+
+module.exports = {
+  isCommon,
+  check,
+  isExpired,
+  generateTemporaryPassword
+};
@@ -0,0 +1,32 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+require("dotenv").config()
+
+// poppler-utils renders PDF pages to images
+const PDFTOPPM_PATH = process.env.PDFTOPPM_PATH || 'pdftoppm';
+
+// Render the first page of a PDF to a PNG buffer
+const renderFirstPage = async (buffer, { resolution = 150 } = {}) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pdf-'));
+  try {
+    const input = path.join(dir, 'input.pdf');
+    const outputRoot = path.join(dir, 'page');
+    await fs.promises.writeFile(input, buffer);
+
+    await new Promise((resolve, reject) => {
+      execFile(PDFTOPPM_PATH, ['-png', '-r', String(resolution), '-f', '1', '-l', '1', '-singlefile', input, outputRoot],
+        { timeout: 30000 },
+        (error) => (error ? reject(error) : resolve()));
+    });
+
+    return await fs.promises.readFile(`${outputRoot}.png`);
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  renderFirstPage
+};
@@ -0,0 +1,53 @@
+const round2 = require('./round2');
+
+const MEALS = ['breakfast', 'lunch', 'dinner'];
+
+// Days the allowance covers: every started 24 hours of the trip
+const tripDays = (tripHours) => Math.max(1, Math.ceil(tripHours / 24));
+
+// Evaluate a subsistence claim (GBP) against a per-diem rule. Each meal
+// is held to its own cap, and the total to the daily cap.
+const evaluate = (rule, { trip_hours, meals = {} }, claimed) => {
+  const days = tripDays(trip_hours);
+  const breakdown = [];
+
+  let allowed = claimed;
+  const hasMeals = MEALS.some(meal => meals[meal] != null);
+
+  if (hasMeals) {
+    allowed = 0;
+    MEALS.forEach(meal => {
+      if (meals[meal] == null) return;
+      const mealClaimed = round2(meals[meal]);
+      const cap = rule.meal_caps?.[meal] != null ? round2(rule.meal_caps[meal] * days) : null;
+      const mealAllowed = cap == null ? mealClaimed : Math.min(mealClaimed, cap);
+      breakdown.push({ meal, claimed: mealClaimed, cap, allowed: round2(mealAllowed) });
+      allowed += mealAllowed;
+    });
+  }
+
+  const dailyCap = round2(rule.daily_cap * days);
+  allowed = round2(Math.min(allowed, claimed, dailyCap));
+  const excess = round2(claimed - allowed);
+
+  return {
+    rule: rule._id,
+    rule_name: rule.name,
+    location_band: rule.location_band,
+    trip_hours,
+    days,
+    daily_cap: rule.daily_cap,
+    total_cap: dailyCap,
+    breakdown,
+    claimed: round2(claimed),
+    allowed,
+    excess,
+    action: excess > 0 ? rule.action : 'none'
+  };
+};
+
+module.exports = {
+  MEALS,
+  tripDays,
+  evaluate
+};
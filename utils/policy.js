@@ -0,0 +1,66 @@
+const moment = require('moment');
+const ExpensePolicy = require('../models/expensePolicy');
+
+const formatGBP = (value) => `£${Number(value).toFixed(2)}`;
+
+// Default message for a breached policy, or null if the claim complies
+const checkPolicy = (policy, claim) => {
+  switch (policy.type) {
+    case 'receipt_required':
+      if (claim.has_receipt || claim.amount <= policy.amount_threshold) return null;
+      return `A receipt is required for claims over ${formatGBP(policy.amount_threshold)}`;
+    case 'no_weekend': {
+      const day = moment(claim.date).day();
+      if (day !== 0 && day !== 6) return null;
+      return `${claim.category} expenses cannot be claimed for weekends`;
+    }
+    case 'max_age': {
+      // Age when the claim was submitted, so later edits do not age it
+      const age = moment(claim.submitted_at).startOf('day').diff(moment(claim.date).startOf('day'), 'days');
+      if (age <= policy.max_age_days) return null;
+      return `Expense is ${age} days old; claims must be made within ${policy.max_age_days} days`;
+    }
+    case 'disallowed_category':
+      return `${claim.category} claims are not allowed for the ${claim.role} role`;
+    default:
+      return null;
+  }
+};
+
+// Run the active expense policies against a claim
+// ({ category, role, date, amount (GBP), has_receipt, submitted_at },
+// submitted_at defaulting to now). Returns the
+// violations to store on the claim, whether any of them blocks it, and
+// the roles that must sign off the rest as exceptions.
+const evaluate = async (claim) => {
+  claim = { submitted_at: new Date(), ...claim };
+  const policies = await ExpensePolicy.find({ active: true }).sort({ created_at: 1 });
+
+  const violations = [];
+  policies.forEach(policy => {
+    if (!policy.appliesTo(claim.category, claim.role)) return;
+    const message = checkPolicy(policy, claim);
+    if (!message) return;
+    violations.push({
+      policy: policy._id,
+      policy_name: policy.name,
+      type: policy.type,
+      severity: policy.severity,
+      message: policy.message || message,
+      exception_roles: policy.severity === 'exception' ? policy.exception_roles : []
+    });
+  });
+
+  const exceptionRoles = [...new Set(violations.flatMap(violation => violation.exception_roles))];
+
+  return {
+    violations,
+    blocked: violations.some(violation => violation.severity === 'block'),
+    exceptionRoles
+  };
+};
+
+module.exports = {
+  checkPolicy,
+  evaluate
+};
@@ -0,0 +1,52 @@
+const sharp = require('sharp');
+const { renderFirstPage } = require('./pdf');
+
+const WEB_MAX_SIZE = 1600;
+const THUMBNAIL_SIZE = 320;
+
+// Re-encode an uploaded image without its EXIF block (GPS location,
+// camera details), applying the EXIF orientation first
+const stripMetadata = (buffer, mimetype) => {
+  const image = sharp(buffer).rotate().keepIccProfile();
+  return mimetype === 'image/png'
+    ? image.png().toBuffer()
+    : image.jpeg({ quality: 95, mozjpeg: true }).toBuffer();
+};
+
+const webVersion = (buffer) => sharp(buffer)
+  .rotate()
+  .resize(WEB_MAX_SIZE, WEB_MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+  .flatten({ background: '#ffffff' })
+  .jpeg({ quality: 75, mozjpeg: true })
+  .toBuffer();
+
+const thumbnail = (buffer) => sharp(buffer)
+  .rotate()
+  .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+  .flatten({ background: '#ffffff' })
+  .jpeg({ quality: 70 })
+  .toBuffer();
+
+const IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png'];
+
+// Build the compressed web version and thumbnail of a receipt, from the
+// metadata-free original for images or the first page of a PDF. Other
+// files (saved emails) have no previews.
+const createPreviews = async (file, original) => {
+  const source = file.mimetype === 'application/pdf'
+    ? await renderFirstPage(file.buffer)
+    : original;
+
+  return {
+    web: await webVersion(source),
+    thumbnail: await thumbnail(source)
+  };
+};
+
+module.exports = {
+  WEB_MAX_SIZE,
+  THUMBNAIL_SIZE,
+  IMAGE_TYPES,
+  stripMetadata,
+  createPreviews
+};
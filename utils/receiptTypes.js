@@ -0,0 +1,30 @@
+// File types accepted for receipts and attachments, with the extension
+// given to their storage keys. Keys take the extension of the checked
+// mimetype, never of the uploaded file name.
+const RECEIPT_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/png': '.png',
+  'application/pdf': '.pdf',
+  'message/rfc822': '.eml',
+  'application/vnd.ms-outlook': '.msg'
+};
+
+// Types a browser may show inline; anything else is served as a download
+const INLINE_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
+
+const extensionFor = (mimetype) => RECEIPT_TYPES[mimetype] || '';
+
+// Content type of a stored file from its key's extension
+const contentTypeFor = (key) => {
+  const extension = (key.match(/\.[a-z0-9]+$/i) || [''])[0].toLowerCase();
+  const entry = Object.entries(RECEIPT_TYPES).find(([, ext]) => ext === extension);
+  return entry ? entry[0] : 'application/octet-stream';
+};
+
+module.exports = {
+  RECEIPT_TYPES,
+  INLINE_TYPES,
+  extensionFor,
+  contentTypeFor
+};
@@ -0,0 +1,4 @@
+// Round a money amount to pennies
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+module.exports = round2;
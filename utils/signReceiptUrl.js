@@ -0,0 +1,13 @@
+const storage = require('./storage');
+require("dotenv").config()
+
+// Seconds a signed receipt URL stays valid
+const RECEIPT_URL_TTL = parseInt(process.env.RECEIPT_URL_TTL) || 300;
+
+module.exports = async function signReceiptUrl(fileName, expiresIn = RECEIPT_URL_TTL) {
+  return {
+    url: await storage.signedUrl(fileName, expiresIn),
+    expires_in: expiresIn,
+    expires_at: new Date(Date.now() + expiresIn * 1000)
+  };
+};
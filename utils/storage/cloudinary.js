@@ -0,0 +1,35 @@
+const axios = require('axios');
+const cloudinary = require('../../Config/cloudinary');
+
+// Files are stored as authenticated raw resources, so they can only be
+// fetched through signed download URLs
+const options = { resource_type: 'raw', type: 'authenticated' };
+
+const put = (key, buffer) => new Promise((resolve, reject) => {
+  const stream = cloudinary.uploader.upload_stream(
+    { ...options, public_id: key, overwrite: false },
+    (error) => (error ? reject(error) : resolve({ key }))
+  );
+  stream.end(buffer);
+});
+
+const signedUrl = async (key, expiresIn) => cloudinary.utils.private_download_url(key, '', {
+  ...options,
+  expires_at: Math.floor(Date.now() / 1000) + expiresIn
+});
+
+const getStream = async (key) => {
+  const response = await axios.get(await signedUrl(key, 60), { responseType: 'stream' });
+  return response.data;
+};
+
+const remove = async (key) => {
+  await cloudinary.uploader.destroy(key, { ...options, invalidate: true });
+};
+
+module.exports = {
+  put,
+  getStream,
+  delete: remove,
+  signedUrl
+};
@@ -0,0 +1,32 @@
+require("dotenv").config()
+
+// File storage behind one interface, with the driver chosen by
+// STORAGE_DRIVER ("supabase", "cloudinary" or "local"). Every driver
+// provides:
+//   put(key, buffer, { contentType })  -> { key }
+//   getStream(key)                     -> readable stream of the file
+//   delete(key)
+//   signedUrl(key, expiresIn)          -> URL valid for expiresIn seconds
+const drivers = {
+  supabase: './supabase',
+  cloudinary: './cloudinary',
+  local: './local'
+};
+
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || 'supabase').toLowerCase();
+
+if (!drivers[STORAGE_DRIVER]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}"; use ${Object.keys(drivers).join(', ')}`);
+}
+
+// Only the configured driver is loaded, so the others' SDKs and
+// credentials are not needed
+const driver = require(drivers[STORAGE_DRIVER]);
+
+module.exports = {
+  STORAGE_DRIVER,
+  put: driver.put,
+  getStream: driver.getStream,
+  delete: driver.delete,
+  signedUrl: driver.signedUrl
+};
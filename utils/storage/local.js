@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+require("dotenv").config()
+
+// Files live on disk under LOCAL_STORAGE_DIR and are downloaded through
+// HMAC-signed links served by routers/storage.js
+const LOCAL_STORAGE_DIR = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '../../../uploads'));
+
+const signingSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+// Absolute path for a key, refusing keys that escape the storage directory
+const pathFor = (key) => {
+  const filePath = path.resolve(LOCAL_STORAGE_DIR, key);
+  if (!filePath.startsWith(LOCAL_STORAGE_DIR + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const signatureFor = (key, expires) => crypto
+  .createHmac('sha256', signingSecret())
+  .update(`${key}:${expires}`)
+  .digest('hex');
+
+const put = async (key, buffer) => {
+  const filePath = pathFor(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+  return { key };
+};
+
+const getStream = async (key) => {
+  const filePath = pathFor(key);
+  await fs.promises.access(filePath);
+  return fs.createReadStream(filePath);
+};
+
+const remove = async (key) => {
+  await fs.promises.rm(pathFor(key), { force: true });
+};
+
+const signedUrl = async (key, expiresIn) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const query = new URLSearchParams({ key, expires, signature: signatureFor(key, expires) });
+  return `${process.env.API_URL || ''}/api/storage/local?${query}`;
+};
+
+// Check a signed link from signedUrl has not been altered or expired
+const verifySignature = (key, expires, signature) => {
+  if (!key || !expires || !signature) return false;
+  if (parseInt(expires) < Math.floor(Date.now() / 1000)) return false;
+  const expected = Buffer.from(signatureFor(key, expires));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+module.exports = {
+  LOCAL_STORAGE_DIR,
+  put,
+  getStream,
+  delete: remove,
+  signedUrl,
+  verifySignature
+};
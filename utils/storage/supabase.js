@@ -0,0 +1,38 @@
+const { Readable } = require('stream');
+const supabase = require('../../configs/supabase');
+require("dotenv").config()
+
+const bucket = () => supabase.storage.from(process.env.SUPABASE_BUCKET);
+
+const put = async (key, buffer, { contentType } = {}) => {
+  const { error } = await bucket().upload(key, buffer, {
+    contentType,
+    upsert: false
+  });
+  if (error) throw error;
+  return { key };
+};
+
+const getStream = async (key) => {
+  const { data, error } = await bucket().download(key);
+  if (error) throw error;
+  return Readable.from(Buffer.from(await data.arrayBuffer()));
+};
+
+const remove = async (key) => {
+  const { error } = await bucket().remove([key]);
+  if (error) throw error;
+};
+
+const signedUrl = async (key, expiresIn) => {
+  const { data, error } = await bucket().createSignedUrl(key, expiresIn);
+  if (error) throw error;
+  return data.signedUrl;
+};
+
+module.exports = {
+  put,
+  getStream,
+  delete: remove,
+  signedUrl
+};
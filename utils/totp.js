@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+require("dotenv").config()
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 30 second steps,
+// 6 digits), as used by Google Authenticator, Authy, 1Password etc.
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Steps either side of now accepted, for clock drift
+const WINDOW = 1;
+const ISSUER = process.env.TOTP_ISSUER || 'HFA UK Claims';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = text.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// 160-bit random secret, base32 encoded for authenticator apps
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP (RFC 4226) code for a counter
+const hotp = (secret, counter) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+};
+
+const stepAt = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+const generate = (secret, time = Date.now()) => hotp(secret, stepAt(time));
+
+// Time step the code matches within the drift window, or null. Callers
+// store the step and refuse codes at or before it, so a code cannot be
+// replayed.
+const verify = (secret, code, { time = Date.now(), afterStep = -1 } = {}) => {
+  const given = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(given) || given.length !== DIGITS) return null;
+  const current = stepAt(time);
+  for (let step = current - WINDOW; step <= current + WINDOW; step++) {
+    if (step <= afterStep) continue;
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) return step;
+  }
+  return null;
+};
+
+// otpauth:// URI for enrolment, rendered as a QR code by the client
+const otpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// Secrets are encrypted at rest (AES-256-GCM)
+const encryptionKey = () => crypto.createHash('sha256')
+  .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// One-time recovery codes, e.g. "4f9c-2a7e-b1d3"; only hashes are stored
+const generateRecoveryCodes = (count = 10) => Array.from({ length: count }, () =>
+  crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-'));
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-f0-9]/g, ''))
+  .digest('hex');
+
+module.exports = {
+  STEP_SECONDS,
+  DIGITS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generate,
+  verify,
+  otpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
@@ -1,28 +1,60 @@
-const supabase = require('../configs/supabase');
-const path = require('path');
-require("dotenv").config()
+const crypto = require('crypto');
+const storage = require('./storage');
+const { extensionFor } = require('./receiptTypes');
+const { IMAGE_TYPES, stripMetadata, createPreviews } = require('./receiptImages');
 
+// Receipts are kept private; they are served through short-lived signed
+// URLs (see utils/signReceiptUrl.js), never public links. Images are
+// stored without location metadata, alongside a compressed web preview
+// and a thumbnail.
 module.exports = async function uploadReceipt(file, userId) {
-  const fileExt = path.extname(file.originalname);
-  const fileName = `${userId}/${Date.now()}${fileExt}`;
+  // A random name, so uploads never collide, with the extension of the
+  // checked mimetype rather than whatever the client named the file
+  const baseName = `${userId}/${crypto.randomUUID()}`;
+  const fileName = `${baseName}${extensionFor(file.mimetype)}`;
+  const isImage = IMAGE_TYPES.includes(file.mimetype);
 
-  const { error } = await supabase.storage
-    .from(process.env.SUPABASE_BUCKET)
-    .upload(fileName, file.buffer, {
-      contentType: file.mimetype,
-      upsert: false
-    });
+  // Images that cannot be re-encoded are refused rather than stored with
+  // their EXIF block
+  let original = file.buffer;
+  if (isImage) {
+    try {
+      original = await stripMetadata(file.buffer, file.mimetype);
+    } catch (error) {
+      const refused = new Error(`Could not read image ${file.originalname}`);
+      refused.statusCode = 400;
+      throw refused;
+    }
+  }
+
+  await storage.put(fileName, original, {
+    contentType: file.mimetype
+  });
+
+  let previews = null;
+  if (isImage || file.mimetype === 'application/pdf') {
+    try {
+      previews = await createPreviews(file, original);
+    } catch (error) {
+      // The receipt is still kept, just without previews
+      console.error('Receipt preview error:', error.message);
+    }
+  }
 
-  if (error) {
-    throw error;
+  if (!previews) {
+    return {
+      filename: fileName
+    };
   }
 
-  const { data } = supabase.storage
-    .from(process.env.SUPABASE_BUCKET)
-    .getPublicUrl(fileName);
+  const previewName = `${baseName}-web.jpg`;
+  const thumbnailName = `${baseName}-thumb.jpg`;
+  await storage.put(previewName, previews.web, { contentType: 'image/jpeg' });
+  await storage.put(thumbnailName, previews.thumbnail, { contentType: 'image/jpeg' });
 
   return {
     filename: fileName,
-    publicUrl: data.publicUrl
+    preview_filename: previewName,
+    thumbnail_filename: thumbnailName
   };
 };
@@ -0,0 +1,71 @@
+const moment = require('moment');
+const ClaimCategory = require('../models/claimCategory');
+const round2 = require('./round2');
+
+// Difference between declared and expected VAT tolerated for rounding
+const VAT_TOLERANCE = 0.02;
+
+// Parse a VAT period: "2024-Q1" (calendar quarter) or "2024-03"
+// (the three months ending that month, for stagger quarters).
+// Defaults to the last completed calendar quarter.
+const parseVatPeriod = (period) => {
+  let end;
+
+  if (!period) {
+    end = moment().startOf('quarter').subtract(1, 'day').endOf('month');
+  } else if (/^\d{4}-Q[1-4]$/i.test(period)) {
+    const [year, quarter] = period.toUpperCase().split('-Q');
+    end = moment({ year: parseInt(year), month: parseInt(quarter) * 3 - 1 }).endOf('month');
+  } else if (/^\d{4}-\d{2}$/.test(period)) {
+    end = moment(period, 'YYYY-MM', true).endOf('month');
+  }
+
+  if (!end || !end.isValid()) return null;
+
+  const start = end.clone().subtract(2, 'months').startOf('month');
+  return {
+    label: period || `${start.format('YYYY')}-Q${start.quarter()}`,
+    startDate: start.toDate(),
+    endDate: end.toDate()
+  };
+};
+
+// VAT contained in a VAT-inclusive amount at the given rate (%)
+const vatFromGross = (gross, rate) => round2((gross * rate) / (100 + rate));
+
+// VAT rate (%) for a claim, from its stored treatment or its category
+const vatRateFor = async (claim, categories) => {
+  let treatment = claim.vat_treatment;
+  if (!treatment) {
+    const list = categories || await ClaimCategory.find();
+    const category = list.find(c => c.name === claim.category || c.name === claim.claim_type);
+    treatment = category ? category.vat_treatment : 'standard';
+  }
+  return { treatment, rate: ClaimCategory.VAT_RATES[treatment] || 0 };
+};
+
+// Compare a claim's declared VAT with what its category's rate implies
+const checkVatConsistency = (claim, rate) => {
+  const declared = round2(claim.vat_amount);
+  const expected = vatFromGross(claim.amount, rate);
+
+  if (rate === 0 && declared > 0) {
+    return { declared, expected, issue: 'VAT claimed on a zero-rated, exempt or out-of-scope category' };
+  }
+  if (declared > expected + VAT_TOLERANCE) {
+    return { declared, expected, issue: `VAT exceeds ${rate}% of the claim amount` };
+  }
+  if (rate > 0 && declared > 0 && Math.abs(declared - expected) > VAT_TOLERANCE) {
+    return { declared, expected, issue: `VAT differs from ${rate}% of the claim amount` };
+  }
+  return null;
+};
+
+module.exports = {
+  round2,
+  VAT_TOLERANCE,
+  parseVatPeriod,
+  vatFromGross,
+  vatRateFor,
+  checkVatConsistency
+};